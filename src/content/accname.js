@@ -0,0 +1,525 @@
+// Calcul du nom accessible selon W3C AccName 1.2 (https://www.w3.org/TR/accname-1.2/)
+// Injecté avant content.js : computeAccessibleName est partagé par toutes les vérifications
+/* exported computeAccessibleName, getComposedParent, getElementRole, getReferencedElements, isAuditMarker,
+   isHiddenFromAccessibility */
+
+// Protection contre les injections multiples du script
+if (window.accessibleNameEngineInjected) {
+  throw new Error("AccName engine already injected");
+}
+window.accessibleNameEngineInjected = true;
+
+// Sources possibles du nom accessible (affichées dans les issues)
+const NAME_SOURCE = {
+  LABELLEDBY: "aria-labelledby",
+  ARIA_LABEL: "aria-label",
+  LABEL: "label",
+  ALT: "alt",
+  SVG_TITLE: "svg-title",
+  LEGEND: "legend",
+  CAPTION: "caption",
+  FIGCAPTION: "figcaption",
+  VALUE: "value",
+  CONTENTS: "contents",
+  TITLE: "title",
+  PLACEHOLDER: "placeholder",
+  NONE: "none",
+};
+
+// Rôles dont le nom peut être calculé à partir du contenu (AccName 1.2, § 4.1.1)
+const NAME_FROM_CONTENT_ROLES = [
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "gridcell",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "row",
+  "rowheader",
+  "switch",
+  "tab",
+  "tooltip",
+  "treeitem",
+];
+
+// Rôles de contrôles dont la valeur est reprise lorsqu'ils sont intégrés à un label (§ 2C)
+const EMBEDDED_TEXTBOX_ROLES = ["textbox", "searchbox"];
+const EMBEDDED_SELECT_ROLES = ["combobox", "listbox"];
+const EMBEDDED_RANGE_ROLES = [
+  "slider",
+  "spinbutton",
+  "scrollbar",
+  "progressbar",
+];
+
+// Types d'input et leur rôle implicite (les autres types sont des champs texte)
+const INPUT_TYPE_ROLES = {
+  button: "button",
+  image: "button",
+  reset: "button",
+  submit: "button",
+  checkbox: "checkbox",
+  radio: "radio",
+  range: "slider",
+  number: "spinbutton",
+  search: "searchbox",
+};
+
+// Libellés par défaut des boutons de formulaire sans valeur (rendus par le navigateur)
+const DEFAULT_BUTTON_LABELS = {
+  submit: "Envoyer",
+  reset: "Réinitialiser",
+};
+
+// Éléments dont la valeur de display "inline" ne sépare pas les mots
+const INLINE_DISPLAY_VALUES = ["inline", "contents"];
+
+/**
+ * Retourne le rôle ARIA (explicite ou implicite) d'un élément
+ * @param {Element} el - L'élément
+ * @returns {string} - Rôle en minuscules ou chaîne vide
+ */
+function getElementRole(el) {
+  const explicitRole = (el.getAttribute("role") || "").trim().split(/\s+/)[0];
+  if (explicitRole) {
+    return explicitRole.toLowerCase();
+  }
+
+  const tagName = el.tagName.toLowerCase();
+  switch (tagName) {
+    case "a":
+    case "area":
+      return el.hasAttribute("href") ? "link" : "";
+    case "button":
+    case "summary":
+      return "button";
+    case "article":
+      return "article";
+    case "dialog":
+      return "dialog";
+    case "fieldset":
+    case "optgroup":
+      return "group";
+    case "li":
+      return "listitem";
+    case "main":
+      return "main";
+    case "menu":
+    case "ol":
+    case "ul":
+      return "list";
+    case "nav":
+      return "navigation";
+    case "table":
+      return "table";
+    case "tbody":
+    case "tfoot":
+    case "thead":
+      return "rowgroup";
+    case "h1":
+    case "h2":
+    case "h3":
+    case "h4":
+    case "h5":
+    case "h6":
+      return "heading";
+    case "img":
+      return "img";
+    case "input":
+      return INPUT_TYPE_ROLES[(el.type || "").toLowerCase()] || "textbox";
+    case "textarea":
+      return "textbox";
+    case "select":
+      return el.multiple || el.size > 1 ? "listbox" : "combobox";
+    case "option":
+      return "option";
+    case "td":
+      return "cell";
+    case "th":
+      return el.getAttribute("scope") === "row" ? "rowheader" : "columnheader";
+    case "tr":
+      return "row";
+    case "svg":
+      return "graphics-document";
+    default:
+      return "";
+  }
+}
+
+/**
+ * Parent d'un élément dans l'arbre composé (rendu) : slot d'affectation pour un
+ * élément distribué, hôte pour la racine d'une shadow root
+ * @param {Element} el - L'élément
+ * @returns {Element|null}
+ */
+function getComposedParent(el) {
+  if (el.assignedSlot) {
+    return el.assignedSlot;
+  }
+  if (el.parentElement) {
+    return el.parentElement;
+  }
+  return el.parentNode instanceof ShadowRoot ? el.parentNode.host : null;
+}
+
+/**
+ * Indique si un élément est masqué aux technologies d'assistance
+ * @param {Element} el - L'élément
+ * @param {boolean} [checkAncestors=true] - Vérifier aussi les ancêtres (inutile
+ *   lors du parcours des enfants, dont les ancêtres ont déjà été vérifiés)
+ * @returns {boolean}
+ */
+function isHiddenFromAccessibility(el, checkAncestors = true) {
+  for (
+    let node = el;
+    node;
+    node = checkAncestors ? getComposedParent(node) : null
+  ) {
+    if (node.hidden || node.getAttribute("aria-hidden") === "true") {
+      return true;
+    }
+    if (window.getComputedStyle(node).display === "none") {
+      return true;
+    }
+  }
+
+  return window.getComputedStyle(el).visibility === "hidden";
+}
+
+/**
+ * Indique si un nœud est un marqueur ajouté par l'audit (badge) à ignorer
+ * @param {Element} el - L'élément
+ * @returns {boolean}
+ */
+function isAuditMarker(el) {
+  return el.hasAttribute("data-badge-for");
+}
+
+/**
+ * Extrait le texte généré par CSS (::before / ::after)
+ * @param {Element} el - L'élément
+ * @param {string} pseudo - "::before" ou "::after"
+ * @returns {string} - Texte généré ou chaîne vide
+ */
+function getPseudoContent(el, pseudo) {
+  const content = window.getComputedStyle(el, pseudo).content;
+  if (!content || content === "none" || content === "normal") {
+    return "";
+  }
+
+  // Ne garder que les chaînes littérales (ignore url(), counter()...)
+  const strings = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || [];
+  const text = strings
+    .map((value) => decodeCssEscapes(value.slice(1, -1)))
+    .join("");
+
+  // Glyphes de police d'icônes (zone d'usage privé) : aucun texte restitué
+  return text.replace(/\p{Co}/gu, "");
+}
+
+/**
+ * Décode les échappements hexadécimaux CSS d'une chaîne ("\f015" → U+F015)
+ * @param {string} value - Contenu d'une chaîne CSS
+ * @returns {string}
+ */
+function decodeCssEscapes(value) {
+  return value.replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => {
+    const codePoint = parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10ffff
+      ? String.fromCodePoint(codePoint)
+      : "\ufffd";
+  });
+}
+
+/**
+ * Résout les éléments référencés par un attribut IDREFS
+ * @param {Element} el - L'élément portant l'attribut
+ * @param {string} attribute - Nom de l'attribut (ex: aria-labelledby)
+ * @returns {Array<Element>} - Éléments trouvés, dans l'ordre des références
+ */
+function getReferencedElements(el, attribute) {
+  const ids = (el.getAttribute(attribute) || "").trim().split(/\s+/);
+  const root = el.getRootNode();
+
+  return ids
+    .filter(Boolean)
+    .map((id) =>
+      root.getElementById
+        ? root.getElementById(id)
+        : document.getElementById(id),
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Valeur d'un contrôle intégré dans le label d'un autre widget (§ 2C)
+ * @param {Element} el - Le contrôle
+ * @param {string} role - Rôle du contrôle
+ * @returns {string|null} - Valeur ou null si l'élément n'est pas un contrôle concerné
+ */
+function getEmbeddedControlValue(el, role) {
+  if (EMBEDDED_TEXTBOX_ROLES.includes(role)) {
+    return "value" in el ? el.value : el.textContent;
+  }
+
+  if (EMBEDDED_SELECT_ROLES.includes(role)) {
+    const selected = el.selectedOptions
+      ? Array.from(el.selectedOptions)
+      : Array.from(el.querySelectorAll('[aria-selected="true"]'));
+    return selected.map((option) => option.textContent).join(" ");
+  }
+
+  if (EMBEDDED_RANGE_ROLES.includes(role)) {
+    return (
+      el.getAttribute("aria-valuetext") ||
+      el.getAttribute("aria-valuenow") ||
+      el.value ||
+      ""
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Nom issu du langage hôte (HTML/SVG) : label, alt, legend, caption, title SVG... (§ 2E)
+ * @param {Element} el - L'élément
+ * @param {Object} context - Contexte du calcul
+ * @returns {{text: string, source: string}|null}
+ */
+function getNativeName(el, context) {
+  const tagName = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "").toLowerCase();
+
+  if (tagName === "input" && ["button", "submit", "reset"].includes(type)) {
+    const value = el.getAttribute("value");
+    if (value) {
+      return { text: value, source: NAME_SOURCE.VALUE };
+    }
+    return DEFAULT_BUTTON_LABELS[type]
+      ? { text: DEFAULT_BUTTON_LABELS[type], source: NAME_SOURCE.VALUE }
+      : null;
+  }
+
+  if (tagName === "input" && type === "image") {
+    if (el.hasAttribute("alt")) {
+      return { text: el.getAttribute("alt"), source: NAME_SOURCE.ALT };
+    }
+    return null;
+  }
+
+  if (el.labels && el.labels.length > 0) {
+    const text = Array.from(el.labels)
+      .map((label) =>
+        computeTextAlternative(label, {
+          ...context,
+          inEmbeddedLabel: true,
+          isTraversalStart: true,
+        }),
+      )
+      .join(" ");
+    if (text.trim()) {
+      return { text: text, source: NAME_SOURCE.LABEL };
+    }
+  }
+
+  if (["img", "area"].includes(tagName) && el.hasAttribute("alt")) {
+    return { text: el.getAttribute("alt"), source: NAME_SOURCE.ALT };
+  }
+
+  const captionElements = {
+    fieldset: { tagName: "legend", source: NAME_SOURCE.LEGEND },
+    table: { tagName: "caption", source: NAME_SOURCE.CAPTION },
+    figure: { tagName: "figcaption", source: NAME_SOURCE.FIGCAPTION },
+    svg: { tagName: "title", source: NAME_SOURCE.SVG_TITLE },
+  };
+  const caption = captionElements[tagName];
+  const captionElement =
+    caption &&
+    Array.from(el.children).find(
+      (child) => child.tagName.toLowerCase() === caption.tagName,
+    );
+  if (captionElement) {
+    const text =
+      tagName === "svg"
+        ? captionElement.textContent
+        : computeTextAlternative(captionElement, {
+            ...context,
+            inContentRecursion: true,
+          });
+    if (text.trim()) {
+      return { text: text, source: caption.source };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Nom calculé à partir du contenu : pseudo-éléments CSS et enfants (§ 2F)
+ * @param {Element} el - L'élément
+ * @param {Object} context - Contexte du calcul
+ * @returns {string}
+ */
+function getNameFromContent(el, context) {
+  const childContext = { ...context, inContentRecursion: true };
+  const parts = [getPseudoContent(el, "::before")];
+
+  el.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      parts.push(child.textContent);
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      const text = computeTextAlternative(child, childContext);
+      const isInline = INLINE_DISPLAY_VALUES.includes(
+        window.getComputedStyle(child).display,
+      );
+      parts.push(isInline ? text : ` ${text} `);
+    }
+  });
+
+  parts.push(getPseudoContent(el, "::after"));
+  return parts.join("");
+}
+
+/**
+ * Calcule l'alternative textuelle d'un nœud (étapes 2A à 2I de l'algorithme)
+ * @param {Element} el - Nœud courant
+ * @param {Object} context - {root, visited, inLabelledBy, inEmbeddedLabel,
+ *   inContentRecursion, inHiddenReference, isTraversalStart, sourceRef}
+ * @returns {string} - Texte non normalisé
+ */
+function computeTextAlternative(el, context) {
+  if (context.visited.has(el) || isAuditMarker(el)) {
+    return "";
+  }
+  context.visited.add(el);
+
+  const isRoot = el === context.root;
+  const role = getElementRole(el);
+  const setSource = (source) => {
+    if (isRoot) {
+      context.sourceRef.source = source;
+    }
+  };
+
+  // 2A : nœud masqué (sauf s'il est directement référencé par aria-labelledby)
+  if (
+    !context.inHiddenReference &&
+    isHiddenFromAccessibility(el, Boolean(context.isTraversalStart))
+  ) {
+    return "";
+  }
+  const childContext = { ...context, isTraversalStart: false };
+
+  // 2B : aria-labelledby (non suivi lors d'une traversée aria-labelledby)
+  if (!context.inLabelledBy && el.hasAttribute("aria-labelledby")) {
+    const text = getReferencedElements(el, "aria-labelledby")
+      .map((referenced) =>
+        computeTextAlternative(referenced, {
+          ...context,
+          visited: new Set(),
+          inLabelledBy: true,
+          inHiddenReference: isHiddenFromAccessibility(referenced),
+          isTraversalStart: true,
+        }),
+      )
+      .join(" ");
+    if (text.trim()) {
+      setSource(NAME_SOURCE.LABELLEDBY);
+      return text;
+    }
+  }
+
+  // 2C : contrôle intégré dans le label d'un autre widget
+  const isEmbedded =
+    !isRoot &&
+    (context.inLabelledBy ||
+      context.inEmbeddedLabel ||
+      context.inContentRecursion);
+  if (isEmbedded) {
+    const value = getEmbeddedControlValue(el, role);
+    if (value !== null) {
+      return value;
+    }
+  }
+
+  // 2D : aria-label
+  const ariaLabel = el.getAttribute("aria-label");
+  if (ariaLabel && ariaLabel.trim()) {
+    setSource(NAME_SOURCE.ARIA_LABEL);
+    return ariaLabel;
+  }
+
+  // 2E : attribut ou élément natif (sauf rôle de présentation)
+  if (!["presentation", "none"].includes(role)) {
+    const nativeName = getNativeName(el, childContext);
+    if (nativeName) {
+      setSource(nativeName.source);
+      return nativeName.text;
+    }
+  }
+
+  // 2F : nom calculé à partir du contenu
+  if (
+    NAME_FROM_CONTENT_ROLES.includes(role) ||
+    context.inLabelledBy ||
+    context.inEmbeddedLabel ||
+    context.inContentRecursion
+  ) {
+    const text = getNameFromContent(el, childContext);
+    if (text.trim()) {
+      setSource(NAME_SOURCE.CONTENTS);
+      return text;
+    }
+  }
+
+  // 2I : info-bulle (title), puis placeholder pour les champs
+  const title = el.getAttribute("title");
+  if (title && title.trim()) {
+    setSource(NAME_SOURCE.TITLE);
+    return title;
+  }
+
+  const placeholder = el.getAttribute("placeholder");
+  if (isRoot && placeholder && placeholder.trim()) {
+    setSource(NAME_SOURCE.PLACEHOLDER);
+    return placeholder;
+  }
+
+  return "";
+}
+
+/**
+ * Calcule le nom accessible d'un élément et sa provenance
+ * @param {Element} el - L'élément
+ * @returns {{name: string, source: string}} - Nom normalisé et source (NAME_SOURCE)
+ */
+function computeAccessibleName(el) {
+  const sourceRef = { source: NAME_SOURCE.NONE };
+  const text = computeTextAlternative(el, {
+    root: el,
+    visited: new Set(),
+    inLabelledBy: false,
+    inEmbeddedLabel: false,
+    inContentRecursion: false,
+    inHiddenReference: false,
+    isTraversalStart: true,
+    sourceRef: sourceRef,
+  });
+  const name = text.replace(/\s+/g, " ").trim();
+
+  return {
+    name: name,
+    // alt="" reste une source explicite (image décorative)
+    source:
+      name || sourceRef.source === NAME_SOURCE.ALT
+        ? sourceRef.source
+        : NAME_SOURCE.NONE,
+  };
+}
@@ -0,0 +1,396 @@
+// Table des rôles et attributs WAI-ARIA 1.2 (https://www.w3.org/TR/wai-aria-1.2/)
+// Injecté avant content.js : données utilisées par la vérification ARIA
+/* exported ARIA_ABSTRACT_ROLES, ARIA_ROLES, ARIA_ATTRIBUTES, ARIA_VALUE_TOKENS, ARIA_ROLE_PREFIXES */
+
+// Protection contre les injections multiples du script
+if (window.ariaDataInjected) {
+  throw new Error("ARIA data already injected");
+}
+window.ariaDataInjected = true;
+
+// Rôles abstraits : réservés à l'ontologie, interdits dans l'attribut role (§ 5.3.2)
+const ARIA_ABSTRACT_ROLES = [
+  "command",
+  "composite",
+  "input",
+  "landmark",
+  "range",
+  "roletype",
+  "section",
+  "sectionhead",
+  "select",
+  "structure",
+  "widget",
+  "window",
+];
+
+// Préfixes des modules ARIA complémentaires (DPUB-ARIA, Graphics-ARIA) non détaillés ici
+const ARIA_ROLE_PREFIXES = ["doc-", "graphics-"];
+
+// Attributs propres aux familles de rôles (héritage déjà déplié)
+const CHECKABLE_ATTRIBUTES = [
+  "aria-checked",
+  "aria-errormessage",
+  "aria-expanded",
+  "aria-invalid",
+  "aria-readonly",
+  "aria-required",
+];
+const CELL_ATTRIBUTES = [
+  "aria-colindex",
+  "aria-colindextext",
+  "aria-colspan",
+  "aria-rowindex",
+  "aria-rowindextext",
+  "aria-rowspan",
+];
+const GRIDCELL_ATTRIBUTES = [
+  ...CELL_ATTRIBUTES,
+  "aria-expanded",
+  "aria-readonly",
+  "aria-required",
+  "aria-selected",
+];
+const HEADER_ATTRIBUTES = [...GRIDCELL_ATTRIBUTES, "aria-sort"];
+const MENUITEM_ATTRIBUTES = ["aria-expanded", "aria-posinset", "aria-setsize"];
+const RANGE_ATTRIBUTES = [
+  "aria-valuemax",
+  "aria-valuemin",
+  "aria-valuenow",
+  "aria-valuetext",
+];
+const TEXTBOX_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-autocomplete",
+  "aria-errormessage",
+  "aria-invalid",
+  "aria-multiline",
+  "aria-placeholder",
+  "aria-readonly",
+  "aria-required",
+];
+const GRID_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-colcount",
+  "aria-multiselectable",
+  "aria-readonly",
+  "aria-rowcount",
+];
+const TREE_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-errormessage",
+  "aria-invalid",
+  "aria-multiselectable",
+  "aria-orientation",
+  "aria-required",
+];
+const MENU_OWNED_ROLES = [
+  "group",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+];
+
+// Rôles concrets : attributs requis, attributs propres (en plus des globaux),
+// éléments possédés requis, et interdiction de nommage (aria-label/labelledby)
+const ARIA_ROLES = {
+  alert: {},
+  alertdialog: { supported: ["aria-modal"] },
+  application: { supported: ["aria-activedescendant", "aria-expanded"] },
+  article: { supported: ["aria-posinset", "aria-setsize"] },
+  banner: {},
+  blockquote: {},
+  button: { supported: ["aria-expanded", "aria-pressed"] },
+  caption: { nameProhibited: true },
+  cell: { supported: CELL_ATTRIBUTES },
+  checkbox: { required: ["aria-checked"], supported: CHECKABLE_ATTRIBUTES },
+  code: { nameProhibited: true },
+  columnheader: { supported: HEADER_ATTRIBUTES },
+  combobox: {
+    required: ["aria-expanded"],
+    supported: [
+      "aria-activedescendant",
+      "aria-autocomplete",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { nameProhibited: true },
+  dialog: { supported: ["aria-modal"] },
+  directory: {},
+  document: {},
+  emphasis: { nameProhibited: true },
+  feed: { requiredOwned: ["article"] },
+  figure: {},
+  form: {},
+  generic: { nameProhibited: true },
+  "graphics-document": {},
+  "graphics-object": {},
+  "graphics-symbol": {},
+  grid: { supported: GRID_ATTRIBUTES, requiredOwned: ["row", "rowgroup"] },
+  gridcell: { supported: GRIDCELL_ATTRIBUTES },
+  group: { supported: ["aria-activedescendant"] },
+  heading: { required: ["aria-level"], supported: ["aria-level"] },
+  img: {},
+  insertion: { nameProhibited: true },
+  link: { supported: ["aria-expanded"] },
+  list: { requiredOwned: ["listitem"] },
+  listbox: {
+    supported: [
+      "aria-activedescendant",
+      "aria-errormessage",
+      "aria-expanded",
+      "aria-invalid",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+    requiredOwned: ["group", "option"],
+  },
+  listitem: { supported: ["aria-level", "aria-posinset", "aria-setsize"] },
+  log: {},
+  main: {},
+  marquee: {},
+  math: {},
+  menu: {
+    supported: ["aria-activedescendant", "aria-orientation"],
+    requiredOwned: MENU_OWNED_ROLES,
+  },
+  menubar: {
+    supported: ["aria-activedescendant", "aria-orientation"],
+    requiredOwned: MENU_OWNED_ROLES,
+  },
+  menuitem: { supported: MENUITEM_ATTRIBUTES },
+  menuitemcheckbox: {
+    required: ["aria-checked"],
+    supported: [...MENUITEM_ATTRIBUTES, "aria-checked"],
+  },
+  menuitemradio: {
+    required: ["aria-checked"],
+    supported: [...MENUITEM_ATTRIBUTES, "aria-checked"],
+  },
+  meter: { required: ["aria-valuenow"], supported: RANGE_ATTRIBUTES },
+  navigation: {},
+  none: { nameProhibited: true },
+  note: {},
+  option: {
+    supported: [
+      "aria-checked",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  paragraph: { nameProhibited: true },
+  presentation: { nameProhibited: true },
+  progressbar: { supported: RANGE_ATTRIBUTES },
+  radio: {
+    required: ["aria-checked"],
+    supported: ["aria-checked", "aria-posinset", "aria-setsize"],
+  },
+  radiogroup: {
+    supported: [
+      "aria-activedescendant",
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  region: {},
+  row: {
+    supported: [
+      "aria-activedescendant",
+      "aria-colindex",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-rowindex",
+      "aria-selected",
+      "aria-setsize",
+    ],
+    requiredOwned: ["cell", "columnheader", "gridcell", "rowheader"],
+  },
+  rowgroup: { requiredOwned: ["row"] },
+  rowheader: { supported: HEADER_ATTRIBUTES },
+  scrollbar: {
+    required: ["aria-controls", "aria-valuenow"],
+    supported: [...RANGE_ATTRIBUTES, "aria-orientation"],
+  },
+  search: {},
+  searchbox: { supported: TEXTBOX_ATTRIBUTES },
+  separator: { supported: [...RANGE_ATTRIBUTES, "aria-orientation"] },
+  slider: {
+    required: ["aria-valuenow"],
+    supported: [
+      ...RANGE_ATTRIBUTES,
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-orientation",
+      "aria-readonly",
+    ],
+  },
+  spinbutton: {
+    supported: [
+      ...RANGE_ATTRIBUTES,
+      "aria-activedescendant",
+      "aria-errormessage",
+      "aria-invalid",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  status: {},
+  strong: { nameProhibited: true },
+  subscript: { nameProhibited: true },
+  superscript: { nameProhibited: true },
+  switch: { required: ["aria-checked"], supported: CHECKABLE_ATTRIBUTES },
+  tab: {
+    supported: [
+      "aria-expanded",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  table: {
+    supported: ["aria-colcount", "aria-rowcount"],
+    requiredOwned: ["row", "rowgroup"],
+  },
+  tablist: {
+    supported: [
+      "aria-activedescendant",
+      "aria-multiselectable",
+      "aria-orientation",
+    ],
+    requiredOwned: ["tab"],
+  },
+  tabpanel: {},
+  term: {},
+  textbox: { supported: TEXTBOX_ATTRIBUTES },
+  time: {},
+  timer: {},
+  toolbar: { supported: ["aria-activedescendant", "aria-orientation"] },
+  tooltip: {},
+  tree: { supported: TREE_ATTRIBUTES, requiredOwned: ["group", "treeitem"] },
+  treegrid: {
+    supported: [...GRID_ATTRIBUTES, ...TREE_ATTRIBUTES],
+    requiredOwned: ["row", "rowgroup"],
+  },
+  treeitem: {
+    supported: [
+      "aria-checked",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+};
+
+// Valeurs autorisées des types énumérés
+const ARIA_VALUE_TOKENS = {
+  "true/false": ["true", "false"],
+  "true/false/undefined": ["true", "false", "undefined"],
+  tristate: ["true", "false", "mixed"],
+};
+
+// Attributs ARIA : type de valeur, valeurs autorisées (token/tokens) et portée globale
+const ARIA_ATTRIBUTES = {
+  "aria-activedescendant": { type: "idref" },
+  "aria-atomic": { type: "true/false", global: true },
+  "aria-autocomplete": {
+    type: "token",
+    values: ["inline", "list", "both", "none"],
+  },
+  "aria-busy": { type: "true/false", global: true },
+  "aria-checked": { type: "tristate" },
+  "aria-colcount": { type: "integer" },
+  "aria-colindex": { type: "integer" },
+  "aria-colspan": { type: "integer" },
+  "aria-controls": { type: "idrefs", global: true },
+  "aria-current": {
+    type: "token",
+    values: ["page", "step", "location", "date", "time", "true", "false"],
+    global: true,
+  },
+  "aria-describedby": { type: "idrefs", global: true },
+  "aria-details": { type: "idref", global: true },
+  "aria-disabled": { type: "true/false", global: true },
+  "aria-dropeffect": {
+    type: "tokens",
+    values: ["copy", "execute", "link", "move", "none", "popup"],
+    global: true,
+  },
+  "aria-errormessage": { type: "idref", global: true },
+  "aria-expanded": { type: "true/false/undefined" },
+  "aria-flowto": { type: "idrefs", global: true },
+  "aria-grabbed": { type: "true/false/undefined", global: true },
+  "aria-haspopup": {
+    type: "token",
+    values: ["false", "true", "menu", "listbox", "tree", "grid", "dialog"],
+    global: true,
+  },
+  "aria-hidden": { type: "true/false/undefined", global: true },
+  "aria-invalid": {
+    type: "token",
+    values: ["grammar", "false", "spelling", "true"],
+    global: true,
+  },
+  "aria-keyshortcuts": { type: "string", global: true },
+  "aria-label": { type: "string", global: true },
+  "aria-labelledby": { type: "idrefs", global: true },
+  "aria-level": { type: "integer" },
+  "aria-live": {
+    type: "token",
+    values: ["assertive", "off", "polite"],
+    global: true,
+  },
+  "aria-modal": { type: "true/false" },
+  "aria-multiline": { type: "true/false" },
+  "aria-multiselectable": { type: "true/false" },
+  "aria-orientation": {
+    type: "token",
+    values: ["horizontal", "vertical", "undefined"],
+  },
+  "aria-owns": { type: "idrefs", global: true },
+  "aria-placeholder": { type: "string" },
+  "aria-posinset": { type: "integer" },
+  "aria-pressed": { type: "tristate" },
+  "aria-readonly": { type: "true/false" },
+  "aria-relevant": {
+    type: "tokens",
+    values: ["additions", "all", "removals", "text"],
+    global: true,
+  },
+  "aria-required": { type: "true/false" },
+  "aria-roledescription": { type: "string", global: true },
+  "aria-rowcount": { type: "integer" },
+  "aria-rowindex": { type: "integer" },
+  "aria-rowspan": { type: "integer" },
+  "aria-selected": { type: "true/false/undefined" },
+  "aria-setsize": { type: "integer" },
+  "aria-sort": {
+    type: "token",
+    values: ["ascending", "descending", "none", "other"],
+  },
+  "aria-valuemax": { type: "number" },
+  "aria-valuemin": { type: "number" },
+  "aria-valuenow": { type: "number" },
+  "aria-valuetext": { type: "string" },
+  // ARIA 1.3 (déjà pris en charge par les navigateurs) : ne pas les signaler comme inconnus
+  "aria-braillelabel": { type: "string", global: true },
+  "aria-brailleroledescription": { type: "string", global: true },
+  "aria-colindextext": { type: "string" },
+  "aria-description": { type: "string", global: true },
+  "aria-rowindextext": { type: "string" },
+};
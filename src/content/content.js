@@ -1,4 +1,8 @@
 ﻿// Content script to analyze page accessibility
+/* global computeAccessibleName, getComposedParent, getElementRole, getReferencedElements,
+   isAuditMarker, isHiddenFromAccessibility, NAME_SOURCE -- définis par accname.js, injecté avant ce script */
+/* global ARIA_ABSTRACT_ROLES, ARIA_ROLES, ARIA_ATTRIBUTES, ARIA_VALUE_TOKENS,
+   ARIA_ROLE_PREFIXES -- définis par aria-data.js, injecté avant ce script */
 
 // Protection contre les injections multiples du script
 if (window.accessibilityAuditInjected) {
@@ -16,12 +20,23 @@ const markedElements = {
   forms: [],
   buttons: [],
   contrast: [],
+  nonText: [],
+  idrefs: [],
+  aria: [],
+  keyboard: [],
+  focusOrder: [],
+  focus: [],
+  targetSize: [],
+  tables: [],
+  media: [],
+  iframes: [],
+  shadowDom: [],
 };
 
-// Constantes NodeFilter
-const NODE_FILTER_SHOW_TEXT = 4;
-const NODE_FILTER_ACCEPT = 1;
-const NODE_FILTER_REJECT = 2;
+// Marqueurs génériques par élément : styles inline d'origine et catégories qui le
+// marquent, de la plus ancienne à la plus récente
+const markerStyleStates = new WeakMap();
+const MARKER_STYLE_PROPERTIES = ["outline", "outlineOffset", "boxShadow"];
 
 // Durée de l'effet de mise en évidence (en ms)
 const HIGHLIGHT_DURATION = 3000;
@@ -44,6 +59,77 @@ const LUMINANCE_BLUE_COEFFICIENT = 0.0722; // Coefficient bleu
 // Constantes pour le calcul du ratio de contraste WCAG
 const CONTRAST_OFFSET = 0.05; // Offset WCAG pour le calcul du ratio
 
+// Constantes de l'algorithme APCA (brouillon WCAG 3, version APCA-W3 0.1.9)
+const APCA_MAIN_TRC = 2.4; // Exposant de linéarisation simplifié
+const APCA_RED_COEFFICIENT = 0.2126729; // Coefficient rouge
+const APCA_GREEN_COEFFICIENT = 0.7151522; // Coefficient vert
+const APCA_BLUE_COEFFICIENT = 0.072175; // Coefficient bleu
+const APCA_NORM_BG = 0.56; // Exposant du fond (texte sombre sur fond clair)
+const APCA_NORM_TXT = 0.57; // Exposant du texte (texte sombre sur fond clair)
+const APCA_REV_TXT = 0.62; // Exposant du texte (texte clair sur fond sombre)
+const APCA_REV_BG = 0.65; // Exposant du fond (texte clair sur fond sombre)
+const APCA_BLACK_THRESHOLD = 0.022; // Seuil de rehaussement des noirs
+const APCA_BLACK_CLAMP = 1.414; // Exposant de rehaussement des noirs
+const APCA_SCALE = 1.14; // Facteur d'échelle commun
+const APCA_LOW_OFFSET = 0.027; // Offset appliqué aux faibles contrastes
+const APCA_LOW_CLIP = 0.1; // En dessous, le contraste est considéré nul
+const APCA_DELTA_Y_MIN = 0.0005; // Différence de luminance minimale
+const APCA_LC_SCALE = 100; // Conversion en valeur Lc
+
+// Table APCA taille/graisse : pour chaque Lc, taille minimale (px) par graisse 100 à 900.
+// null = graisse inutilisable pour du texte à ce niveau de contraste.
+const APCA_FONT_LOOKUP = [
+  [25, null, null, null, 120, 120, 108, 96, 96, 96],
+  [30, null, null, 120, 108, 108, 96, 72, 72, 72],
+  [35, null, 120, 108, 96, 72, 60, 48, 48, 48],
+  [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+  [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+  [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+  [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+  [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+  [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+  [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+  [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+  [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+  [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+  [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+];
+const APCA_MAX_BODY_LC = 90; // Lc exigé pour un texte plus petit que la table
+// Niveau AAA : Lc « préféré » (+15) plutôt que minimum, plafonné au Lc du texte
+// courant (au-delà, seul un noir quasi pur sur blanc passerait)
+const APCA_AAA_LC_BONUS = 15;
+const FONT_WEIGHT_STEP = 100; // Pas des graisses de la table APCA
+
+// Algorithmes de contraste disponibles (celui qui fait foi est choisi dans le popup)
+const CONTRAST_ALGORITHMS = ["wcag2", "apca"];
+const DEFAULT_CONTRAST_ALGORITHM = "wcag2";
+
+// Constantes de l'espace OKLab/OKLCH (Björn Ottosson) pour les suggestions de couleurs
+const SRGB_ENCODE_THRESHOLD = 0.0031308; // Seuil de la partie linéaire à l'encodage sRGB
+const OKLAB_LMS_MATRIX = [
+  [0.4122214708, 0.5363325363, 0.0514459929],
+  [0.2119034982, 0.6806995451, 0.1073969566],
+  [0.0883024619, 0.2817188376, 0.6299787005],
+]; // sRGB linéaire → cônes LMS
+const OKLAB_LAB_MATRIX = [
+  [0.2104542553, 0.793617785, -0.0040720468],
+  [1.9779984951, -2.428592205, 0.4505937099],
+  [0.0259040371, 0.7827717662, -0.808675766],
+]; // LMS (racine cubique) → OKLab
+const OKLAB_INVERSE_LMS_MATRIX = [
+  [1, 0.3963377774, 0.2158037573],
+  [1, -0.1055613458, -0.0638541728],
+  [1, -0.0894841775, -1.291485548],
+]; // OKLab → LMS (racine cubique)
+const OKLAB_INVERSE_RGB_MATRIX = [
+  [4.0767416621, -3.3077115913, 0.2309699292],
+  [-1.2684380046, 2.6097574011, -0.3413193965],
+  [-0.0041960863, -0.7034186147, 1.707614701],
+]; // LMS → sRGB linéaire
+const OKLCH_SEARCH_STEPS = 24; // Itérations de la recherche dichotomique sur la luminosité
+const GAMUT_EPSILON = 0.0001; // Tolérance pour considérer une couleur dans le gamut sRGB
+const ACHROMATIC_CHROMA = 0.0001; // En dessous, la couleur est considérée comme un gris
+
 // Constantes pour l'analyse des couleurs hexadécimales
 const HEX_SHORT_LENGTH = 3; // Longueur d'un hex court (#RGB)
 const HEX_BLUE_START_INDEX = 4; // Position du bleu dans hex long (#RRGGBB)
@@ -55,19 +141,776 @@ const LARGE_TEXT_MIN_SIZE = 24; // Taille minimale en px pour texte large
 const LARGE_TEXT_MIN_SIZE_BOLD = 18.66; // Taille minimale en px pour texte large gras
 const BOLD_FONT_WEIGHT_THRESHOLD = 700; // Poids minimum pour considérer comme gras
 
-// Ratios de contraste minimum selon WCAG 2.1 AA
-const CONTRAST_RATIO_NORMAL_TEXT = 4.5; // Ratio minimum pour texte normal
-const CONTRAST_RATIO_LARGE_TEXT = 3; // Ratio minimum pour texte large
+// Ratios de contraste minimum selon le niveau de conformité WCAG 2.1
+const CONTRAST_RATIOS = {
+  AA: { normal: 4.5, large: 3 }, // Critère 1.4.3 (Contraste minimum)
+  AAA: { normal: 7, large: 4.5 }, // Critère 1.4.6 (Contraste amélioré)
+};
+
+// Niveaux de conformité WCAG, du moins exigeant au plus exigeant
+const CONFORMANCE_LEVELS = ["A", "AA", "AAA"];
+const DEFAULT_CONFORMANCE_LEVEL = "AA";
+
+// Fond par défaut du canvas lorsque aucun ancêtre ne définit de couleur de fond
+const CANVAS_DEFAULT_COLOR = { r: 255, g: 255, b: 255, a: 1 };
+
+// Contraste non textuel (critère 1.4.11, niveau AA)
+const NON_TEXT_CONTRAST_RATIO = 3; // Ratio minimum des composants d'interface et objets graphiques
+const BORDER_SIDES = ["Top", "Right", "Bottom", "Left"];
+
+// Qualité des alternatives d'images (critère 1.1.1)
+const ALT_TEXT_MAX_LENGTH = 150;
+// Nom de fichier : extension d'image, ou préfixe d'appareil photo suivi d'un numéro
+const IMAGE_FILE_NAME_PATTERN =
+  /\.(avif|bmp|gif|jpe?g|png|svg|tiff?|webp)$|^(img|dsc|dscn|dcim|pxl|mvimg|screenshot|capture|image|photo)[\s_-]*\d+/i;
+// Alternatives génériques (comparées après normalizeAltText)
+const PLACEHOLDER_ALT_TEXTS = [
+  "image",
+  "img",
+  "images",
+  "photo",
+  "photos",
+  "picture",
+  "pic",
+  "graphic",
+  "graphique",
+  "icon",
+  "icone",
+  "icône",
+  "illustration",
+  "visuel",
+  "logo",
+  "placeholder",
+  "spacer",
+  "blank",
+  "alt",
+  "alt text",
+  "texte alternatif",
+  "untitled",
+  "sans titre",
+];
+
+// Textes de liens non descriptifs par langue (comparés après normalizeLinkText)
+const NON_DESCRIPTIVE_LINK_TEXTS = {
+  fr: [
+    "cliquez ici",
+    "cliquer ici",
+    "ici",
+    "en savoir plus",
+    "savoir plus",
+    "plus",
+    "plus d'infos",
+    "plus d'informations",
+    "voir",
+    "voir plus",
+    "voir la suite",
+    "lire la suite",
+    "lire plus",
+    "suite",
+    "lien",
+    "cette page",
+    "découvrir",
+    "accéder",
+  ],
+  en: [
+    "click here",
+    "click",
+    "here",
+    "this",
+    "this link",
+    "this page",
+    "read more",
+    "more",
+    "more info",
+    "more information",
+    "learn more",
+    "find out more",
+    "see more",
+    "continue",
+    "continue reading",
+    "details",
+    "link",
+    "go",
+  ],
+  de: [
+    "hier",
+    "hier klicken",
+    "klicken sie hier",
+    "mehr",
+    "mehr erfahren",
+    "mehr lesen",
+    "mehr infos",
+    "mehr informationen",
+    "weiterlesen",
+    "weiter",
+    "details",
+    "link",
+    "diese seite",
+  ],
+  es: [
+    "haga clic aquí",
+    "haz clic aquí",
+    "pulse aquí",
+    "aquí",
+    "más",
+    "leer más",
+    "saber más",
+    "ver más",
+    "más información",
+    "seguir leyendo",
+    "continuar",
+    "detalles",
+    "enlace",
+    "esta página",
+  ],
+};
+
+// Faux titres : texte court, gras et grand, balisé en paragraphe (critère 1.3.1)
+const FAKE_HEADING_MAX_LENGTH = 80;
+const FAKE_HEADING_MIN_FONT_WEIGHT = 600;
+const FAKE_HEADING_FONT_SIZE_RATIO = 1.2; // Par rapport au texte de <body>
+const FAKE_HEADING_INLINE_TAGS = [
+  "b",
+  "strong",
+  "em",
+  "i",
+  "span",
+  "u",
+  "font",
+];
+
+// Rôles de région (landmarks) ; form et region ne sont des régions que s'ils sont nommés
+const LANDMARK_ROLES = [
+  "banner",
+  "complementary",
+  "contentinfo",
+  "form",
+  "main",
+  "navigation",
+  "region",
+  "search",
+];
+const NAMED_LANDMARK_ROLES = ["form", "region"];
+const LANDMARK_SELECTOR =
+  "main, nav, header, footer, aside, form, section, search, [role]";
+// header et footer ne sont banner / contentinfo qu'en dehors d'un contenu de sectionnement
+const LANDMARK_SCOPING_SELECTOR =
+  'article, aside, main, nav, section, [role="article"], [role="complementary"], [role="main"], [role="navigation"], [role="region"]';
+
+// Plan de la page : identifiants de navigation distincts de ceux des marqueurs
+const STRUCTURE_ID_ATTRIBUTE = "data-accessibility-structure-id";
+const STRUCTURE_HIGHLIGHT_COLOR = "#7c3aed";
+
+// Règles des liens : libellé du sous-type (affiché comme "Type") et badge
+const LINK_RULES = {
+  empty: { label: "Lien vide", badge: "⚠️ LIEN VIDE" },
+  nonDescriptive: { label: "Texte non descriptif", badge: "⚠️ ARIA-LABEL ?" },
+  inconsistent: {
+    label: "Même texte, destinations différentes",
+    badge: "⚠️ MÊME TEXTE",
+  },
+  adjacent: { label: "Liens adjacents redondants", badge: "⚠️ À FUSIONNER" },
+  newWindow: {
+    label: "Nouvelle fenêtre non signalée",
+    badge: "⚠️ NOUVELLE FENÊTRE",
+  },
+  document: { label: "Document sans format ni poids", badge: "⚠️ DOCUMENT" },
+};
+
+// Mention d'une ouverture dans une nouvelle fenêtre (fr, en, de, es)
+const NEW_WINDOW_PATTERN =
+  /nouvel(le)?\s+(fen[êe]tre|onglet)|new\s+(window|tab)|neue[ns]?\s+(fenster|tab)|nueva\s+(ventana|pesta[ñn]a)|\bexterne?\b|\bexternal\b/i;
+
+// Documents téléchargeables : extension → noms de format acceptés dans le texte
+const DOCUMENT_LINK_FORMATS = {
+  pdf: ["pdf"],
+  doc: ["doc", "word"],
+  docx: ["docx", "doc", "word"],
+  xls: ["xls", "excel"],
+  xlsx: ["xlsx", "xls", "excel"],
+  ppt: ["ppt", "powerpoint"],
+  pptx: ["pptx", "ppt", "powerpoint"],
+  odt: ["odt", "opendocument"],
+  ods: ["ods", "opendocument"],
+  odp: ["odp", "opendocument"],
+  rtf: ["rtf"],
+  csv: ["csv"],
+  zip: ["zip"],
+  epub: ["epub"],
+};
+// Poids d'un fichier : "2 Mo", "350 ko", "1.2 MB", "12 KiB"...
+const FILE_SIZE_PATTERN =
+  /\d+(?:[.,]\d+)?\s*(?:[kmg]?o|[kmg]i?b|octets?|bytes?)\b/i;
+
+// Mots fréquents servant à deviner la langue d'une page sans attribut lang
+const LANGUAGE_STOPWORDS = {
+  fr: ["le", "la", "les", "des", "et", "est", "une", "pour", "dans", "avec"],
+  en: ["the", "and", "is", "of", "to", "for", "with", "that", "this", "you"],
+  de: ["der", "die", "das", "und", "ist", "nicht", "mit", "für", "ein", "auf"],
+  es: ["el", "los", "las", "y", "es", "para", "con", "una", "por", "del"],
+};
+const LANGUAGE_DETECTION_WORD_LIMIT = 2000;
+
+// Contenus non textuels audités par checkImages (les SVG ont leur propre catégorie)
+// Les préfixes ne portent que sur le début d'une classe ("sofa-bed" n'est pas une icône)
+const ICON_FONT_CLASS_PREFIXES = [
+  "fa-",
+  "material-icons-",
+  "material-symbols-",
+  "icon-",
+  "bi-",
+];
+const ICON_FONT_CLASSES = [
+  ".fa",
+  ".fas",
+  ".far",
+  ".fab",
+  ".fal",
+  ".material-icons",
+  ".glyphicon",
+  ...ICON_FONT_CLASS_PREFIXES.flatMap((prefix) => [
+    `[class^="${prefix}"]`,
+    `[class*=" ${prefix}"]`,
+  ]),
+];
+// Contrôles dont le nom rend superflue l'alternative d'une icône qu'ils contiennent
+const ICON_CONTROL_SELECTOR =
+  'a[href], button, summary, label, [role="button"], [role="link"], [role="menuitem"], [role="tab"]';
+const ICON_FONT_SELECTOR = ICON_FONT_CLASSES.flatMap((selector) => [
+  `i${selector}`,
+  `span${selector}`,
+]).join(", ");
+const NON_TEXT_CONTENT_SELECTOR = `img, input[type="image"], area[href], object, embed, canvas, [role="img"]:not(svg), ${ICON_FONT_SELECTOR}`;
+const NON_TEXT_CONTENT_LABELS = {
+  img: "Image",
+  "input-image": "Bouton image",
+  area: "Zone de carte",
+  object: "Objet",
+  embed: "Objet",
+  canvas: "Canvas",
+  "role-img": "role=img",
+  icon: "Icône",
+};
+
+// Champs de formulaire audités (étiquettes et contraste non textuel)
+const FORM_CONTROL_SELECTOR =
+  'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select';
+
+// Autocomplete (HTML, § Autofill) : noms de champs et préfixes autorisés
+const AUTOCOMPLETE_FIELD_NAMES = [
+  "name",
+  "honorific-prefix",
+  "given-name",
+  "additional-name",
+  "family-name",
+  "honorific-suffix",
+  "nickname",
+  "username",
+  "new-password",
+  "current-password",
+  "one-time-code",
+  "organization-title",
+  "organization",
+  "street-address",
+  "address-line1",
+  "address-line2",
+  "address-line3",
+  "address-level4",
+  "address-level3",
+  "address-level2",
+  "address-level1",
+  "country",
+  "country-name",
+  "postal-code",
+  "cc-name",
+  "cc-given-name",
+  "cc-additional-name",
+  "cc-family-name",
+  "cc-number",
+  "cc-exp",
+  "cc-exp-month",
+  "cc-exp-year",
+  "cc-csc",
+  "cc-type",
+  "transaction-currency",
+  "transaction-amount",
+  "language",
+  "bday",
+  "bday-day",
+  "bday-month",
+  "bday-year",
+  "sex",
+  "url",
+  "photo",
+];
+// Champs de contact, seuls à accepter un préfixe home/work/mobile/fax/pager
+const AUTOCOMPLETE_CONTACT_FIELD_NAMES = [
+  "tel",
+  "tel-country-code",
+  "tel-national",
+  "tel-area-code",
+  "tel-local",
+  "tel-local-prefix",
+  "tel-local-suffix",
+  "tel-extension",
+  "email",
+  "impp",
+];
+const AUTOCOMPLETE_CONTACT_TYPES = ["home", "work", "mobile", "fax", "pager"];
+const AUTOCOMPLETE_ADDRESS_TYPES = ["shipping", "billing"];
+
+// Champs ne recueillant pas de données personnelles au sens du critère 1.3.5
+const AUTOCOMPLETE_EXEMPT_INPUT_TYPES = [
+  "checkbox",
+  "radio",
+  "file",
+  "range",
+  "color",
+  "password",
+  "search",
+];
+
+// Données personnelles reconnues par le nom, l'id ou l'étiquette d'un champ (critère 1.3.5)
+// L'ordre compte : "adresse e-mail" est un e-mail, "prénom" n'est pas un nom de famille
+const PERSONAL_DATA_FIELDS = [
+  { pattern: /e-?mail|courriel/i, token: "email" },
+  { pattern: /t[ée]l[ée]phone|phone|mobile|portable|^tel$/i, token: "tel" },
+  { pattern: /utilisateur|identifiant|user.?name|login/i, token: "username" },
+  { pattern: /pr[ée]nom|first.?name|given.?name/i, token: "given-name" },
+  {
+    pattern: /^nom\b|nom de famille|last.?name|family.?name|surname/i,
+    token: "family-name",
+  },
+  {
+    pattern: /code.?postal|postal.?code|\bzip\b|\bcp\b/i,
+    token: "postal-code",
+  },
+  { pattern: /ville|city|localit[ée]/i, token: "address-level2" },
+  { pattern: /adresse|address|street|\brue\b/i, token: "street-address" },
+  { pattern: /pays|country/i, token: "country-name" },
+  { pattern: /naissance|birth|bday/i, token: "bday" },
+  {
+    pattern: /soci[ée]t[ée]|entreprise|organi[sz]ation|company/i,
+    token: "organization",
+  },
+];
+
+// Indication visuelle d'un champ obligatoire dans son étiquette
+const REQUIRED_MARKER_PATTERN = /\*|\bobligatoire\b|\brequis\b|\brequired\b/i;
+
+// Champs dont le rendu natif (non modifié par l'auteur) est exempté du critère 1.4.11
+const NATIVE_APPEARANCE_INPUT_TYPES = [
+  "checkbox",
+  "radio",
+  "range",
+  "color",
+  "file",
+];
+
+// Formes SVG dont le remplissage et le contour sont mesurés
+const SVG_SHAPE_SELECTOR =
+  "path, circle, rect, ellipse, line, polyline, polygon, text, use";
+
+// Attributs référençant d'autres éléments par leur id
+// (multiple: liste d'ids séparés par des espaces ; naming: sert au nom accessible)
+const IDREF_ATTRIBUTES = [
+  { name: "aria-labelledby", multiple: true, naming: true },
+  { name: "aria-describedby", multiple: true, naming: true },
+  { name: "aria-controls", multiple: true, naming: false },
+  { name: "aria-owns", multiple: true, naming: false },
+  { name: "aria-activedescendant", multiple: false, naming: false },
+  { name: "for", multiple: false, naming: false, selector: "label[for]" },
+];
+
+// Tableaux (WCAG 1.3.1)
+const LAYOUT_TABLE_ROLES = ["presentation", "none"];
+const DATA_TABLE_ROLES = ["table", "grid", "treegrid"];
+const HEADER_CELL_ROLES = ["columnheader", "rowheader"];
+// Contenu structurant qui révèle un tableau de mise en page
+const LAYOUT_TABLE_CONTENT_SELECTOR =
+  "table, form, nav, header, footer, aside, section, article, main";
+
+// Médias (WCAG 1.2.1, 1.2.2, 1.4.2, 2.1.1)
+const AUTOPLAY_MAX_DURATION = 3; // Durée (s) au-delà de laquelle un son automatique doit pouvoir être arrêté
+const TRANSCRIPT_PATTERN = /transcri/i; // transcript, transcription, transcrit...
+// Enveloppe d'un lecteur : ancêtres proches ne contenant que ce média, sans dépasser
+// une section de la page (ses autres boutons et liens ne concernent pas le lecteur)
+const MEDIA_WRAPPER_MAX_DEPTH = 3;
+const MEDIA_WRAPPER_BOUNDARY_SELECTOR =
+  'body, main, article, section, aside, nav, [role="main"], [role="article"], [role="region"], [role="complementary"], [role="navigation"]';
+// Lecteurs intégrés par iframe, réglés par les paramètres de leur URL
+const MEDIA_PLAYER_HOSTS = [
+  "youtube.com",
+  "youtube-nocookie.com",
+  "vimeo.com",
+  "dailymotion.com",
+  "soundcloud.com",
+];
+const MEDIA_PLAYER_PARAMS = {
+  autoplay: ["autoplay", "auto_play"],
+  muted: ["mute", "muted"],
+  controls: ["controls"],
+};
+
+// Éléments dont la sémantique native fournit un état ARIA requis
+// (ex: role="switch" sur une case à cocher native n'a pas besoin d'aria-checked)
+const NATIVE_ARIA_STATES = {
+  "aria-checked": 'input[type="checkbox"], input[type="radio"]',
+  "aria-expanded": "select",
+  "aria-level": "h1, h2, h3, h4, h5, h6",
+  "aria-valuenow": 'input[type="range"], meter',
+};
+
+// Éléments sans sémantique (rôle generic) sur lesquels les attributs ARIA sont vérifiés
+const GENERIC_ELEMENTS = ["div", "span"];
+
+// Rôles transparents lors de la recherche des éléments possédés
+const TRANSPARENT_ROLES = ["", "generic", "none", "presentation"];
+
+// Échange avec listener-tracker.js (monde MAIN) : doivent correspondre à ses constantes
+const LISTENER_COLLECT_EVENT = "accessibility-audit-collect-listeners";
+const LISTENER_ATTRIBUTE = "data-accessibility-listeners";
+
+// Éléments atteignables au clavier sans tabindex
+const NATIVELY_FOCUSABLE_SELECTOR =
+  'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"])';
+
+// Rôles de contrôles qui doivent pouvoir recevoir le focus
+const FOCUSABLE_WIDGET_ROLES = [
+  "button",
+  "link",
+  "checkbox",
+  "radio",
+  "switch",
+  "tab",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "slider",
+  "spinbutton",
+  "combobox",
+  "textbox",
+  "searchbox",
+  "treeitem",
+];
+
+// Composites dont le focus est géré par le conteneur (tabindex mobile ou aria-activedescendant)
+const FOCUS_MANAGING_CONTAINER_SELECTOR =
+  '[aria-activedescendant], [role="tablist"], [role="menu"], [role="menubar"], [role="toolbar"], [role="listbox"], [role="radiogroup"], [role="tree"], [role="treegrid"], [role="grid"]';
+
+// Copies des styles des badges placées dans les shadow roots
+const SHADOW_STYLE_ATTRIBUTE = "data-accessibility-shadow-style";
+
+// Superposition de l'ordre de tabulation
+const FOCUS_ORDER_OVERLAY_ID = "accessibility-focus-order-overlay";
+const FOCUS_ORDER_BADGE_SIZE = 22; // Diamètre des pastilles numérotées (px)
+const VISUALLY_HIDDEN_MAX_SIZE = 1; // Taille (px) en dessous de laquelle un élément est invisible
+
+// Taille des cibles (critères 2.5.8, niveau AA, et 2.5.5, niveau AAA)
+const TARGET_SIZE_MINIMUM = 24; // Côté minimum (px CSS) et diamètre du cercle d'espacement
+const TARGET_SIZE_ENHANCED = 44;
+const TARGET_SIZE_OVERLAY_ID = "accessibility-target-size-overlay";
+const TARGET_GRID_CELL_SIZE = TARGET_SIZE_MINIMUM * 2; // Cellules de la grille de voisinage (px)
+// Contrôles dont la taille par défaut est fixée par le navigateur (exception « agent utilisateur »)
+const USER_AGENT_SIZED_INPUT_TYPES = ["checkbox", "radio"];
+const POINTER_TARGET_SELECTOR = [
+  "a[href]",
+  "button",
+  'input:not([type="hidden"])',
+  "select",
+  "textarea",
+  "summary",
+  ...FOCUSABLE_WIDGET_ROLES.map((role) => `[role="${role}"]`),
+].join(", ");
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Indicateur de focus (critères 2.4.7, niveau AA, et 2.4.13, niveau AAA)
+const FOCUS_APPEARANCE_THICKNESS = 2; // Épaisseur (px) du périmètre de référence (2.4.13)
+const FOCUS_APPEARANCE_CONTRAST_RATIO = 3; // Contraste minimum entre états focalisé et non focalisé
+const FOCUS_OBSCURED_GRID_SIZE = 5; // Points testés par axe pour le masquage du focus (2.4.11)
+
+// Propriétés comparées avec et sans focus, regroupées par type d'indicateur
+const FOCUS_INDICATOR_PROPERTIES = {
+  outline: ["outlineStyle", "outlineWidth", "outlineColor", "outlineOffset"],
+  boxShadow: ["boxShadow"],
+  border: BORDER_SIDES.flatMap((side) => [
+    `border${side}Style`,
+    `border${side}Width`,
+    `border${side}Color`,
+  ]),
+  background: ["backgroundColor", "backgroundImage"],
+  color: ["color"],
+  textDecoration: ["textDecorationLine", "textDecorationColor"],
+};
+const FOCUS_INDICATOR_LABELS = {
+  outline: "contour (outline)",
+  boxShadow: "ombre (box-shadow)",
+  border: "bordure",
+  background: "fond",
+  color: "couleur du texte",
+  textDecoration: "soulignement",
+  pseudo: "pseudo-élément ::before/::after",
+  container: "conteneur (:focus-within)",
+  box: "taille ou position",
+};
+const FOCUS_TEXT_ONLY_INDICATORS = ["color", "textDecoration"];
+const FOCUS_PSEUDO_PROPERTIES = [
+  "content",
+  "backgroundColor",
+  "borderTopColor",
+  "boxShadow",
+  "outlineStyle",
+];
+const FOCUS_CONTAINER_PROPERTIES = [
+  "outlineStyle",
+  "outlineColor",
+  "boxShadow",
+  "borderTopColor",
+  "backgroundColor",
+];
+
+// Style des marqueurs des catégories utilisant les marqueurs génériques
+// (overlayId : superposition supplémentaire retirée avec les marqueurs)
+const MARKER_STYLES = {
+  nonText: {
+    color: "#0e7490",
+    glow: "rgba(14, 116, 144, 0.5)",
+    badgeClass: "accessibility-badge-non-text",
+    styleId: "accessibility-non-text-styles",
+    issueType: "non-text-contrast",
+  },
+  idrefs: {
+    color: "#be185d",
+    glow: "rgba(190, 24, 93, 0.5)",
+    badgeClass: "accessibility-badge-idrefs",
+    styleId: "accessibility-idrefs-styles",
+    issueType: "broken-idref",
+  },
+  aria: {
+    color: "#4338ca",
+    glow: "rgba(67, 56, 202, 0.5)",
+    badgeClass: "accessibility-badge-aria",
+    styleId: "accessibility-aria-styles",
+    issueType: "invalid-aria",
+  },
+  keyboard: {
+    color: "#475569",
+    glow: "rgba(71, 85, 105, 0.5)",
+    badgeClass: "accessibility-badge-keyboard",
+    styleId: "accessibility-keyboard-styles",
+    issueType: "keyboard-unreachable",
+  },
+  focusOrder: {
+    color: "#2563eb",
+    glow: "rgba(37, 99, 235, 0.5)",
+    badgeClass: "accessibility-badge-focus-order",
+    styleId: "accessibility-focus-order-styles",
+    issueType: "focus-order",
+    overlayId: FOCUS_ORDER_OVERLAY_ID,
+  },
+  focus: {
+    color: "#c026d3",
+    glow: "rgba(192, 38, 211, 0.5)",
+    badgeClass: "accessibility-badge-focus",
+    styleId: "accessibility-focus-styles",
+    issueType: "focus-indicator",
+  },
+  targetSize: {
+    color: "#ea580c",
+    glow: "rgba(234, 88, 12, 0.5)",
+    badgeClass: "accessibility-badge-target-size",
+    styleId: "accessibility-target-size-styles",
+    issueType: "target-size",
+    overlayId: TARGET_SIZE_OVERLAY_ID,
+  },
+  tables: {
+    color: "#65a30d",
+    glow: "rgba(101, 163, 13, 0.5)",
+    badgeClass: "accessibility-badge-table",
+    styleId: "accessibility-table-styles",
+    issueType: "table",
+  },
+  media: {
+    color: "#7c3aed",
+    glow: "rgba(124, 58, 237, 0.5)",
+    badgeClass: "accessibility-badge-media",
+    styleId: "accessibility-media-styles",
+    issueType: "media",
+  },
+  iframes: {
+    color: "#a16207",
+    glow: "rgba(161, 98, 7, 0.5)",
+    badgeClass: "accessibility-badge-iframe",
+    styleId: "accessibility-iframe-styles",
+    issueType: "iframe-title",
+  },
+  shadowDom: {
+    color: "#57534e",
+    glow: "rgba(87, 83, 78, 0.5)",
+    badgeClass: "accessibility-badge-shadow-dom",
+    styleId: "accessibility-shadow-dom-styles",
+    issueType: "closed-shadow-root",
+  },
+};
 
 // Constantes pour la détection du texte direct
 const TEXT_NODE_TYPE = 3; // Type de noeud pour les text nodes (Node.TEXT_NODE)
 
-// Limite de performance pour l'analyse du contraste
-const MAX_CONTRAST_ELEMENTS = 500; // Nombre maximum d'éléments à analyser (augmenté pour pages complexes)
+// Ordonnancement de l'audit : traitement par tranches pendant les temps morts du navigateur
+const IDLE_CALLBACK_TIMEOUT = 200; // Délai max (ms) avant d'exécuter une tranche sur une page occupée
+const IDLE_FALLBACK_BUDGET = 8; // Durée (ms) d'une tranche exécutée après ce délai
+const AUDIT_PORT_NAME = "accessibility-audit"; // Doit correspondre à AUDIT.PORT_NAME (constants.js)
 
 // Constante pour la longueur maximale des snippets HTML
 const MAX_HTML_SNIPPET_LENGTH = 500; // Nombre maximum de caractères pour un snippet HTML
 
+// ============= SHADOW DOM =============
+
+/**
+ * querySelectorAll traversant les shadow roots ouvertes (composants web) :
+ * le contenu d'un hôte suit l'hôte, dans l'ordre du document. Les éléments
+ * distribués dans un slot restent dans l'arbre de l'hôte et y sont trouvés.
+ * @param {string} selector - Sélecteur CSS
+ * @param {Document|Element|ShadowRoot} [root=document] - Racine (exclue des résultats)
+ * @returns {Array<Element>}
+ */
+function querySelectorAllDeep(selector, root = document) {
+  const matches = [];
+
+  const visit = (scope) => {
+    const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.matches(selector)) {
+        matches.push(node);
+      }
+      if (node.shadowRoot) {
+        visit(node.shadowRoot);
+      }
+    }
+  };
+  visit(root);
+
+  return matches;
+}
+
+/**
+ * querySelector traversant les shadow roots ouvertes
+ * @param {string} selector - Sélecteur CSS
+ * @returns {Element|null}
+ */
+function querySelectorDeep(selector) {
+  return querySelectorAllDeep(selector)[0] || null;
+}
+
+/**
+ * contains() dans l'arbre composé : traverse les shadow roots (un hôte contient
+ * les éléments de sa shadow root) et suit les éléments distribués dans un slot
+ * @param {Element} ancestor - Ancêtre supposé
+ * @param {Element} node - Élément recherché
+ * @returns {boolean}
+ */
+function containsComposed(ancestor, node) {
+  for (let current = node; current; current = getComposedParent(current)) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Hôtes des shadow roots contenant un élément, du plus externe au plus proche
+ * @param {Element} el - L'élément
+ * @returns {Array<string>} - Ex: ["ds-dialog#confirm", "ds-button"]
+ */
+function getShadowHostPath(el) {
+  const hosts = [];
+  for (
+    let root = el.getRootNode();
+    root instanceof ShadowRoot;
+    root = root.host.getRootNode()
+  ) {
+    const { host } = root;
+    hosts.unshift(
+      host.id
+        ? `${host.tagName.toLowerCase()}#${host.id}`
+        : host.tagName.toLowerCase(),
+    );
+  }
+  return hosts;
+}
+
+/**
+ * Copie les styles des badges dans les shadow roots contenant des éléments
+ * marqués : les feuilles de style du document ne les traversent pas
+ */
+function shareMarkerStylesWithShadowRoots() {
+  const styles = Array.from(
+    document.head.querySelectorAll('style[id^="accessibility-"]'),
+  );
+  const roots = new Set(
+    Object.values(markedElements)
+      .flat()
+      .map((el) => el.getRootNode())
+      .filter((root) => root instanceof ShadowRoot),
+  );
+
+  roots.forEach((root) => {
+    root
+      .querySelectorAll(`[${SHADOW_STYLE_ATTRIBUTE}]`)
+      .forEach((style) => style.remove());
+    styles.forEach((style) => {
+      const copy = style.cloneNode(true);
+      copy.removeAttribute("id");
+      copy.setAttribute(SHADOW_STYLE_ATTRIBUTE, style.id);
+      root.appendChild(copy);
+    });
+  });
+}
+
+/**
+ * Recense les composants web : le contenu d'une shadow root fermée
+ * (mode "closed") échappe à l'audit et doit être vérifié à la main
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkShadowRoots(task) {
+  const hosts = querySelectorAllDeep("*").filter(
+    (el) => !isAuditMarker(el) && getShadowRoot(el),
+  );
+
+  const issues = [];
+
+  await processInIdleChunks(
+    hosts,
+    (host) => {
+      if (host.shadowRoot) {
+        return;
+      }
+
+      const shadowDomId = `accessibility-shadow-dom-${issues.length}`;
+      markElement("shadowDom", host, shadowDomId, "⚠️ NON AUDITÉ");
+
+      issues.push({
+        element: host.tagName.toLowerCase(),
+        issue: "Zone non auditable : shadow root fermée",
+        explanation:
+          'Le contenu de ce composant est encapsulé dans une shadow root fermée (mode "closed") : aucune vérification n\'y a été faite. Le tester manuellement, ou ouvrir la shadow root si possible.',
+        severity: "faible",
+        shadowDomId: shadowDomId,
+        htmlSnippet: generateHTMLSnippet(host),
+      });
+    },
+    task,
+  );
+
+  return {
+    total: hosts.length,
+    issues: issues,
+    passed: hosts.length - issues.length,
+  };
+}
+
 // ============= FONCTION UTILITAIRE POUR LES SNIPPETS HTML =============
 
 /**
@@ -87,6 +930,9 @@ function generateHTMLSnippet(element) {
   clone.removeAttribute("data-accessibility-id");
   clone.removeAttribute("data-accessibility-issue");
   clone.removeAttribute("data-position-changed");
+  Object.keys(MARKER_STYLES).forEach((category) =>
+    clone.removeAttribute(getMarkerAttribute(category)),
+  );
 
   // Supprimer aussi les styles ajoutés par notre extension
   clone.style.outline = "";
@@ -101,6 +947,12 @@ function generateHTMLSnippet(element) {
 
   let html = clone.outerHTML;
 
+  // Élément d'un composant : indiquer les hôtes traversés
+  const hosts = getShadowHostPath(element);
+  if (hosts.length > 0) {
+    html = `<!-- shadow DOM : ${hosts.join(" › ")} -->\n${html}`;
+  }
+
   // Tronquer si trop long
   if (html.length > MAX_HTML_SNIPPET_LENGTH) {
     html = `${html.substring(0, MAX_HTML_SNIPPET_LENGTH)}...`;
@@ -109,8 +961,155 @@ function generateHTMLSnippet(element) {
   return html;
 }
 
+/**
+ * Normalise les options d'audit reçues avec le message runAudit
+ * @param {Object} [options] - Options brutes ({ level, contrastAlgorithm })
+ * @returns {Object} - Options complètes avec un niveau de conformité valide
+ */
+function normalizeAuditOptions(options = {}) {
+  const level = CONFORMANCE_LEVELS.includes(options.level)
+    ? options.level
+    : DEFAULT_CONFORMANCE_LEVEL;
+  const contrastAlgorithm = CONTRAST_ALGORITHMS.includes(
+    options.contrastAlgorithm,
+  )
+    ? options.contrastAlgorithm
+    : DEFAULT_CONTRAST_ALGORITHM;
+
+  return { ...options, level: level, contrastAlgorithm: contrastAlgorithm };
+}
+
+/**
+ * Indique si une règle d'un niveau donné s'applique au niveau de conformité visé
+ * @param {string} ruleLevel - Niveau de la règle (A, AA ou AAA)
+ * @param {string} targetLevel - Niveau de conformité visé
+ * @returns {boolean}
+ */
+function isLevelRequired(ruleLevel, targetLevel) {
+  return (
+    CONFORMANCE_LEVELS.indexOf(ruleLevel) <=
+    CONFORMANCE_LEVELS.indexOf(targetLevel)
+  );
+}
+
+// ============= ORDONNANCEMENT DE L'AUDIT =============
+
+// Audit en cours (un nouvel audit annule le précédent)
+let currentAuditTask = null;
+
+/**
+ * Crée l'état d'un audit : annulation et suivi de la progression
+ * @param {Function} [onProgress] - Reçoit {step, completed, total, percent}
+ * @returns {Object} - Tâche d'audit
+ */
+function createAuditTask(onProgress) {
+  return {
+    cancelled: false,
+    onProgress: onProgress || (() => {}),
+    stepIndex: 0,
+    stepCount: 1,
+    stepLabel: "",
+    deferredMarkers: [],
+  };
+}
+
+/**
+ * Diffère la pose d'un marqueur générique jusqu'à la fin des mesures de styles :
+ * son outline et son box-shadow fausseraient la comparaison avec l'état focalisé
+ * @param {Object} task - Tâche d'audit
+ * @param {string} category - Clé de MARKER_STYLES
+ * @param {HTMLElement} el - L'élément concerné
+ * @param {string} markerId - Identifiant de navigation
+ * @param {string} badgeText - Texte du badge
+ */
+function deferMarker(task, category, el, markerId, badgeText) {
+  task.deferredMarkers.push(() =>
+    markElement(category, el, markerId, badgeText),
+  );
+}
+
+/**
+ * Pose les marqueurs différés de la tâche
+ * @param {Object} task - Tâche d'audit
+ */
+function applyDeferredMarkers(task) {
+  task.deferredMarkers.splice(0).forEach((applyMarker) => applyMarker());
+}
+
+/**
+ * Attend un temps mort du navigateur (ou IDLE_CALLBACK_TIMEOUT au plus)
+ * @returns {Promise<IdleDeadline>}
+ */
+function waitForIdle() {
+  return new Promise((resolve) => {
+    requestIdleCallback(resolve, { timeout: IDLE_CALLBACK_TIMEOUT });
+  });
+}
+
+/**
+ * Interrompt l'audit s'il a été annulé
+ * @param {Object} task - Tâche d'audit
+ * @throws {Error} - Erreur marquée `cancelled` si l'audit a été annulé
+ */
+function throwIfCancelled(task) {
+  if (task.cancelled) {
+    const error = new Error("Audit annulé");
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+/**
+ * Transmet la progression de l'étape en cours, rapportée à l'audit complet
+ * @param {Object} task - Tâche d'audit
+ * @param {number} completed - Éléments traités dans l'étape
+ * @param {number} total - Éléments à traiter dans l'étape
+ */
+function reportProgress(task, completed, total) {
+  const stepFraction = total > 0 ? completed / total : 1;
+  task.onProgress({
+    step: task.stepLabel,
+    completed: completed,
+    total: total,
+    percent: Math.round(
+      ((task.stepIndex + stepFraction) / task.stepCount) * 100,
+    ),
+  });
+}
+
+/**
+ * Traite une liste d'éléments par tranches, pendant les temps morts du navigateur,
+ * pour ne pas figer l'onglet sur les pages volumineuses
+ * @param {Array} items - Éléments à traiter
+ * @param {Function} processItem - Traitement d'un élément (reçoit l'élément et son index)
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<void>}
+ */
+async function processInIdleChunks(items, processItem, task) {
+  let index = 0;
+
+  while (index < items.length) {
+    const deadline = await waitForIdle();
+    throwIfCancelled(task);
+
+    const start = performance.now();
+    const budget = deadline.didTimeout
+      ? IDLE_FALLBACK_BUDGET
+      : deadline.timeRemaining();
+
+    do {
+      processItem(items[index], index);
+      index++;
+    } while (index < items.length && performance.now() - start < budget);
+
+    reportProgress(task, index, items.length);
+  }
+}
+
 // Main audit function
-function auditAccessibility() {
+async function auditAccessibility(rawOptions, task = createAuditTask()) {
+  const options = normalizeAuditOptions(rawOptions);
+
   // Nettoyer les marqueurs de l'audit précédent pour éviter les doublons
   clearVisualFeedback();
 
@@ -122,21 +1121,152 @@ function auditAccessibility() {
   markedElements.forms = [];
   markedElements.buttons = [];
   markedElements.contrast = [];
+  markedElements.nonText = [];
+  markedElements.idrefs = [];
+  markedElements.aria = [];
+  markedElements.keyboard = [];
+  markedElements.focus = [];
+  markedElements.targetSize = [];
+  markedElements.tables = [];
+  markedElements.media = [];
+  markedElements.iframes = [];
+  markedElements.shadowDom = [];
+
+  // Le contraste non textuel et l'indicateur de focus sont mesurés en premier :
+  // les marqueurs modifient l'outline des éléments, ceux de ces deux étapes ne sont
+  // posés qu'une fois toutes leurs mesures faites
+  const steps = [
+    {
+      key: "nonText",
+      label: "Contraste non textuel",
+      run: () => checkNonTextContrast(options, task),
+      measuresStyles: true,
+    },
+    {
+      key: "focus",
+      label: "Indicateur de focus",
+      run: () => checkFocusIndicators(options, task),
+      measuresStyles: true,
+    },
+    { key: "images", label: "Images", run: () => checkImages(task) },
+    { key: "svg", label: "SVG", run: () => checkSVG(task) },
+    { key: "links", label: "Liens", run: () => checkLinks(options, task) },
+    {
+      key: "headings",
+      label: "Titres",
+      run: () => checkHeadings(options, task),
+    },
+    {
+      key: "forms",
+      label: "Formulaires",
+      run: () => checkForms(options, task),
+    },
+    { key: "tables", label: "Tableaux", run: () => checkTables(task) },
+    { key: "media", label: "Médias", run: () => checkMedia(task) },
+    { key: "iframes", label: "Cadres", run: () => checkFrames(task) },
+    {
+      key: "shadowDom",
+      label: "Shadow DOM",
+      run: () => checkShadowRoots(task),
+    },
+    {
+      key: "idrefs",
+      label: "Références d'identifiants",
+      run: () => checkIdReferences(task),
+    },
+    { key: "aria", label: "ARIA", run: () => checkAria(task) },
+    { key: "keyboard", label: "Clavier", run: () => checkKeyboard(task) },
+    {
+      key: "targetSize",
+      label: "Taille des cibles",
+      run: () => checkTargetSize(options, task),
+    },
+    {
+      key: "contrast",
+      label: "Contraste des couleurs",
+      run: () => checkContrast(options, task),
+    },
+    { key: "lang", label: "Langue", run: () => checkLanguage() },
+    { key: "landmarks", label: "Structure", run: () => checkLandmarks(task) },
+    { key: "buttons", label: "Boutons", run: () => checkButtons(task) },
+  ];
+
+  const stepResults = {};
+  task.stepCount = steps.length;
+
+  for (const [stepIndex, step] of steps.entries()) {
+    task.stepIndex = stepIndex;
+    task.stepLabel = step.label;
+    reportProgress(task, 0, 1);
+
+    // Rendre la main au navigateur entre deux vérifications
+    await waitForIdle();
+    throwIfCancelled(task);
+
+    if (!step.measuresStyles) {
+      applyDeferredMarkers(task);
+    }
 
-  const results = {
-    images: checkImages(),
-    svg: checkSVG(),
-    links: checkLinks(),
-    headings: checkHeadings(),
-    forms: checkForms(),
-    contrast: checkContrast(),
+    stepResults[step.key] = await step.run();
+  }
+  applyDeferredMarkers(task);
+
+  reportProgress(task, 1, 1);
+  shareMarkerStylesWithShadowRoots();
+
+  return {
+    images: stepResults.images,
+    svg: stepResults.svg,
+    links: stepResults.links,
+    headings: stepResults.headings,
+    forms: stepResults.forms,
+    contrast: stepResults.contrast,
+    nonText: stepResults.nonText,
+    idrefs: stepResults.idrefs,
+    aria: stepResults.aria,
+    keyboard: stepResults.keyboard,
+    focus: stepResults.focus,
+    targetSize: stepResults.targetSize,
+    tables: stepResults.tables,
+    media: stepResults.media,
+    iframes: stepResults.iframes,
+    shadowDom: stepResults.shadowDom,
     colorblind: { total: 0, issues: [], passed: 0 },
-    lang: checkLanguage(),
-    landmarks: checkLandmarks(),
-    buttons: checkButtons(),
+    lang: stepResults.lang,
+    landmarks: stepResults.landmarks,
+    buttons: stepResults.buttons,
   };
+}
+
+/**
+ * Lance un audit en annulant celui éventuellement en cours
+ * @param {Object} rawOptions - Options reçues du popup
+ * @param {Function} [onProgress] - Reçoit la progression
+ * @returns {Object} - Tâche d'audit, avec `promise` résolue par les résultats
+ */
+function startAudit(rawOptions, onProgress) {
+  if (currentAuditTask) {
+    currentAuditTask.cancelled = true;
+  }
+
+  const task = createAuditTask(onProgress);
+  currentAuditTask = task;
+
+  task.promise = auditAccessibility(rawOptions, task)
+    .catch((error) => {
+      // Annulé par l'utilisateur (et non remplacé par un nouvel audit) : retirer les marqueurs partiels
+      if (error.cancelled && currentAuditTask === task) {
+        clearVisualFeedback();
+      }
+      throw error;
+    })
+    .finally(() => {
+      if (currentAuditTask === task) {
+        currentAuditTask = null;
+      }
+    });
 
-  return results;
+  return task;
 }
 
 // ============= FONCTIONS UTILITAIRES POUR LE CONTRASTE =============
@@ -183,13 +1313,13 @@ function parseColor(color) {
 
   // RGB ou RGBA
   const rgbMatch = color.match(
-    /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/,
+    /rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)/,
   );
   if (rgbMatch) {
     return {
-      r: parseInt(rgbMatch[1]),
-      g: parseInt(rgbMatch[2]),
-      b: parseInt(rgbMatch[3]),
+      r: parseFloat(rgbMatch[1]),
+      g: parseFloat(rgbMatch[2]),
+      b: parseFloat(rgbMatch[3]),
       a: rgbMatch[4] ? parseFloat(rgbMatch[4]) : 1,
     };
   }
@@ -247,6 +1377,16 @@ function calculateContrastRatio(fgColor, bgColor) {
     return 0;
   }
 
+  return calculateContrastRatioFromRGB(fg, bg);
+}
+
+/**
+ * Calcule le ratio de contraste entre deux couleurs déjà analysées (opaques)
+ * @param {Object} fg - Couleur du texte {r, g, b}
+ * @param {Object} bg - Couleur du fond {r, g, b}
+ * @returns {number} - Ratio de contraste (1-21)
+ */
+function calculateContrastRatioFromRGB(fg, bg) {
   const fgLum = getRelativeLuminance(fg.r, fg.g, fg.b);
   const bgLum = getRelativeLuminance(bg.r, bg.g, bg.b);
 
@@ -256,6 +1396,82 @@ function calculateContrastRatio(fgColor, bgColor) {
   return (lighter + CONTRAST_OFFSET) / (darker + CONTRAST_OFFSET);
 }
 
+/**
+ * Calcule la luminance estimée d'une couleur selon APCA (avec rehaussement des noirs)
+ * @param {Object} color - Couleur {r, g, b}
+ * @returns {number} - Luminance APCA (Y)
+ */
+function getAPCALuminance(color) {
+  const y =
+    APCA_RED_COEFFICIENT * Math.pow(color.r / RGB_MAX_VALUE, APCA_MAIN_TRC) +
+    APCA_GREEN_COEFFICIENT * Math.pow(color.g / RGB_MAX_VALUE, APCA_MAIN_TRC) +
+    APCA_BLUE_COEFFICIENT * Math.pow(color.b / RGB_MAX_VALUE, APCA_MAIN_TRC);
+
+  return y > APCA_BLACK_THRESHOLD
+    ? y
+    : y + Math.pow(APCA_BLACK_THRESHOLD - y, APCA_BLACK_CLAMP);
+}
+
+/**
+ * Calcule le contraste APCA (Lc) d'un texte sur son fond.
+ * Le résultat est signé : positif pour un texte sombre sur fond clair,
+ * négatif pour un texte clair sur fond sombre.
+ * @param {Object} fg - Couleur du texte {r, g, b}
+ * @param {Object} bg - Couleur du fond {r, g, b}
+ * @returns {number} - Valeur Lc (environ -108 à 106)
+ */
+function calculateAPCAContrast(fg, bg) {
+  const textY = getAPCALuminance(fg);
+  const backgroundY = getAPCALuminance(bg);
+
+  if (Math.abs(backgroundY - textY) < APCA_DELTA_Y_MIN) {
+    return 0;
+  }
+
+  let contrast;
+  if (backgroundY > textY) {
+    // Texte sombre sur fond clair
+    const sapc =
+      (Math.pow(backgroundY, APCA_NORM_BG) - Math.pow(textY, APCA_NORM_TXT)) *
+      APCA_SCALE;
+    contrast = sapc < APCA_LOW_CLIP ? 0 : sapc - APCA_LOW_OFFSET;
+  } else {
+    // Texte clair sur fond sombre
+    const sapc =
+      (Math.pow(backgroundY, APCA_REV_BG) - Math.pow(textY, APCA_REV_TXT)) *
+      APCA_SCALE;
+    contrast = sapc > -APCA_LOW_CLIP ? 0 : sapc + APCA_LOW_OFFSET;
+  }
+
+  return contrast * APCA_LC_SCALE;
+}
+
+/**
+ * Retourne le Lc minimum exigé par la table APCA pour une taille et une graisse
+ * @param {number} fontSize - Taille de la police en pixels
+ * @param {string} fontWeight - Poids de la police
+ * @returns {number} - Lc minimum
+ */
+function getAPCARequiredLc(fontSize, fontWeight) {
+  const weight =
+    fontWeight === "bold" ? BOLD_FONT_WEIGHT_THRESHOLD : parseInt(fontWeight);
+  const roundedWeight = Math.min(
+    900,
+    Math.max(
+      FONT_WEIGHT_STEP,
+      Math.round(weight / FONT_WEIGHT_STEP) * FONT_WEIGHT_STEP,
+    ),
+  );
+  const column = roundedWeight / FONT_WEIGHT_STEP;
+
+  const row = APCA_FONT_LOOKUP.find(
+    (entry) => entry[column] !== null && fontSize >= entry[column],
+  );
+
+  // Texte plus petit que la table : APCA préconise Lc 90 pour le texte courant
+  return row ? row[0] : APCA_MAX_BODY_LC;
+}
+
 /**
  * Détermine si un texte est considéré comme "grand" selon WCAG
  * @param {number} fontSize - Taille de la police en pixels
@@ -291,82 +1507,567 @@ function hasDirectTextContent(element) {
   return false;
 }
 
+// ============= RÉSOLUTION DES FONDS RÉELS (ANCÊTRES, TRANSPARENCE, OPACITÉ) =============
+
+// Cache des calques de fond par élément, réinitialisé à chaque analyse du contraste
+let backgroundLayersCache = new WeakMap();
+
 /**
- * Traite un élément pour vérifier le contraste et créer les marqueurs visuels
- * @param {HTMLElement} el - L'élément à vérifier
- * @param {number} issueIndex - Index de l'erreur
- * @returns {Object|null} - Objet représentant l'erreur ou null si aucun problème
+ * Compose une couleur (éventuellement semi-transparente) sur un fond opaque
+ * @param {Object} top - Couleur du dessus {r, g, b, a}
+ * @param {Object} backdrop - Couleur opaque du dessous {r, g, b}
+ * @returns {Object} - Couleur opaque résultante {r, g, b, a: 1}
  */
-function processContrastElement(el, issueIndex) {
-  const style = window.getComputedStyle(el);
-  const fgColor = style.color;
-  const bgColor = style.backgroundColor;
+function blendColors(top, backdrop) {
+  const alpha = top.a;
+  return {
+    r: top.r * alpha + backdrop.r * (1 - alpha),
+    g: top.g * alpha + backdrop.g * (1 - alpha),
+    b: top.b * alpha + backdrop.b * (1 - alpha),
+    a: 1,
+  };
+}
 
-  // Skip si fond transparent (nécessiterait calcul complexe avec parents)
-  if (!bgColor || bgColor === "transparent" || bgColor === "rgba(0, 0, 0, 0)") {
-    return null;
-  }
+/**
+ * Formate une couleur {r, g, b} en chaîne CSS rgb()
+ * @param {Object} color - Couleur {r, g, b}
+ * @returns {string} - Couleur CSS, ex: "rgb(255, 255, 255)"
+ */
+function formatRGB(color) {
+  return `rgb(${Math.round(color.r)}, ${Math.round(color.g)}, ${Math.round(color.b)})`;
+}
 
-  const bg = parseColor(bgColor);
-  // Skip si fond semi-transparent (trop complexe)
-  if (bg && bg.a < 1) {
-    return null;
-  }
+/**
+ * Extrait les couleurs d'arrêt d'un ou plusieurs dégradés CSS calculés
+ * @param {string} backgroundImage - Valeur calculée de background-image
+ * @returns {Array<Object>} - Couleurs {r, g, b, a} trouvées dans les dégradés
+ */
+function extractGradientStops(backgroundImage) {
+  const colorMatches = backgroundImage.match(/rgba?\([^)]*\)/g) || [];
+  return colorMatches.map((color) => parseColor(color)).filter(Boolean);
+}
 
-  const ratio = calculateContrastRatio(fgColor, bgColor);
-  const fontSize = parseFloat(style.fontSize);
-  const fontWeight = style.fontWeight;
-  const largeText = isLargeText(fontSize, fontWeight);
+/**
+ * Décrit le calque de fond peint par un élément
+ * @param {CSSStyleDeclaration} style - Style calculé de l'élément
+ * @returns {Object} - {bg, opacity, gradientStops, hasImage}
+ */
+function describeBackgroundLayer(style) {
+  const bg = parseColor(style.backgroundColor);
+  const backgroundImage = style.backgroundImage;
+  const hasImage = Boolean(backgroundImage && backgroundImage.includes("url("));
+  const gradientStops =
+    backgroundImage && backgroundImage.includes("gradient")
+      ? extractGradientStops(backgroundImage)
+      : [];
 
-  // Ratio minimum selon WCAG 2.1 AA
-  const minimumRatio = largeText
-    ? CONTRAST_RATIO_LARGE_TEXT
-    : CONTRAST_RATIO_NORMAL_TEXT;
+  return {
+    bg: bg && bg.a > 0 ? bg : null,
+    opacity: parseFloat(style.opacity),
+    gradientStops: gradientStops,
+    hasImage: hasImage,
+  };
+}
 
-  if (ratio > 0 && ratio < minimumRatio) {
-    const contrastId = `accessibility-contrast-${issueIndex}`;
-    el.setAttribute("data-accessibility-id", contrastId);
-    el.setAttribute("data-accessibility-issue", "low-contrast");
+/**
+ * Retourne les calques de fond d'un élément et de ses ancêtres (de la racine vers l'élément)
+ * @param {HTMLElement} el - L'élément
+ * @param {CSSStyleDeclaration} [style] - Style calculé de l'élément s'il est déjà connu
+ * @returns {Array<Object>} - Calques décrits par describeBackgroundLayer
+ */
+function getBackgroundLayers(el, style) {
+  if (backgroundLayersCache.has(el)) {
+    return backgroundLayersCache.get(el);
+  }
 
-    // Ajouter bordure violet foncé
-    el.style.outline = "3px solid #6b21a8";
-    el.style.outlineOffset = "2px";
-    el.style.boxShadow = "0 0 15px rgba(107, 33, 168, 0.5)";
+  const parent = getComposedParent(el);
+  const parentLayers = parent ? getBackgroundLayers(parent) : [];
+  const ownLayer = describeBackgroundLayer(
+    style || window.getComputedStyle(el),
+  );
+  const layers = [...parentLayers, ownLayer];
 
-    // Stocker l'élément
-    markedElements.contrast.push(el);
+  backgroundLayersCache.set(el, layers);
+  return layers;
+}
 
-    // Créer et ajouter un badge violet foncé
-    createContrastBadge(el, contrastId);
+/**
+ * Peint récursivement les calques sur une liste de fonds possibles.
+ * L'opacité d'un calque s'applique à tout son sous-arbre (comme le navigateur),
+ * et chaque arrêt de dégradé produit un fond candidat supplémentaire.
+ * @param {Array<Object>} layers - Calques de la racine vers l'élément
+ * @param {number} index - Calque courant
+ * @param {Array<Object>} backdrops - Fonds opaques possibles sous ce calque
+ * @param {Object|null} topColor - Couleur peinte au-dessus de tout (texte) ou null
+ * @returns {Array<Object>} - Couleurs opaques résultantes, groupées par fond d'origine
+ */
+function paintLayers(layers, index, backdrops, topColor) {
+  if (index === layers.length) {
+    return topColor
+      ? backdrops.map((backdrop) => blendColors(topColor, backdrop))
+      : backdrops;
+  }
 
-    // Ajouter les styles nécessaires
-    ensureContrastStyles();
+  const layer = layers[index];
+  let painted = layer.bg
+    ? backdrops.map((backdrop) => blendColors(layer.bg, backdrop))
+    : backdrops;
 
-    return {
-      element: `${el.tagName.toLowerCase()} ${issueIndex + 1}`,
-      issue: `Contraste insuffisant (${ratio.toFixed(2)}:1 < ${minimumRatio}:1)`,
-      explanation: largeText
-        ? "Pour du texte large, le ratio minimum est 3:1 (WCAG AA)."
-        : "Pour du texte normal, le ratio minimum est 4.5:1 (WCAG AA).",
-      severity: "élevée",
-      ratio: ratio.toFixed(2),
-      required: minimumRatio,
-      fgColor: fgColor,
-      bgColor: bgColor,
-      fontSize: `${fontSize.toFixed(1)}px`,
-      contrastId: contrastId,
-      htmlSnippet: generateHTMLSnippet(el),
-    };
+  if (layer.gradientStops.length > 0) {
+    painted = painted.flatMap((backdrop) =>
+      layer.gradientStops.map((stop) => blendColors(stop, backdrop)),
+    );
   }
 
-  return null;
-}
+  const inner = paintLayers(layers, index + 1, painted, topColor);
+
+  if (!(layer.opacity < 1)) {
+    return inner;
+  }
+
+  // Le groupe d'opacité est fondu sur le fond qui se trouvait sous lui
+  const variantsPerBackdrop = inner.length / backdrops.length;
+  return inner.map((color, i) =>
+    blendColors(
+      { ...color, a: layer.opacity },
+      backdrops[Math.floor(i / variantsPerBackdrop)],
+    ),
+  );
+}
 
 /**
- * S'assure que les styles pour les badges de contraste sont présents
+ * Indice du premier calque visible sous le texte : un fond opaque masque les images
+ * et dégradés des calques inférieurs, sauf s'il est dans un groupe d'opacité
+ * @param {Array<Object>} layers - Calques de la racine vers l'élément
+ * @returns {number}
  */
-function ensureContrastStyles() {
-  // Ajouter le style d'animation si pas encore présent
+function getVisibleLayersStart(layers) {
+  const firstTranslucent = layers.findIndex((layer) => layer.opacity < 1);
+  const end = firstTranslucent === -1 ? layers.length : firstTranslucent;
+
+  for (let index = end - 1; index >= 0; index--) {
+    if (layers[index].bg?.a === 1) {
+      return index;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Résout les couleurs réellement affichées d'un texte et de son fond
+ * en composant les fonds des ancêtres, leur transparence, l'opacité et l'alpha du texte
+ * @param {HTMLElement} el - L'élément contenant le texte
+ * @param {CSSStyleDeclaration} style - Style calculé de l'élément
+ * @returns {Object|null} - {pairs, ratios, lcs, minRatio, maxRatio, hasImage, hasGradient} ou null
+ */
+function resolveContrastColors(el, style) {
+  const fg = parseColor(style.color);
+  if (!fg) {
+    return null;
+  }
+
+  const layers = getBackgroundLayers(el, style);
+  const backgrounds = paintLayers(layers, 0, [CANVAS_DEFAULT_COLOR], null);
+  const foregrounds = paintLayers(layers, 0, [CANVAS_DEFAULT_COLOR], fg);
+
+  const pairs = backgrounds.map((bg, i) => ({ fg: foregrounds[i], bg: bg }));
+  const ratios = pairs.map((pair) =>
+    calculateContrastRatioFromRGB(pair.fg, pair.bg),
+  );
+  const lcs = pairs.map((pair) => calculateAPCAContrast(pair.fg, pair.bg));
+
+  // Seuls les images et dégradés non recouverts par un fond opaque comptent
+  const visibleLayers = layers.slice(getVisibleLayersStart(layers));
+
+  return {
+    pairs: pairs,
+    ratios: ratios,
+    lcs: lcs,
+    minRatio: Math.min(...ratios),
+    maxRatio: Math.max(...ratios),
+    hasImage: visibleLayers.some((layer) => layer.hasImage),
+    hasGradient: visibleLayers.some((layer) => layer.gradientStops.length > 0),
+  };
+}
+
+/**
+ * Marque visuellement un élément avec un problème de contraste
+ * @param {HTMLElement} el - L'élément concerné
+ * @param {string} contrastId - Identifiant de navigation
+ * @param {string} badgeText - Texte du badge
+ */
+function markContrastElement(el, contrastId, badgeText) {
+  el.setAttribute("data-accessibility-id", contrastId);
+  el.setAttribute("data-accessibility-issue", "low-contrast");
+
+  // Ajouter bordure violet foncé
+  el.style.outline = "3px solid #6b21a8";
+  el.style.outlineOffset = "2px";
+  el.style.boxShadow = "0 0 15px rgba(107, 33, 168, 0.5)";
+
+  // Stocker l'élément
+  markedElements.contrast.push(el);
+
+  // Créer et ajouter un badge violet foncé
+  createContrastBadge(el, contrastId, badgeText);
+
+  // Ajouter les styles nécessaires
+  ensureContrastStyles();
+}
+
+/**
+ * Calcule les seuils de contraste d'un texte pour les deux algorithmes
+ * @param {CSSStyleDeclaration} style - Style calculé de l'élément
+ * @param {string} level - Niveau de conformité visé (AA ou AAA)
+ * @returns {Object} - {fontSize, fontWeight, largeText, minimumRatio, minimumLc}
+ */
+function getContrastRequirements(style, level) {
+  const fontSize = parseFloat(style.fontSize);
+  const fontWeight = style.fontWeight;
+  const largeText = isLargeText(fontSize, fontWeight);
+
+  // Ratio minimum selon le niveau de conformité visé
+  const thresholds = CONTRAST_RATIOS[level];
+  const minimumRatio = largeText ? thresholds.large : thresholds.normal;
+
+  const baseLc = getAPCARequiredLc(fontSize, fontWeight);
+  const minimumLc =
+    level === "AAA"
+      ? Math.min(baseLc + APCA_AAA_LC_BONUS, APCA_MAX_BODY_LC)
+      : baseLc;
+
+  return { fontSize, fontWeight, largeText, minimumRatio, minimumLc };
+}
+
+/**
+ * Formate les valeurs de contraste d'un échantillon pour les issues
+ * @param {number} ratio - Ratio WCAG 2
+ * @param {number} lc - Valeur APCA signée
+ * @returns {Object} - {ratio, apca} formatés
+ */
+function formatContrastValues(ratio, lc) {
+  return { ratio: ratio.toFixed(2), apca: Math.abs(lc).toFixed(1) };
+}
+
+// ============= SUGGESTIONS DE COULEURS (ESPACE OKLCH) =============
+
+/**
+ * Applique une matrice 3x3 à un vecteur
+ * @param {Array<Array<number>>} matrix - Matrice 3x3
+ * @param {Array<number>} vector - Vecteur de 3 composantes
+ * @returns {Array<number>} - Vecteur résultant
+ */
+function multiplyMatrix(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2],
+  );
+}
+
+/**
+ * Encode une composante sRGB linéaire en valeur 0-255 (inverse de getRGBLuminance)
+ * @param {number} linear - Composante linéaire (0-1)
+ * @returns {number} - Valeur de la composante (0-255, non arrondie)
+ */
+function encodeSRGBChannel(linear) {
+  const val =
+    linear <= SRGB_ENCODE_THRESHOLD
+      ? linear * SRGB_LINEAR_DIVISOR
+      : SRGB_GAMMA_DIVISOR * Math.pow(linear, 1 / SRGB_GAMMA_EXPONENT) -
+        SRGB_OFFSET;
+  return val * RGB_MAX_VALUE;
+}
+
+/**
+ * Convertit une couleur RGB en OKLab
+ * @param {Object} color - Couleur {r, g, b}
+ * @returns {Array<number>} - [L, a, b]
+ */
+function rgbToOklab(color) {
+  const linear = [color.r, color.g, color.b].map(getRGBLuminance);
+  const lms = multiplyMatrix(OKLAB_LMS_MATRIX, linear).map(Math.cbrt);
+  return multiplyMatrix(OKLAB_LAB_MATRIX, lms);
+}
+
+/**
+ * Convertit une couleur OKLab en sRGB linéaire (éventuellement hors gamut)
+ * @param {Array<number>} lab - [L, a, b]
+ * @returns {Array<number>} - Composantes linéaires [r, g, b]
+ */
+function oklabToLinearRGB(lab) {
+  const lms = multiplyMatrix(OKLAB_INVERSE_LMS_MATRIX, lab).map(
+    (value) => value * value * value,
+  );
+  return multiplyMatrix(OKLAB_INVERSE_RGB_MATRIX, lms);
+}
+
+/**
+ * Convertit une couleur OKLCH en RGB affichable.
+ * Hors gamut sRGB, la chroma est réduite (teinte et luminosité conservées).
+ * @param {number} lightness - Luminosité L (0-1)
+ * @param {number} chroma - Chroma C
+ * @param {number} hue - Teinte h en radians
+ * @returns {Object} - Couleur {r, g, b, a: 1} aux composantes entières
+ */
+function oklchToRGB(lightness, chroma, hue) {
+  const toLinear = (c) =>
+    oklabToLinearRGB([lightness, c * Math.cos(hue), c * Math.sin(hue)]);
+  const inGamut = (linear) =>
+    linear.every(
+      (value) => value >= -GAMUT_EPSILON && value <= 1 + GAMUT_EPSILON,
+    );
+
+  let linear = toLinear(chroma);
+  if (!inGamut(linear)) {
+    let low = 0;
+    let high = chroma;
+    for (let step = 0; step < OKLCH_SEARCH_STEPS; step++) {
+      const mid = (low + high) / 2;
+      if (inGamut(toLinear(mid))) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    linear = toLinear(low);
+  }
+
+  const [r, g, b] = linear.map((value) =>
+    Math.round(encodeSRGBChannel(Math.min(1, Math.max(0, value)))),
+  );
+  return { r, g, b, a: 1 };
+}
+
+/**
+ * Distance perceptuelle entre deux couleurs (distance euclidienne dans OKLab)
+ * @param {Object} first - Couleur {r, g, b}
+ * @param {Object} second - Couleur {r, g, b}
+ * @returns {number} - Distance (0 = identiques)
+ */
+function getOklabDistance(first, second) {
+  const a = rgbToOklab(first);
+  const b = rgbToOklab(second);
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+/**
+ * Formate une couleur {r, g, b} en hexadécimal CSS
+ * @param {Object} color - Couleur {r, g, b}
+ * @returns {string} - Couleur CSS, ex: "#1a2b3c"
+ */
+function formatHex(color) {
+  return `#${[color.r, color.g, color.b]
+    .map((value) => Math.round(value).toString(HEX_RADIX).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Cherche la couleur la plus proche (en OKLCH) qui satisfait un critère de contraste.
+ * Seule la luminosité varie, vers le plus sombre puis vers le plus clair ;
+ * la teinte est conservée et la chroma réduite si nécessaire pour rester affichable.
+ * @param {Object} color - Couleur d'origine {r, g, b}
+ * @param {Function} passes - Prédicat (couleur) => boolean
+ * @returns {Object|null} - Couleur {r, g, b, a} la plus proche ou null si aucune
+ */
+function findNearestPassingColor(color, passes) {
+  const [lightness, a, b] = rgbToOklab(color);
+  // Les gris gardent une chroma nulle (évite une dérive de teinte due aux arrondis)
+  const rawChroma = Math.hypot(a, b);
+  const chroma = rawChroma < ACHROMATIC_CHROMA ? 0 : rawChroma;
+  const hue = Math.atan2(b, a);
+
+  const candidates = [0, 1]
+    .map((targetLightness) => {
+      if (!passes(oklchToRGB(targetLightness, chroma, hue))) {
+        return null;
+      }
+
+      // Dichotomie : « low » échoue, « high » passe
+      let low = lightness;
+      let high = targetLightness;
+      for (let step = 0; step < OKLCH_SEARCH_STEPS; step++) {
+        const mid = (low + high) / 2;
+        if (passes(oklchToRGB(mid, chroma, hue))) {
+          high = mid;
+        } else {
+          low = mid;
+        }
+      }
+      return oklchToRGB(high, chroma, hue);
+    })
+    .filter(Boolean);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  return candidates.reduce((best, candidate) =>
+    getOklabDistance(candidate, color) < getOklabDistance(best, color)
+      ? candidate
+      : best,
+  );
+}
+
+/**
+ * Calcule les corrections de couleurs les plus proches pour un contraste insuffisant :
+ * une en ne modifiant que le texte, une en ne modifiant que le fond.
+ * @param {Object} resolved - Résultat de resolveContrastColors
+ * @param {number} worstIndex - Index de la paire la moins contrastée
+ * @param {Object} requirements - Seuils de getContrastRequirements
+ * @param {boolean} useAPCA - true si APCA fait foi
+ * @returns {Object|null} - {foreground, background} (chacun {color, ratio, apca} ou null), null si aucune correction possible
+ */
+function suggestContrastFixes(resolved, worstIndex, requirements, useAPCA) {
+  // Le contraste sur une image ne peut pas être garanti par une couleur
+  if (resolved.hasImage) {
+    return null;
+  }
+
+  const { minimumRatio, minimumLc } = requirements;
+  const pairPasses = (fg, bg) =>
+    useAPCA
+      ? Math.abs(calculateAPCAContrast(fg, bg)) >= minimumLc
+      : calculateContrastRatioFromRGB(fg, bg) >= minimumRatio;
+  const describe = (color, fg, bg) => ({
+    color: formatHex(color),
+    ...formatContrastValues(
+      calculateContrastRatioFromRGB(fg, bg),
+      calculateAPCAContrast(fg, bg),
+    ),
+  });
+
+  const worstPair = resolved.pairs[worstIndex];
+  const backgrounds = resolved.pairs.map((pair) => pair.bg);
+
+  // La couleur de texte doit convenir sur tous les fonds possibles (arrêts de dégradé)
+  const foreground = findNearestPassingColor(worstPair.fg, (candidate) =>
+    backgrounds.every((bg) => pairPasses(candidate, bg)),
+  );
+
+  // Un fond uni de remplacement n'a de sens que si le fond n'est pas un dégradé
+  const background =
+    resolved.pairs.length === 1
+      ? findNearestPassingColor(worstPair.bg, (candidate) =>
+          pairPasses(worstPair.fg, candidate),
+        )
+      : null;
+
+  if (!foreground && !background) {
+    return null;
+  }
+
+  return {
+    foreground: foreground
+      ? describe(foreground, foreground, worstPair.bg)
+      : null,
+    background: background
+      ? describe(background, worstPair.fg, background)
+      : null,
+  };
+}
+
+/**
+ * Traite un élément pour vérifier le contraste et créer les marqueurs visuels
+ * @param {HTMLElement} el - L'élément à vérifier
+ * @param {number} issueIndex - Index de l'erreur
+ * @param {Object} options - Options d'audit ({ level, contrastAlgorithm })
+ * @returns {Object|null} - Objet représentant l'erreur ou null si aucun problème
+ */
+function processContrastElement(el, issueIndex, options) {
+  const style = window.getComputedStyle(el);
+  const resolved = resolveContrastColors(el, style);
+
+  if (!resolved) {
+    return null;
+  }
+
+  const { level, contrastAlgorithm } = options;
+  const requirements = getContrastRequirements(style, level);
+  const { fontSize, largeText, minimumRatio, minimumLc } = requirements;
+
+  // L'algorithme choisi par l'utilisateur fait foi pour le verdict
+  const useAPCA = contrastAlgorithm === "apca";
+  const scores = useAPCA
+    ? resolved.lcs.map((lc) => Math.abs(lc))
+    : resolved.ratios;
+  const required = useAPCA ? minimumLc : minimumRatio;
+  const minScore = Math.min(...scores);
+
+  // Une image de fond ne peut pas être mesurée : toujours à vérifier.
+  // Un dégradé n'est à vérifier que si certains de ses arrêts échouent.
+  const needsReview =
+    resolved.hasImage || (resolved.hasGradient && minScore < required);
+
+  if (!needsReview && minScore >= required) {
+    return null;
+  }
+
+  const contrastId = `accessibility-contrast-${issueIndex}`;
+  const worstIndex = scores.indexOf(minScore);
+  const worstPair = resolved.pairs[worstIndex];
+  const worst = formatContrastValues(
+    resolved.ratios[worstIndex],
+    resolved.lcs[worstIndex],
+  );
+
+  markContrastElement(
+    el,
+    contrastId,
+    needsReview ? "⚠️ CONTRASTE À VÉRIFIER" : "⚠️ CONTRASTE FAIBLE",
+  );
+
+  const textKind = largeText ? "texte large" : "texte normal";
+  const issue = {
+    element: `${el.tagName.toLowerCase()} ${issueIndex + 1}`,
+    issue: useAPCA
+      ? `Contraste insuffisant (Lc ${worst.apca} < Lc ${minimumLc})`
+      : `Contraste insuffisant (${worst.ratio}:1 < ${minimumRatio}:1)`,
+    explanation: useAPCA
+      ? `Pour un texte de ${fontSize.toFixed(1)}px en graisse ${requirements.fontWeight}, APCA demande au moins Lc ${minimumLc} (niveau ${level}).`
+      : `Pour du ${textKind}, le ratio minimum est ${minimumRatio}:1 (WCAG ${level}).`,
+    severity: "élevée",
+    contrastAlgorithm: contrastAlgorithm,
+    ratio: worst.ratio,
+    required: minimumRatio,
+    apca: worst.apca,
+    apcaRequired: minimumLc,
+    fgColor: formatRGB(worstPair.fg),
+    bgColor: formatRGB(worstPair.bg),
+    fontSize: `${fontSize.toFixed(1)}px`,
+    contrastId: contrastId,
+    htmlSnippet: generateHTMLSnippet(el),
+    suggestions: suggestContrastFixes(
+      resolved,
+      worstIndex,
+      requirements,
+      useAPCA,
+    ),
+  };
+
+  if (needsReview) {
+    const backgroundKind = resolved.hasImage ? "une image" : "un dégradé";
+    const target = useAPCA ? `Lc ${minimumLc}` : `${minimumRatio}:1`;
+    const absoluteLcs = resolved.lcs.map((lc) => Math.abs(lc));
+    issue.issue = `Contraste à vérifier : texte sur ${backgroundKind} de fond`;
+    issue.explanation = `Le fond contient ${backgroundKind} : le contraste varie selon la zone du texte. Vérifiez manuellement que le contraste atteint ${target} partout.`;
+    issue.severity = "faible";
+    issue.needsReview = true;
+    issue.ratioRange = {
+      min: resolved.minRatio.toFixed(2),
+      max: resolved.maxRatio.toFixed(2),
+    };
+    issue.apcaRange = {
+      min: Math.min(...absoluteLcs).toFixed(1),
+      max: Math.max(...absoluteLcs).toFixed(1),
+    };
+  }
+
+  return issue;
+}
+
+/**
+ * S'assure que l'animation des badges (pulse-red) est présente
+ */
+function ensureAnimationStyles() {
   if (!document.getElementById("accessibility-animation-styles")) {
     const style = document.createElement("style");
     style.id = "accessibility-animation-styles";
@@ -378,6 +2079,13 @@ function ensureContrastStyles() {
     `;
     document.head.appendChild(style);
   }
+}
+
+/**
+ * S'assure que les styles pour les badges de contraste sont présents
+ */
+function ensureContrastStyles() {
+  ensureAnimationStyles();
 
   // Ajouter le style du badge contrast si pas encore présent
   if (!document.getElementById("accessibility-contrast-badge-style")) {
@@ -407,76 +2115,98 @@ function ensureContrastStyles() {
 }
 
 /**
- * Vérifie le contraste des couleurs (texte sur fond uni uniquement)
- * Limite à MAX_CONTRAST_ELEMENTS (500) éléments pour les performances
+ * Indique si un élément porte du texte visible dont le contraste doit être vérifié
+ * @param {HTMLElement} el - L'élément candidat
+ * @returns {boolean}
  */
-function checkContrast() {
-  // Sélectionner tous les éléments textuels pertinents
-  const allElements = Array.from(
-    document.querySelectorAll(
-      "p, h1, h2, h3, h4, h5, h6, a, button, span, li, td, th, label",
-    ),
-  ).filter((el) => {
-    // Ignorer les éléments cachés
-    const style = window.getComputedStyle(el);
-    if (
-      style.display === "none" ||
-      style.visibility === "hidden" ||
-      style.opacity === "0"
-    ) {
-      return false;
-    }
+function isContrastCandidate(el) {
+  // Ignorer les éléments cachés
+  const style = window.getComputedStyle(el);
+  if (
+    style.display === "none" ||
+    style.visibility === "hidden" ||
+    style.opacity === "0"
+  ) {
+    return false;
+  }
 
-    // Pour les éléments interactifs (button, a, label), accepter tout texte visible
-    const isInteractive = ["BUTTON", "A", "LABEL"].includes(el.tagName);
+  // Pour les éléments interactifs (button, a, label), accepter tout texte visible
+  if (["BUTTON", "A", "LABEL"].includes(el.tagName)) {
+    return el.textContent.trim().length > 0;
+  }
 
-    if (isInteractive) {
-      return el.textContent.trim().length > 0;
-    }
+  // Pour les autres éléments, vérifier qu'il y a du texte direct
+  return hasDirectTextContent(el);
+}
 
-    // Pour les autres éléments, vérifier qu'il y a du texte direct
-    return hasDirectTextContent(el);
-  });
+/**
+ * Vérifie le contraste des couleurs en résolvant le fond réel de chaque texte.
+ * Tous les éléments sont analysés, par tranches pendant les temps morts du navigateur.
+ * @param {Object} options - Options d'audit normalisées ({ level, contrastAlgorithm })
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkContrast(options, task) {
+  // Le contraste minimum (1.4.3) est un critère de niveau AA
+  if (!isLevelRequired("AA", options.level)) {
+    return {
+      total: 0,
+      issues: [],
+      passed: 0,
+      disclaimer:
+        "Le contraste minimum (critère 1.4.3) relève du niveau AA : il n'est pas évalué pour une conformité de niveau A.",
+    };
+  }
 
-  // Prioriser les éléments interactifs (button, a, label) car plus critiques pour l'accessibilité
-  const interactiveElements = allElements.filter((el) =>
-    ["BUTTON", "A", "LABEL"].includes(el.tagName),
-  );
-  const otherElements = allElements.filter(
-    (el) => !["BUTTON", "A", "LABEL"].includes(el.tagName),
-  );
+  // Les styles ont pu changer depuis la dernière analyse
+  backgroundLayersCache = new WeakMap();
 
-  // Combiner : interactifs d'abord, puis les autres, puis limiter à MAX_CONTRAST_ELEMENTS
-  const textElements = [...interactiveElements, ...otherElements].slice(
-    0,
-    MAX_CONTRAST_ELEMENTS,
+  // Sélectionner tous les éléments textuels pertinents
+  const candidates = querySelectorAllDeep(
+    "p, h1, h2, h3, h4, h5, h6, a, button, span, li, td, th, label",
   );
 
   const issues = [];
-  let issueIndex = 0;
+  let checked = 0;
+  let failed = 0;
+
+  await processInIdleChunks(
+    candidates,
+    (el) => {
+      if (!isContrastCandidate(el)) {
+        return;
+      }
 
-  textElements.forEach((el) => {
-    const issue = processContrastElement(el, issueIndex);
-    if (issue) {
-      issues.push(issue);
-      issueIndex++;
-    }
-  });
+      const issue = processContrastElement(el, issues.length, options);
+      if (issue) {
+        issues.push(issue);
+      }
+      // Un texte à vérifier (image ou dégradé de fond) n'entre pas dans le score
+      if (!issue?.needsReview) {
+        checked++;
+      }
+      if (issue && !issue.needsReview) {
+        failed++;
+      }
+    },
+    task,
+  );
 
   return {
-    total: textElements.length,
+    total: checked,
     issues: issues,
-    passed: textElements.length - issues.length,
+    passed: checked - failed,
     disclaimer:
-      'Contraste analysé pour texte sur fonds unis uniquement. Les dégradés, filtres et transparences nécessitent une vérification manuelle. <a href="https://webaim.org/resources/contrastchecker/" target="_blank" rel="noopener noreferrer">Tester avec l\'outil WebAIM →</a>',
+      'Contraste calculé sur le fond réel du texte (fonds des parents, transparences et opacité). Les textes sur image ou dégradé sont signalés « à vérifier » avec la plage de ratios mesurée. <a href="https://webaim.org/resources/contrastchecker/" target="_blank" rel="noopener noreferrer">Tester avec l\'outil WebAIM →</a>',
   };
 }
 
 /**
  * Créer un badge pour un élément avec problème de contraste
  */
-function createContrastBadge(element, contrastId) {
+function createContrastBadge(element, contrastId, badgeText) {
   if (
+    !element.parentElement ||
     element.parentElement.querySelector(
       `.accessibility-badge-contrast[data-badge-for="${contrastId}"]`,
     )
@@ -486,7 +2216,7 @@ function createContrastBadge(element, contrastId) {
 
   const badge = document.createElement("div");
   badge.className = "accessibility-badge-contrast";
-  badge.textContent = "⚠️ CONTRASTE FAIBLE";
+  badge.textContent = badgeText;
   badge.setAttribute("data-badge-for", contrastId);
 
   // S'assurer que le parent a position: relative
@@ -500,523 +2230,660 @@ function createContrastBadge(element, contrastId) {
   parent.appendChild(badge);
 }
 
-// Check images without alt text
-function checkImages() {
-  const images = document.querySelectorAll("img");
-  const issues = [];
-
-  images.forEach((img, index) => {
-    if (!img.alt || img.alt.trim() === "") {
-      // Add unique ID for navigation
-      const imageId = `accessibility-img-${index}`;
-      img.setAttribute("data-accessibility-id", imageId);
-
-      // Add red border with animation
-      img.style.border = "5px solid #ef4444";
-      img.style.outline = "5px solid #cc0808";
-      img.style.outlineOffset = "3px";
-      img.style.boxShadow = "0 0 20px rgba(239, 68, 68, 0.6)";
-      img.style.animation = "pulse-red 2s infinite";
-      img.setAttribute("data-accessibility-issue", "missing-alt");
-
-      // Store l'élément pour pouvoir le modifier plus tard
-      markedElements.images.push(img);
-
-      // Créer et ajouter un badge visuel
-      if (!img.parentElement.querySelector(".accessibility-badge")) {
-        const badge = document.createElement("div");
-        badge.className = "accessibility-badge";
-        badge.textContent = "⚠️ ALT MANQUANT";
-        badge.setAttribute("data-badge-for", imageId);
-
-        // Position badge
-        const imgParent = img.parentElement;
-        const originalPosition = window.getComputedStyle(imgParent).position;
-        if (originalPosition === "static") {
-          imgParent.style.position = "relative";
-          imgParent.setAttribute("data-position-changed", "true");
-        }
+// ============= MARQUEURS VISUELS GÉNÉRIQUES =============
 
-        imgParent.appendChild(badge);
-      }
+/**
+ * S'assure que le style du badge d'une catégorie (MARKER_STYLES) est présent
+ * @param {string} category - Clé de MARKER_STYLES
+ */
+function ensureMarkerStyles(category) {
+  const config = MARKER_STYLES[category];
+  ensureAnimationStyles();
 
-      // Add CSS animation si elle n'existe pas déjà
-      if (!document.getElementById("accessibility-animation-styles")) {
-        const style = document.createElement("style");
-        style.id = "accessibility-animation-styles";
-        style.textContent = `
-          @keyframes pulse-red {
-            0%, 100% { opacity: 1; }
-            50% { opacity: 0.7; }
-          }
-          
-          .accessibility-badge {
-            position: absolute;
-            top: 5px;
-            left: 5px;
-            background: #dc2626;
-            color: white;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 11px;
-            font-weight: bold;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            z-index: 999999;
-            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-            pointer-events: none;
-            animation: pulse-red 2s infinite;
-          }
-          
-          .accessibility-badge-link {
-            position: absolute;
-            top: 0;
-            left: 0;
-            background: #f97316;
-            color: white;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 10px;
-            font-weight: bold;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            z-index: 999999;
-            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-            pointer-events: none;
-            animation: pulse-red 2s infinite;
-            white-space: nowrap;
-          }
-          
-          .accessibility-badge-svg {
-            position: absolute;
-            top: 5px;
-            left: 5px;
-            background: #a855f7;
-            color: white;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 10px;
-            font-weight: bold;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            z-index: 999999;
-            box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-            pointer-events: none;
-            animation: pulse-red 2s infinite;
-            white-space: nowrap;
-          }
-        `;
-        document.head.appendChild(style);
-      }
-      issues.push({
-        element: `Image ${index + 1}`,
-        issue: "Texte alternatif manquant",
-        explanation:
-          "Sans attribut alt, un utilisateur non-voyant ne peut pas comprendre cette image !",
-        severity: "élevée",
-        src: img.src,
-        imageId: imageId,
-        htmlSnippet: generateHTMLSnippet(img),
-      });
-    } else {
-      // Remove style if l'image a un alt valide
-      if (img.getAttribute("data-accessibility-issue") === "missing-alt") {
-        img.style.border = "";
-        img.style.outline = "";
-        img.style.outlineOffset = "";
-        img.style.boxShadow = "";
-        img.style.animation = "";
-        img.removeAttribute("data-accessibility-issue");
-        img.removeAttribute("data-accessibility-id");
-
-        // Remove badge
-        const badge = img.parentElement.querySelector(".accessibility-badge");
-        if (badge) {
-          badge.remove();
-        }
+  if (document.getElementById(config.styleId)) {
+    return;
+  }
 
-        // Restore parent position si elle a été changée
-        if (
-          img.parentElement.getAttribute("data-position-changed") === "true"
-        ) {
-          img.parentElement.style.position = "";
-          img.parentElement.removeAttribute("data-position-changed");
-        }
-      }
+  const style = document.createElement("style");
+  style.id = config.styleId;
+  style.textContent = `
+    .${config.badgeClass} {
+      position: absolute;
+      top: -8px;
+      left: 0;
+      background: ${config.color};
+      color: white;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 10px;
+      font-weight: bold;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      z-index: 999999;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+      pointer-events: none;
+      animation: pulse-red 2s infinite;
+      white-space: nowrap;
     }
-  });
+  `;
+  document.head.appendChild(style);
+}
 
-  return {
-    total: images.length,
-    issues: issues,
-    passed: images.length - issues.length,
-  };
+/**
+ * Attribut portant l'identifiant de navigation d'une catégorie de MARKER_STYLES :
+ * un élément signalé par plusieurs catégories garde l'identifiant de chacune
+ * @param {string} category - Clé de MARKER_STYLES
+ * @returns {string}
+ */
+function getMarkerAttribute(category) {
+  return `data-accessibility-marker-${MARKER_STYLES[category].issueType}`;
 }
 
-// Vérifier si un SVG est accessible
-function isSVGAccessible(svg) {
-  const hasRole = svg.getAttribute("role") === "img";
-  const hasAriaLabel =
-    svg.hasAttribute("aria-label") &&
-    svg.getAttribute("aria-label").trim() !== "";
-  const hasTitle = svg.querySelector("title");
-  const isHidden = svg.getAttribute("aria-hidden") === "true";
+/**
+ * Affiche l'outline du plus récent marqueur visible de l'élément, ou rétablit ses
+ * styles d'origine s'il n'en a plus
+ * @param {HTMLElement} el - L'élément marqué
+ */
+function refreshMarkerOutline(el) {
+  const state = markerStyleStates.get(el);
+  const shown = state.markers.filter((marker) => marker.visible).pop();
+
+  if (!shown) {
+    Object.assign(el.style, state.original);
+    return;
+  }
 
-  return hasRole || hasAriaLabel || hasTitle || isHidden;
+  const config = MARKER_STYLES[shown.category];
+  el.style.outline = `3px solid ${config.color}`;
+  el.style.outlineOffset = "2px";
+  el.style.boxShadow = `0 0 15px ${config.glow}`;
 }
 
-// Assurer que le parent du SVG a position: relative
-function ensureSVGParentPositioned(parent) {
-  const originalPosition = window.getComputedStyle(parent).position;
-  if (originalPosition === "static") {
-    parent.style.position = "relative";
-    parent.setAttribute("data-position-changed", "true");
+/**
+ * Enregistre (ou retire) le marqueur d'une catégorie sur un élément et met à jour
+ * son outline ; les styles d'origine sont rétablis au retrait du dernier marqueur
+ * @param {HTMLElement} el - L'élément
+ * @param {string} category - Clé de MARKER_STYLES
+ * @param {boolean} marked - Ajouter ou retirer le marqueur
+ */
+function setMarkerState(el, category, marked) {
+  let state = markerStyleStates.get(el);
+  if (!state) {
+    if (!marked) {
+      return;
+    }
+    state = {
+      original: Object.fromEntries(
+        MARKER_STYLE_PROPERTIES.map((property) => [
+          property,
+          el.style[property],
+        ]),
+      ),
+      markers: [],
+    };
+    markerStyleStates.set(el, state);
   }
-}
 
-// Créer un badge pour un SVG problématique
-function createSVGBadge(svg, svgId) {
-  if (
-    svg.parentElement.querySelector(
-      `.accessibility-badge-svg[data-badge-for="${svgId}"]`,
-    )
-  ) {
-    return; // Badge déjà présent
+  state.markers = state.markers.filter(
+    (marker) => marker.category !== category,
+  );
+  if (marked) {
+    state.markers.push({ category, visible: true });
   }
 
-  const badge = document.createElement("div");
-  badge.className = "accessibility-badge-svg";
-  badge.textContent = "⚠️ SVG NON ACCESSIBLE";
-  badge.setAttribute("data-badge-for", svgId);
-
-  ensureSVGParentPositioned(svg.parentElement);
-  svg.parentElement.appendChild(badge);
+  refreshMarkerOutline(el);
+  if (state.markers.length === 0) {
+    markerStyleStates.delete(el);
+  }
 }
 
-// Ajouter le feedback visuel à un SVG problématique
-function addVisualFeedbackToSVG(svg, index) {
-  const svgId = `accessibility-svg-${index}`;
-  svg.setAttribute("data-accessibility-id", svgId);
-
-  // Ajouter les styles visuels (bordure violette)
-  svg.style.outline = "5px solid #a855f7";
-  svg.style.outlineOffset = "3px";
-  svg.style.boxShadow = "0 0 20px rgba(168, 85, 247, 0.6)";
-  svg.setAttribute("data-accessibility-issue", "svg-no-desc");
-
-  // Stocker l'élément
-  markedElements.svgs.push(svg);
-
-  // Créer le badge
-  createSVGBadge(svg, svgId);
+/**
+ * Marque visuellement un élément pour une catégorie de MARKER_STYLES
+ * @param {string} category - Clé de MARKER_STYLES (et de markedElements)
+ * @param {HTMLElement} el - L'élément concerné
+ * @param {string} markerId - Identifiant de navigation
+ * @param {string} badgeText - Texte du badge
+ */
+function markElement(category, el, markerId, badgeText) {
+  const config = MARKER_STYLES[category];
 
-  return svgId;
-}
+  el.setAttribute(getMarkerAttribute(category), markerId);
+  setMarkerState(el, category, true);
+  markedElements[category].push(el);
+  ensureMarkerStyles(category);
 
-// Supprimer le feedback visuel d'un SVG
-function removeVisualFeedbackFromSVG(svg) {
-  if (svg.getAttribute("data-accessibility-issue") !== "svg-no-desc") {
+  const parent = el.parentElement;
+  if (
+    !parent ||
+    parent.querySelector(`.${config.badgeClass}[data-badge-for="${markerId}"]`)
+  ) {
     return;
   }
 
-  // Supprimer les styles
-  svg.style.outline = "";
-  svg.style.outlineOffset = "";
-  svg.style.boxShadow = "";
-  svg.removeAttribute("data-accessibility-issue");
-  svg.removeAttribute("data-accessibility-id");
+  const badge = document.createElement("div");
+  badge.className = config.badgeClass;
+  badge.textContent = badgeText;
+  badge.setAttribute("data-badge-for", markerId);
 
-  // Supprimer le badge
-  const badge = svg.parentElement.querySelector(".accessibility-badge-svg");
-  if (badge) {
-    badge.remove();
+  if (window.getComputedStyle(parent).position === "static") {
+    parent.style.position = "relative";
+    parent.setAttribute("data-position-changed", "true");
   }
 
-  // Restaurer la position du parent si elle a été changée
-  if (svg.parentElement.getAttribute("data-position-changed") === "true") {
-    svg.parentElement.style.position = "";
-    svg.parentElement.removeAttribute("data-position-changed");
-  }
+  parent.appendChild(badge);
 }
 
-// Créer un objet issue pour un SVG
-function createSVGIssue(svg, index, svgId) {
-  return {
-    element: `SVG ${index + 1}`,
-    issue: "SVG inline sans description",
-    explanation:
-      'Ajoutez role="img" + aria-label, ou un élément title interne, ou aria-hidden="true" si décoratif',
-    severity: "élevée",
-    svgId: svgId,
-    htmlSnippet: generateHTMLSnippet(svg),
-  };
-}
+/**
+ * Retire les marqueurs, badges et styles d'une catégorie de MARKER_STYLES
+ * @param {string} category - Clé de MARKER_STYLES
+ */
+function clearMarkers(category) {
+  const config = MARKER_STYLES[category];
+  const attribute = getMarkerAttribute(category);
 
-// Vérifier les SVG inline sans attributs d'accessibilité
-function checkSVG() {
-  const svgs = document.querySelectorAll("svg");
-  const issues = [];
+  querySelectorAllDeep(`[${attribute}]`).forEach((el) => {
+    // Seuls les styles de ce marqueur sont retirés
+    setMarkerState(el, category, false);
+    el.removeAttribute(attribute);
 
-  svgs.forEach((svg, index) => {
-    // Vérifier si le SVG est accessible
-    if (!isSVGAccessible(svg)) {
-      // SVG non accessible : ajouter le feedback visuel
-      const svgId = addVisualFeedbackToSVG(svg, index);
-      issues.push(createSVGIssue(svg, index, svgId));
-    } else {
-      // SVG accessible : supprimer le feedback visuel si présent
-      removeVisualFeedbackFromSVG(svg);
+    // Restore parent position si elle a été changée (et ne sert plus à un autre marqueur)
+    const parent = el.parentElement;
+    if (
+      parent &&
+      parent.getAttribute("data-position-changed") === "true" &&
+      !markerStyleStates.has(el)
+    ) {
+      parent.style.position = "";
+      parent.removeAttribute("data-position-changed");
     }
   });
 
-  return {
-    total: svgs.length,
-    issues: issues,
-    passed: svgs.length - issues.length,
-  };
+  querySelectorAllDeep(`.${config.badgeClass}`).forEach((badge) =>
+    badge.remove(),
+  );
+
+  const style = document.getElementById(config.styleId);
+  if (style) {
+    style.remove();
+  }
+
+  if (config.overlayId) {
+    document.getElementById(config.overlayId)?.remove();
+  }
 }
 
-// Vérifier les liens
-function checkLinks() {
-  const links = document.querySelectorAll("a");
-  const issues = [];
+/**
+ * Affiche ou masque les marqueurs d'une catégorie de MARKER_STYLES
+ * @param {string} category - Clé de MARKER_STYLES
+ * @param {boolean} visible - Filtre actif ou non
+ */
+function toggleMarkers(category, visible) {
+  const config = MARKER_STYLES[category];
 
-  links.forEach((link, index) => {
-    const linkIssue = analyzeLinkAccessibility(link, index);
+  markedElements[category].forEach((el) => {
+    if (!el.parentElement) {
+      return;
+    }
 
-    if (linkIssue) {
-      addVisualFeedbackToLink(link, linkIssue, index);
-      issues.push(linkIssue);
-    } else {
-      removeVisualFeedbackFromLink(link);
+    const marker = markerStyleStates
+      .get(el)
+      ?.markers.find((entry) => entry.category === category);
+    if (marker) {
+      marker.visible = visible;
+      refreshMarkerOutline(el);
     }
+    el.parentElement
+      .querySelectorAll(`.${config.badgeClass}`)
+      .forEach((badge) => {
+        badge.style.display = visible ? "" : "none";
+      });
   });
 
-  return {
-    total: links.length,
-    issues: issues,
-    passed: links.length - issues.length,
-  };
+  if (config.overlayId) {
+    const overlay = document.getElementById(config.overlayId);
+    if (overlay) {
+      overlay.style.display = visible ? "" : "none";
+    }
+  }
 }
 
-// Analyze l'accessibilité d'un lien
-function analyzeLinkAccessibility(link, index) {
-  const ariaLabel = link.getAttribute("aria-label");
-  const hasAccessibleDescription = checkLinkHasAccessibleDescription(link);
-  const text = extractLinkText(link);
-
-  // Case 1 : Lien sans description accessible
-  if (!hasAccessibleDescription) {
-    return createLinkIssue(
-      link,
-      index,
-      "Lien sans texte descriptif",
-      "Sans texte, un utilisateur non-voyant ne sait pas où mène ce lien !",
-      "élevée",
-      { href: link.href },
-    );
-  }
+/**
+ * Fait défiler la page jusqu'à un élément marqué et le met en évidence
+ * @param {string} markerId - Identifiant de navigation
+ * @param {string} color - Couleur de mise en évidence
+ * @param {string} attribute - Attribut portant l'identifiant (getMarkerAttribute)
+ * @returns {boolean} - true si l'élément a été trouvé
+ */
+function scrollToMarkedElement(markerId, color, attribute) {
+  const element = querySelectorDeep(`[${attribute}="${markerId}"]`);
 
-  // Case 2 : Texte non descriptif sans aria-label
-  if (isNonDescriptiveText(text) && !ariaLabel) {
-    return createLinkIssue(
-      link,
-      index,
-      "Texte de lien non descriptif",
-      "Ajoutez un aria-label pour décrire la destination (ex: aria-label='En savoir plus sur [sujet]')",
-      "moyenne",
-      { text: text },
-    );
+  if (!element) {
+    return false;
   }
 
-  return null; // Lien valide
-}
+  try {
+    element.scrollIntoView({
+      behavior: "smooth",
+      block: "center",
+    });
 
-// Vérifier si un lien a une description accessible
-function checkLinkHasAccessibleDescription(link) {
-  const ariaLabel = link.getAttribute("aria-label");
-  const hasImageWithAlt = link.querySelector('img[alt]:not([alt=""])');
-  const hasSVGAccessible = checkLinkHasAccessibleSVG(link);
-  const text = extractLinkText(link);
+    const originalStyles = {
+      outline: element.style.outline,
+      outlineOffset: element.style.outlineOffset,
+      boxShadow: element.style.boxShadow,
+      transform: element.style.transform,
+      transition: element.style.transition,
+      zIndex: element.style.zIndex,
+      position: element.style.position,
+    };
 
-  return text || ariaLabel || hasImageWithAlt || hasSVGAccessible;
-}
+    const currentPosition = window.getComputedStyle(element).position;
+    if (currentPosition === "static") {
+      element.style.position = "relative";
+    }
+    element.style.zIndex = "9999999";
+    element.style.outline = "none";
+    element.style.boxShadow = `0 0 0 15px ${color}, 0 0 60px 15px ${color}`;
+    element.style.transform = "scale(1.05)";
+    element.style.transition = "transform 0.3s ease";
 
-// Vérifier si le lien contient un SVG accessible
-function checkLinkHasAccessibleSVG(link) {
-  const svgInLink = link.querySelector("svg");
+    setTimeout(() => {
+      Object.assign(element.style, originalStyles);
+    }, HIGHLIGHT_DURATION);
 
-  if (!svgInLink) {
+    return true;
+  } catch (error) {
+    console.error(`Erreur lors du scroll vers ${markerId}:`, error);
     return false;
   }
+}
 
-  const hasRole = svgInLink.getAttribute("role") === "img";
-  const hasSvgAriaLabel =
-    svgInLink.hasAttribute("aria-label") &&
-    svgInLink.getAttribute("aria-label").trim() !== "";
-  const hasTitle = svgInLink.querySelector("title");
+// ============= IMAGES (WCAG 1.1.1) =============
 
-  return hasRole || hasSvgAriaLabel || hasTitle;
+/**
+ * Normalise un texte pour comparer deux alternatives (casse, ponctuation, espaces)
+ * @param {string} text - Texte à normaliser
+ * @returns {string}
+ */
+function normalizeAltText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[\s\p{P}]+/gu, " ")
+    .trim();
 }
 
-// Extract le texte d'un lien (sans SVG, images, badges)
-function extractLinkText(link) {
-  // Utiliser TreeWalker directement pour éviter les problèmes de cloneNode
-  // avec les images ayant des srcset invalides ou protégés
-  const walker = document.createTreeWalker(link, NODE_FILTER_SHOW_TEXT, {
-    acceptNode: function (node) {
-      const parent = node.parentElement;
+/**
+ * Indique si une image est explicitement décorative (alt="", role="presentation"/"none")
+ * ou masquée aux technologies d'assistance
+ * @param {HTMLImageElement} img - L'image
+ * @returns {boolean}
+ */
+function isDecorativeImage(img) {
+  const alt = img.getAttribute("alt");
+  return (
+    (alt !== null && alt.trim() === "") ||
+    ["presentation", "none"].includes(img.getAttribute("role")) ||
+    isHiddenFromAccessibility(img)
+  );
+}
 
-      // Rejeter le texte dans les éléments à ignorer
-      if (
-        parent &&
-        (parent.tagName === "SVG" ||
-          parent.tagName === "IMG" ||
-          parent.closest("svg") || // Texte dans un SVG
-          parent.closest("img") || // Texte dans une img (rare)
-          parent.classList.contains("accessibility-badge") ||
-          parent.classList.contains("accessibility-badge-link") ||
-          parent.classList.contains("accessibility-badge-svg"))
-      ) {
-        return NODE_FILTER_REJECT;
-      }
+/**
+ * Nom de fichier de l'image, sans extension
+ * @param {HTMLImageElement} img - L'image
+ * @returns {string}
+ */
+function getImageFileName(img) {
+  const path = (img.getAttribute("src") || "").split(/[?#]/)[0];
+  let fileName = path.split("/").pop() || "";
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch {
+    // Séquence % invalide : garder le nom brut
+  }
+  return fileName.replace(/\.[a-z0-9]+$/i, "");
+}
 
-      return NODE_FILTER_ACCEPT;
-    },
-  });
+/**
+ * Textes lus à côté de l'image : légende de la figure, texte du lien ou du bouton
+ * qui la contient, éléments voisins
+ * @param {HTMLImageElement} img - L'image
+ * @returns {Array<{text: string, source: string}>}
+ */
+function getAdjacentTexts(img) {
+  const texts = [];
 
-  let text = "";
-  let node = walker.nextNode();
-  while (node) {
-    text += node.textContent;
-    node = walker.nextNode();
+  const figcaption = img.closest("figure")?.querySelector("figcaption");
+  if (figcaption) {
+    texts.push({ text: figcaption.textContent, source: "la légende" });
   }
 
-  return text.trim();
-}
+  const control = img.parentElement?.closest("a, button");
+  if (control) {
+    const clone = control.cloneNode(true);
+    clone.querySelectorAll("img").forEach((el) => el.remove());
+    texts.push({
+      text: clone.textContent,
+      source: control.tagName.toLowerCase() === "a" ? "le lien" : "le bouton",
+    });
+  }
 
-// Vérifier si le texte est non descriptif
-function isNonDescriptiveText(text) {
-  const nonDescriptiveTexts = [
-    "cliquez ici",
-    "en savoir plus",
-    "voir",
-    "lire la suite",
-  ];
-  return nonDescriptiveTexts.includes(text.toLowerCase());
-}
+  [img.previousSibling, img.nextSibling].forEach((sibling) => {
+    if (sibling && !(sibling.nodeType === 1 && isAuditMarker(sibling))) {
+      texts.push({ text: sibling.textContent, source: "le texte voisin" });
+    }
+  });
 
-// Créer un objet d'issue pour un lien
-function createLinkIssue(link, index, issue, explanation, severity, details) {
-  const linkId = `accessibility-link-${index}`;
-  return {
-    element: `Lien ${index + 1}`,
-    issue: issue,
-    explanation: explanation,
-    severity: severity,
-    linkId: linkId,
-    htmlSnippet: generateHTMLSnippet(link),
-    ...details,
-  };
+  return texts.filter(({ text }) => normalizeAltText(text));
 }
 
-// Add visual feedback à un lien problématique
-function addVisualFeedbackToLink(link, linkIssue, index) {
-  const linkId = `accessibility-link-${index}`;
-  link.setAttribute("data-accessibility-id", linkId);
-
-  const isHighSeverity = linkIssue.severity === "élevée";
-  const outlineColor = isHighSeverity ? "#f97316" : "#fbbf24";
-  const badgeText = isHighSeverity ? "⚠️ LIEN VIDE" : "⚠️ ARIA-LABEL ?";
-  const badgeColor = isHighSeverity ? "#f97316" : "#f59e0b";
-  const issueType = isHighSeverity ? "missing-text" : "bad-text";
+/**
+ * Analyse l'alternative textuelle d'une image
+ * @param {HTMLImageElement} img - L'image
+ * @param {{name: string, source: string}} accessibleName - Nom accessible calculé
+ * @returns {Array<Object>} - [{issue, explanation, severity, badge}]
+ */
+function analyzeImageAlt(img, accessibleName) {
+  const { name, source } = accessibleName;
 
-  // Ajouter le style visuel
-  link.style.outline = `3px solid ${outlineColor}`;
-  link.style.outlineOffset = "2px";
-  link.setAttribute("data-accessibility-issue", issueType);
+  if (!name) {
+    if (isDecorativeImage(img)) {
+      return [];
+    }
+    return [
+      {
+        issue: "Texte alternatif manquant",
+        explanation:
+          "Sans attribut alt, un lecteur d'écran annonce l'image par son nom de fichier, ou pas du tout : un utilisateur non-voyant ne peut pas la comprendre. Si l'image est purement décorative, utiliser alt=\"\".",
+        severity: "élevée",
+        badge: "⚠️ ALT MANQUANT",
+      },
+    ];
+  }
 
-  // Store l'élément
-  markedElements.links.push(link);
+  const problems = [];
+  const normalized = normalizeAltText(name);
 
-  // Créer et ajouter le badge si nécessaire
-  addBadgeToLinkParent(link, linkId, badgeText, badgeColor);
-}
+  if (source === NAME_SOURCE.TITLE) {
+    problems.push({
+      issue: "Image nommée uniquement par son attribut title",
+      explanation:
+        "L'info-bulle title n'apparaît qu'au survol de la souris (jamais au clavier ni au toucher) et n'est pas toujours restituée par les lecteurs d'écran : l'alternative doit figurer dans l'attribut alt.",
+      severity: "moyenne",
+      badge: "⚠️ TITLE SEUL",
+    });
+  }
 
-// Add badge to link parent
-function addBadgeToLinkParent(link, linkId, badgeText, badgeColor) {
+  // Un nom de fichier lisible ("chat-roux.png") peut donner un bon alt ("chat roux") :
+  // seule la copie brute d'un nom technique est signalée
+  const fileName = getImageFileName(img).toLowerCase();
   if (
-    link.parentElement.querySelector(
-      `.accessibility-badge-link[data-badge-for="${linkId}"]`,
-    )
+    IMAGE_FILE_NAME_PATTERN.test(name.trim()) ||
+    (/[\d_-]/.test(fileName) && name.trim().toLowerCase() === fileName)
   ) {
-    return; // Badge déjà présent
+    problems.push({
+      issue: `Texte alternatif ressemblant à un nom de fichier : "${name}"`,
+      explanation:
+        "Un nom de fichier (extension, numéro d'appareil photo, nom de la source) ne décrit pas l'image : il est souvent produit automatiquement par un outil d'édition. Décrire l'information apportée par l'image.",
+      severity: "élevée",
+      badge: "⚠️ ALT = FICHIER",
+    });
+  } else if (PLACEHOLDER_ALT_TEXTS.includes(normalized)) {
+    problems.push({
+      issue: `Texte alternatif générique : "${name}"`,
+      explanation:
+        "Ce mot indique seulement qu'il y a une image, ce que le lecteur d'écran annonce déjà : il ne dit rien de son contenu ni de sa fonction.",
+      severity: "élevée",
+      badge: "⚠️ ALT GÉNÉRIQUE",
+    });
   }
 
-  const badge = document.createElement("div");
-  badge.className = "accessibility-badge-link";
-  badge.textContent = badgeText;
-  badge.setAttribute("data-badge-for", linkId);
-  badge.style.background = badgeColor;
+  if (name.length > ALT_TEXT_MAX_LENGTH) {
+    problems.push({
+      issue: `Texte alternatif trop long (${name.length} caractères)`,
+      explanation: `Au-delà de ${ALT_TEXT_MAX_LENGTH} caractères, l'alternative est lue d'un seul bloc, sans possibilité de naviguer dedans. Garder un alt court et déplacer la description détaillée dans le texte de la page (figcaption, aria-describedby).`,
+      severity: "faible",
+      badge: "⚠️ ALT LONG",
+    });
+  }
 
-  // Position badge
-  ensureParentIsPositioned(link.parentElement);
-  link.parentElement.appendChild(badge);
+  const duplicate = getAdjacentTexts(img).find(
+    ({ text }) => normalizeAltText(text) === normalized,
+  );
+  if (duplicate) {
+    problems.push({
+      issue: `Texte alternatif redondant avec ${duplicate.source}`,
+      explanation: `L'alternative répète ${duplicate.source} : le lecteur d'écran lit deux fois la même information. Utiliser alt="" si l'image n'apporte rien de plus, ou décrire ce qu'elle ajoute.`,
+      severity: "faible",
+      badge: "⚠️ ALT REDONDANT",
+    });
+  }
+
+  return problems;
 }
 
-// Ensure parent a position: relative
-function ensureParentIsPositioned(parent) {
-  const originalPosition = window.getComputedStyle(parent).position;
-  if (originalPosition === "static") {
-    parent.style.position = "relative";
-    parent.setAttribute("data-position-changed", "true");
+/**
+ * Type de contenu non textuel d'un élément (clé de NON_TEXT_CONTENT_LABELS)
+ * @param {Element} el - L'élément
+ * @returns {string}
+ */
+function getNonTextContentKind(el) {
+  const tagName = el.tagName.toLowerCase();
+
+  if (tagName === "img") {
+    return "img";
+  }
+  if (tagName === "input") {
+    return "input-image";
+  }
+  if (["area", "object", "embed", "canvas"].includes(tagName)) {
+    return tagName;
   }
+  return el.getAttribute("role") === "img" ? "role-img" : "icon";
 }
 
-// Remove visual feedback d'un lien
-function removeVisualFeedbackFromLink(link) {
-  if (!link.getAttribute("data-accessibility-issue")) {
-    return; // Pas de feedback à retirer
+/**
+ * Image utilisant la carte d'une zone <area> (support visible du marqueur)
+ * @param {HTMLAreaElement} area - La zone
+ * @returns {HTMLImageElement|null}
+ */
+function getImageMapImage(area) {
+  const name = area.closest("map")?.getAttribute("name");
+  if (!name) {
+    return null;
   }
+  const images = area.getRootNode().querySelectorAll("img[usemap]");
+  return (
+    Array.from(images).find(
+      (img) => img.getAttribute("usemap") === `#${name}`,
+    ) || null
+  );
+}
 
-  link.style.outline = "";
-  link.style.outlineOffset = "";
-  link.removeAttribute("data-accessibility-issue");
+/**
+ * Analyse un contenu non textuel autre qu'une image <img>
+ * @param {Element} el - L'élément
+ * @param {string} kind - Type (getNonTextContentKind)
+ * @param {{name: string, source: string}} accessibleName - Nom accessible calculé
+ * @returns {Array<Object>} - [{issue, explanation, severity, badge}]
+ */
+function analyzeNonTextContent(el, kind, accessibleName) {
+  // Un bouton image ou une zone de carte est un contrôle : alt="" ne le rend pas décoratif
+  if (kind === "input-image" || kind === "area") {
+    if (accessibleName.name) {
+      return analyzeImageAlt(el, accessibleName);
+    }
+    return [
+      {
+        issue:
+          kind === "area"
+            ? "Zone de carte <area> sans texte alternatif"
+            : 'Bouton image <input type="image"> sans texte alternatif',
+        explanation:
+          kind === "area"
+            ? "Chaque zone cliquable d'une carte image est un lien : sans alt, le lecteur d'écran n'annonce que l'adresse de destination."
+            : "Ce bouton n'a pas d'autre nom que son attribut alt : sans lui, le lecteur d'écran annonce « bouton » ou le nom du fichier, sans dire l'action déclenchée.",
+        severity: "élevée",
+        badge: "⚠️ ALT MANQUANT",
+      },
+    ];
+  }
 
-  const linkId = link.getAttribute("data-accessibility-id");
-  link.removeAttribute("data-accessibility-id");
+  if (
+    ["presentation", "none"].includes(el.getAttribute("role")) ||
+    isHiddenFromAccessibility(el)
+  ) {
+    return [];
+  }
 
-  // Remove badge
-  if (linkId) {
-    const badge = link.parentElement.querySelector(
-      `.accessibility-badge-link[data-badge-for="${linkId}"]`,
-    );
-    if (badge) {
-      badge.remove();
+  // Icône accompagnant le texte d'un bouton ou d'un lien : décorative
+  if (kind === "icon") {
+    const control = el.parentElement?.closest(ICON_CONTROL_SELECTOR);
+    const iconText = el.textContent.trim();
+    const controlName = control ? computeAccessibleName(control).name : "";
+    if (controlName.replace(iconText, "").trim()) {
+      return [];
     }
   }
 
-  // Restore parent position
-  if (link.parentElement.getAttribute("data-position-changed") === "true") {
-    link.parentElement.style.position = "";
-    link.parentElement.removeAttribute("data-position-changed");
+  // <object> et <canvas> peuvent porter un contenu de repli
+  const hasFallback =
+    ["object", "canvas"].includes(kind) && el.textContent.trim() !== "";
+  if (accessibleName.name || hasFallback) {
+    return [];
   }
+
+  const problems = {
+    object: {
+      issue: "Objet <object> sans alternative textuelle",
+      explanation:
+        "Le contenu intégré (image, PDF, animation...) n'est pas restitué : ajouter un contenu de repli à l'intérieur de <object>, ou un aria-label.",
+      severity: "élevée",
+      badge: "⚠️ OBJET SANS ALT",
+    },
+    embed: {
+      issue: "Objet <embed> sans alternative textuelle",
+      explanation:
+        "<embed> n'accepte pas de contenu de repli : lui donner un nom (aria-label, title) ou préférer <object> avec un texte de repli.",
+      severity: "élevée",
+      badge: "⚠️ OBJET SANS ALT",
+    },
+    canvas: {
+      issue: "Canvas sans contenu de repli ni nom",
+      explanation:
+        "Le dessin d'un <canvas> est invisible pour les technologies d'assistance : décrire son contenu entre les balises <canvas> ou par aria-label (role=\"img\").",
+      severity: "élevée",
+      badge: "⚠️ CANVAS",
+    },
+    "role-img": {
+      issue: 'Élément role="img" sans nom',
+      explanation:
+        "role=\"img\" annonce une image : sans aria-label ou aria-labelledby, le lecteur d'écran n'en dit rien (ou lit « image »).",
+      severity: "élevée",
+      badge: "⚠️ IMG SANS NOM",
+    },
+    icon: {
+      issue: "Icône de police exposée sans alternative",
+      explanation:
+        "Le glyphe d'une police d'icônes est un caractère privé (ou un nom de ligature) que le lecteur d'écran lit mal ou pas du tout. Masquer l'icône décorative avec aria-hidden=\"true\", ou lui donner un nom (role=\"img\" et aria-label, ou texte masqué visuellement).",
+      severity: "moyenne",
+      badge: "⚠️ ICÔNE",
+    },
+  };
+
+  return [problems[kind]];
 }
 
-// Vérifier la structure des titres
-function checkHeadings() {
-  const headings = document.querySelectorAll("h1, h2, h3, h4, h5, h6");
-  const issues = [];
-  let previousLevel = 0;
-  let issueIndex = 0;
+/**
+ * Marque visuellement une image en erreur avec la bordure et le badge rouges
+ * @param {HTMLImageElement} img - L'image
+ * @param {string} imageId - Identifiant de navigation
+ * @param {string} badgeText - Texte du badge
+ */
+function markImageElement(img, imageId, badgeText) {
+  // Add unique ID for navigation
+  img.setAttribute("data-accessibility-id", imageId);
+
+  // Add red border with animation
+  img.style.border = "5px solid #ef4444";
+  img.style.outline = "5px solid #cc0808";
+  img.style.outlineOffset = "3px";
+  img.style.boxShadow = "0 0 20px rgba(239, 68, 68, 0.6)";
+  img.style.animation = "pulse-red 2s infinite";
+  img.setAttribute("data-accessibility-issue", "image-alt");
+
+  // Store l'élément pour pouvoir le modifier plus tard
+  markedElements.images.push(img);
+
+  // Créer et ajouter un badge visuel
+  if (
+    img.parentElement &&
+    !img.parentElement.querySelector(".accessibility-badge")
+  ) {
+    const badge = document.createElement("div");
+    badge.className = "accessibility-badge";
+    badge.textContent = badgeText;
+    badge.setAttribute("data-badge-for", imageId);
+
+    // Position badge
+    const imgParent = img.parentElement;
+    const originalPosition = window.getComputedStyle(imgParent).position;
+    if (originalPosition === "static") {
+      imgParent.style.position = "relative";
+      imgParent.setAttribute("data-position-changed", "true");
+    }
 
-  // Inject CSS styles for badges de titres (une seule fois)
-  if (!document.getElementById("accessibility-heading-styles")) {
+    imgParent.appendChild(badge);
+  }
+
+  // Add CSS animation si elle n'existe pas déjà
+  if (!document.getElementById("accessibility-animation-styles")) {
     const style = document.createElement("style");
-    style.id = "accessibility-heading-styles";
+    style.id = "accessibility-animation-styles";
     style.textContent = `
-      .accessibility-badge-heading {
+      @keyframes pulse-red {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.7; }
+      }
+      
+      .accessibility-badge {
         position: absolute;
-        top: -8px;
+        top: 5px;
+        left: 5px;
+        background: #dc2626;
+        color: white;
+        padding: 4px 8px;
+        border-radius: 4px;
+        font-size: 11px;
+        font-weight: bold;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        z-index: 999999;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+        animation: pulse-red 2s infinite;
+      }
+      
+      .accessibility-badge-link {
+        position: absolute;
+        top: 0;
         left: 0;
-        background: #3b82f6;
+        background: #f97316;
+        color: white;
+        padding: 4px 8px;
+        border-radius: 4px;
+        font-size: 10px;
+        font-weight: bold;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        z-index: 999999;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+        animation: pulse-red 2s infinite;
+        white-space: nowrap;
+      }
+      
+      .accessibility-badge-svg {
+        position: absolute;
+        top: 5px;
+        left: 5px;
+        background: #a855f7;
         color: white;
         padding: 4px 8px;
         border-radius: 4px;
@@ -1032,445 +2899,4673 @@ function checkHeadings() {
     `;
     document.head.appendChild(style);
   }
+}
 
-  // Vérifier s'il y a un H1
-  const h1Count = document.querySelectorAll("h1").length;
-  if (h1Count === 0) {
-    issues.push({
-      element: "Structure",
-      issue: "Aucun titre H1 trouvé sur la page",
-      explanation:
-        "Le H1 est essentiel pour la structure et le référencement. Il indique le sujet principal de la page aux utilisateurs et aux lecteurs d'écran.",
-      severity: "élevée",
-    });
-  } else if (h1Count > 1) {
-    issues.push({
-      element: "Structure",
-      issue: `${h1Count} titres H1 trouvés (recommandé: 1 seul)`,
-      explanation:
-        "Une page doit avoir un seul H1 pour une structure claire. Plusieurs H1 peuvent dérouter les utilisateurs de lecteurs d'écran.",
-      severity: "moyenne",
-    });
-  }
+// Vérifier les contenus non textuels : images, boutons image, zones de carte,
+// objets, canvas, role="img" et polices d'icônes
+async function checkImages(task) {
+  const elements = querySelectorAllDeep(NON_TEXT_CONTENT_SELECTOR).filter(
+    (el) => !isAuditMarker(el),
+  );
+  const issues = [];
+  // Élément marqué → identifiant (les zones d'une carte marquent la même image)
+  const markerIds = new Map();
+  let failed = 0;
+
+  await processInIdleChunks(
+    elements,
+    (el, index) => {
+      const kind = getNonTextContentKind(el);
+      const accessibleName = computeAccessibleName(el);
+      const problems =
+        kind === "img"
+          ? analyzeImageAlt(el, accessibleName)
+          : analyzeNonTextContent(el, kind, accessibleName);
+
+      if (problems.length > 0) {
+        // Un seul marqueur par élément, une issue par problème
+        const target = (kind === "area" && getImageMapImage(el)) || el;
+        if (!markerIds.has(target)) {
+          markerIds.set(target, `accessibility-img-${index}`);
+          markImageElement(
+            target,
+            markerIds.get(target),
+            problems.length > 1 ? "⚠️ ALT" : problems[0].badge,
+          );
+        }
+        const imageId = markerIds.get(target);
+        failed++;
+
+        problems.forEach((problem) => {
+          issues.push({
+            element: `${NON_TEXT_CONTENT_LABELS[kind]} ${index + 1}`,
+            issue: problem.issue,
+            explanation: problem.explanation,
+            severity: problem.severity,
+            src: el.src || el.getAttribute("data") || el.href || undefined,
+            accessibleName: accessibleName.name,
+            nameSource: accessibleName.source,
+            imageId: imageId,
+            htmlSnippet: generateHTMLSnippet(el),
+          });
+        });
+      } else if (!markerIds.has(el)) {
+        // Remove style if l'image a un alt valide
+        if (el.getAttribute("data-accessibility-issue") === "image-alt") {
+          el.style.border = "";
+          el.style.outline = "";
+          el.style.outlineOffset = "";
+          el.style.boxShadow = "";
+          el.style.animation = "";
+          el.removeAttribute("data-accessibility-issue");
+          el.removeAttribute("data-accessibility-id");
+
+          // Remove badge
+          const badge = el.parentElement?.querySelector(".accessibility-badge");
+          if (badge) {
+            badge.remove();
+          }
 
-  // Vérifier la hiérarchie
-  headings.forEach((heading, index) => {
-    const level = parseInt(heading.tagName.slice(1));
-    // const level = parseInt(heading.tagName.charAt(1));
+          // Restore parent position si elle a été changée
+          if (
+            el.parentElement?.getAttribute("data-position-changed") === "true"
+          ) {
+            el.parentElement.style.position = "";
+            el.parentElement.removeAttribute("data-position-changed");
+          }
+        }
+      }
+    },
+    task,
+  );
 
-    if (previousLevel > 0 && level - previousLevel > 1) {
-      // Add unique ID for navigation
-      const headingId = `accessibility-heading-${issueIndex}`;
-      heading.setAttribute("data-accessibility-id", headingId);
+  return {
+    total: elements.length,
+    issues: issues,
+    passed: elements.length - failed,
+  };
+}
 
-      // Add visual style (bordure bleue)
-      heading.style.outline = "4px solid #3b82f6";
-      heading.style.outlineOffset = "2px";
-      heading.setAttribute("data-accessibility-issue", "heading-skip");
+// Vérifier si un SVG est accessible
+function isSVGAccessible(svg, accessibleName) {
+  // Un SVG décoratif masqué (aria-hidden) n'a pas besoin de nom
+  const isHidden = svg.getAttribute("aria-hidden") === "true";
+
+  return isHidden || accessibleName.name !== "";
+}
 
-      // Store l'élément
-      markedElements.headings.push(heading);
+// Assurer que le parent du SVG a position: relative
+function ensureSVGParentPositioned(parent) {
+  const originalPosition = window.getComputedStyle(parent).position;
+  if (originalPosition === "static") {
+    parent.style.position = "relative";
+    parent.setAttribute("data-position-changed", "true");
+  }
+}
 
-      // Créer et ajouter un badge visuel bleu
-      if (
-        !heading.parentElement.querySelector(
-          `.accessibility-badge-heading[data-badge-for="${headingId}"]`,
-        )
-      ) {
-        const badge = document.createElement("div");
-        badge.className = "accessibility-badge-heading";
-        badge.textContent = `⚠️ SAUT H${previousLevel}→H${level}`;
-        badge.setAttribute("data-badge-for", headingId);
-
-        // Position badge
-        const originalPosition = window.getComputedStyle(
-          heading.parentElement,
-        ).position;
-        if (originalPosition === "static") {
-          heading.parentElement.style.position = "relative";
-          heading.parentElement.setAttribute("data-position-changed", "true");
-        }
+// Créer un badge pour un SVG problématique
+function createSVGBadge(svg, svgId) {
+  if (
+    !svg.parentElement ||
+    svg.parentElement.querySelector(
+      `.accessibility-badge-svg[data-badge-for="${svgId}"]`,
+    )
+  ) {
+    return; // Badge déjà présent
+  }
 
-        heading.parentElement.appendChild(badge);
-      }
+  const badge = document.createElement("div");
+  badge.className = "accessibility-badge-svg";
+  badge.textContent = "⚠️ SVG NON ACCESSIBLE";
+  badge.setAttribute("data-badge-for", svgId);
 
-      issues.push({
-        element: `${heading.tagName}`,
-        issue: `Saut de niveau de titre (de H${previousLevel} à H${level})`,
-        explanation:
-          "Respecter la hiérarchie des titres (H1→H2→H3) aide les utilisateurs de lecteurs d'écran à comprendre la structure du document.",
-        severity: "moyenne",
-        text: heading.textContent.trim(),
-        headingId: headingId,
-        htmlSnippet: generateHTMLSnippet(heading),
-      });
+  ensureSVGParentPositioned(svg.parentElement);
+  svg.parentElement.appendChild(badge);
+}
 
-      issueIndex++;
-    }
+// Ajouter le feedback visuel à un SVG problématique
+function addVisualFeedbackToSVG(svg, index) {
+  const svgId = `accessibility-svg-${index}`;
+  svg.setAttribute("data-accessibility-id", svgId);
 
-    if (!heading.textContent.trim()) {
-      // Add unique ID for navigation
-      const headingId = `accessibility-heading-${issueIndex}`;
-      heading.setAttribute("data-accessibility-id", headingId);
+  // Ajouter les styles visuels (bordure violette)
+  svg.style.outline = "5px solid #a855f7";
+  svg.style.outlineOffset = "3px";
+  svg.style.boxShadow = "0 0 20px rgba(168, 85, 247, 0.6)";
+  svg.setAttribute("data-accessibility-issue", "svg-no-desc");
 
-      // Add visual style (bordure bleue)
-      heading.style.outline = "4px solid #3b82f6";
-      heading.style.outlineOffset = "2px";
-      heading.setAttribute("data-accessibility-issue", "heading-empty");
+  // Stocker l'élément
+  markedElements.svgs.push(svg);
 
-      // Store l'élément
-      markedElements.headings.push(heading);
+  // Créer le badge
+  createSVGBadge(svg, svgId);
 
-      // Créer et ajouter un badge visuel bleu
-      if (
-        !heading.parentElement.querySelector(
-          `.accessibility-badge-heading[data-badge-for="${headingId}"]`,
-        )
-      ) {
-        const badge = document.createElement("div");
-        badge.className = "accessibility-badge-heading";
-        badge.textContent = "⚠️ TITRE VIDE";
-        badge.setAttribute("data-badge-for", headingId);
-
-        // Position badge
-        const originalPosition = window.getComputedStyle(
-          heading.parentElement,
-        ).position;
-        if (originalPosition === "static") {
-          heading.parentElement.style.position = "relative";
-          heading.parentElement.setAttribute("data-position-changed", "true");
-        }
+  return svgId;
+}
 
-        heading.parentElement.appendChild(badge);
-      }
+// Supprimer le feedback visuel d'un SVG
+function removeVisualFeedbackFromSVG(svg) {
+  if (svg.getAttribute("data-accessibility-issue") !== "svg-no-desc") {
+    return;
+  }
 
-      issues.push({
-        element: `${heading.tagName} ${index + 1}`,
-        issue: "Titre vide",
-        explanation:
-          "Un titre vide n'apporte aucune information et perturbe la navigation pour les utilisateurs de technologies d'assistance.",
-        severity: "élevée",
-        headingId: headingId,
-        htmlSnippet: generateHTMLSnippet(heading),
-      });
+  // Supprimer les styles
+  svg.style.outline = "";
+  svg.style.outlineOffset = "";
+  svg.style.boxShadow = "";
+  svg.removeAttribute("data-accessibility-issue");
+  svg.removeAttribute("data-accessibility-id");
 
-      issueIndex++;
-    }
+  // Supprimer le badge
+  const badge = svg.parentElement?.querySelector(".accessibility-badge-svg");
+  if (badge) {
+    badge.remove();
+  }
 
-    previousLevel = level;
-  });
+  // Restaurer la position du parent si elle a été changée
+  if (svg.parentElement?.getAttribute("data-position-changed") === "true") {
+    svg.parentElement.style.position = "";
+    svg.parentElement.removeAttribute("data-position-changed");
+  }
+}
 
+// Créer un objet issue pour un SVG
+function createSVGIssue(svg, index, svgId, accessibleName) {
   return {
-    total: headings.length,
-    issues: issues,
-    passed: headings.length - issues.length,
+    element: `SVG ${index + 1}`,
+    issue: "SVG inline sans description",
+    explanation:
+      'Ajoutez role="img" + aria-label, ou un élément title interne, ou aria-hidden="true" si décoratif',
+    severity: "élevée",
+    accessibleName: accessibleName.name,
+    nameSource: accessibleName.source,
+    svgId: svgId,
+    htmlSnippet: generateHTMLSnippet(svg),
   };
 }
 
-// Vérifier les formulaires
-function checkForms() {
-  const inputs = document.querySelectorAll(
-    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select',
-  );
+// Vérifier les SVG inline sans attributs d'accessibilité
+async function checkSVG(task) {
+  const svgs = querySelectorAllDeep("svg");
   const issues = [];
-  let issueIndex = 0;
 
-  // Inject CSS styles for badges de formulaires (une seule fois)
-  if (!document.getElementById("accessibility-form-styles")) {
-    const style = document.createElement("style");
-    style.id = "accessibility-form-styles";
-    style.textContent = `
-      .accessibility-badge-form {
-        position: absolute;
-        top: -8px;
-        left: 0;
-        background: #f59e0b;
-        color: white;
-        padding: 4px 8px;
-        border-radius: 4px;
-        font-size: 10px;
-        font-weight: bold;
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-        z-index: 999999;
-        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-        pointer-events: none;
-        animation: pulse-red 2s infinite;
-        white-space: nowrap;
+  await processInIdleChunks(
+    svgs,
+    (svg, index) => {
+      // Vérifier si le SVG est accessible
+      const accessibleName = computeAccessibleName(svg);
+      if (!isSVGAccessible(svg, accessibleName)) {
+        // SVG non accessible : ajouter le feedback visuel
+        const svgId = addVisualFeedbackToSVG(svg, index);
+        issues.push(createSVGIssue(svg, index, svgId, accessibleName));
+      } else {
+        // SVG accessible : supprimer le feedback visuel si présent
+        removeVisualFeedbackFromSVG(svg);
       }
-    `;
-    document.head.appendChild(style);
-  }
-
-  inputs.forEach((input, index) => {
-    const id = input.id;
-    const label = id
-      ? document.querySelector(`label[for="${id}"]`)
-      : input.closest("label");
-    const ariaLabel = input.getAttribute("aria-label");
-    const ariaLabelledby = input.getAttribute("aria-labelledby");
+    },
+    task,
+  );
 
-    if (!label && !ariaLabel && !ariaLabelledby) {
-      // Add unique ID for navigation
-      const formId = `accessibility-form-${issueIndex}`;
-      input.setAttribute("data-accessibility-id", formId);
+  return {
+    total: svgs.length,
+    issues: issues,
+    passed: svgs.length - issues.length,
+  };
+}
+
+// Vérifier les liens
+async function checkLinks(options, task) {
+  const links = querySelectorAllDeep("a");
+  const issues = [];
+  const getDictionary = createLinkTextDictionary(options);
+  const accessibleNames = new Map();
+  const issuesByLink = new Map();
+
+  // Règles propres à chaque lien, puis règles comparant les liens de la page
+  await processInIdleChunks(
+    links,
+    (link, index) => {
+      const accessibleName = computeAccessibleName(link);
+      accessibleNames.set(link, accessibleName);
+      issuesByLink.set(
+        link,
+        analyzeLinkAccessibility(link, index, accessibleName, getDictionary),
+      );
+    },
+    task,
+  );
+  addInconsistentLinkIssues(links, accessibleNames, issuesByLink);
+  addAdjacentLinkIssues(links, issuesByLink);
+
+  let failed = 0;
+  await processInIdleChunks(
+    links,
+    (link, index) => {
+      const linkIssues = issuesByLink.get(link);
+
+      if (linkIssues.length > 0) {
+        addVisualFeedbackToLink(link, linkIssues, index);
+        issues.push(...linkIssues);
+        failed++;
+      } else {
+        removeVisualFeedbackFromLink(link);
+      }
+    },
+    task,
+  );
+
+  return {
+    total: links.length,
+    issues: issues,
+    passed: links.length - failed,
+  };
+}
+
+/**
+ * URL absolue d'un lien, y compris pour un lien SVG (dont la propriété href est un
+ * SVGAnimatedString) ou un href invalide
+ * @param {Element} link - Le lien (<a> HTML ou SVG)
+ * @returns {string} - URL absolue, chaîne vide sans href exploitable
+ */
+function getLinkUrl(link) {
+  const href = link.getAttribute("href") ?? link.getAttribute("xlink:href");
+  if (href === null) {
+    return "";
+  }
+  try {
+    return new URL(href, document.baseURI).href;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Destination d'un lien, pour comparer les liens entre eux
+ * @param {HTMLAnchorElement} link - Le lien
+ * @returns {string|null} - URL absolue (sans "/" final), null sans destination réelle
+ */
+function getLinkDestination(link) {
+  const href = (
+    link.getAttribute("href") ??
+    link.getAttribute("xlink:href") ??
+    ""
+  ).trim();
+  if (!href || href === "#" || /^javascript:/i.test(href)) {
+    return null;
+  }
+  return getLinkUrl(link).replace(/\/$/, "") || null;
+}
+
+/**
+ * Texte annoncé avec un lien : nom accessible, description, title et texte qui le suit
+ * (« Rapport annuel</a> (PDF, 2 Mo) » est restitué dans le contexte du lien)
+ * @param {HTMLAnchorElement} link - Le lien
+ * @param {string} name - Nom accessible du lien
+ * @returns {string}
+ */
+function getLinkContextText(link, name) {
+  const next = link.nextSibling;
+  return [
+    name,
+    ...getReferencedElements(link, "aria-describedby").map(
+      (el) => el.textContent,
+    ),
+    link.getAttribute("title") || "",
+    next && next.nodeType === Node.TEXT_NODE ? next.textContent : "",
+  ].join(" ");
+}
+
+/**
+ * Problème d'un lien vers un document : format et poids absents du texte
+ * @param {HTMLAnchorElement} link - Le lien
+ * @param {string} context - Texte annoncé avec le lien (getLinkContextText)
+ * @returns {{extension: string, missing: Array<string>}|null}
+ */
+function getDocumentLinkProblem(link, context) {
+  if (!getLinkDestination(link)) {
+    return null;
+  }
+
+  let pathname = "";
+  try {
+    pathname = new URL(getLinkUrl(link)).pathname;
+  } catch {
+    return null;
+  }
+  const extension = (pathname.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  const formats = DOCUMENT_LINK_FORMATS[extension];
+  if (!formats) {
+    return null;
+  }
+
+  const missing = [];
+  const formatPattern = new RegExp(`\\b(${formats.join("|")})\\b`, "i");
+  if (!formatPattern.test(context)) {
+    missing.push("format");
+  }
+  if (!FILE_SIZE_PATTERN.test(context)) {
+    missing.push("poids");
+  }
+  return missing.length > 0 ? { extension, missing } : null;
+}
+
+// Analyze l'accessibilité d'un lien : règles ne dépendant que du lien lui-même
+function analyzeLinkAccessibility(link, index, accessibleName, getDictionary) {
+  const nameDetails = {
+    accessibleName: accessibleName.name,
+    nameSource: accessibleName.source,
+  };
+
+  // Case 1 : Lien sans nom accessible
+  if (!accessibleName.name) {
+    return [
+      createLinkIssue(
+        link,
+        index,
+        "empty",
+        "Lien sans texte descriptif",
+        "Sans texte, un utilisateur non-voyant ne sait pas où mène ce lien !",
+        "élevée",
+        { href: getLinkUrl(link), ...nameDetails },
+      ),
+    ];
+  }
+
+  const linkIssues = [];
+
+  // Case 2 : Nom accessible non descriptif (texte, aria-label ou alt)
+  if (isNonDescriptiveText(accessibleName.name, getDictionary(link))) {
+    linkIssues.push(
+      createLinkIssue(
+        link,
+        index,
+        "nonDescriptive",
+        "Texte de lien non descriptif",
+        "Ajoutez un aria-label pour décrire la destination (ex: aria-label='En savoir plus sur [sujet]')",
+        "moyenne",
+        { text: accessibleName.name, ...nameDetails },
+      ),
+    );
+  }
+
+  const context = getLinkContextText(link, accessibleName.name);
+
+  // Case 3 : Ouverture dans une nouvelle fenêtre sans avertissement
+  if (
+    (link.getAttribute("target") || "").toLowerCase() === "_blank" &&
+    !NEW_WINDOW_PATTERN.test(context)
+  ) {
+    linkIssues.push(
+      createLinkIssue(
+        link,
+        index,
+        "newWindow",
+        "Ouverture dans une nouvelle fenêtre non signalée",
+        "target=\"_blank\" ouvre un nouvel onglet sans prévenir : le bouton Retour ne fonctionne plus et l'utilisateur d'un lecteur d'écran peut perdre ses repères. Signaler l'ouverture dans le texte du lien, ex : « (nouvelle fenêtre) ».",
+        "faible",
+        { text: accessibleName.name, href: getLinkUrl(link), ...nameDetails },
+      ),
+    );
+  }
+
+  // Case 4 : Document téléchargeable sans format ni poids
+  const documentProblem = getDocumentLinkProblem(link, context);
+  if (documentProblem) {
+    linkIssues.push(
+      createLinkIssue(
+        link,
+        index,
+        "document",
+        `Lien vers un document ${documentProblem.extension.toUpperCase()} sans ${documentProblem.missing.join(" ni ")}`,
+        "Annoncer le format et le poids du fichier, ex : « Rapport annuel (PDF, 2 Mo) », permet de savoir avant d'activer le lien qu'un document va être téléchargé ou ouvert dans une autre application.",
+        "faible",
+        { text: accessibleName.name, href: getLinkUrl(link), ...nameDetails },
+      ),
+    );
+  }
+
+  return linkIssues;
+}
+
+/**
+ * Signale les liens de même texte menant à des destinations différentes (WCAG 2.4.4, 3.2.4)
+ * @param {Array<HTMLAnchorElement>} links - Liens de la page
+ * @param {Map<Element, Object>} accessibleNames - Lien → nom accessible
+ * @param {Map<Element, Array<Object>>} issuesByLink - Issues par lien (complétées)
+ */
+function addInconsistentLinkIssues(links, accessibleNames, issuesByLink) {
+  const linksByText = new Map();
+
+  links.forEach((link, index) => {
+    const destination = getLinkDestination(link);
+    const text = normalizeLinkText(accessibleNames.get(link).name);
+    // Les liens vides ou non descriptifs sont déjà signalés
+    const alreadyReported = issuesByLink
+      .get(link)
+      .some((issue) => ["empty", "nonDescriptive"].includes(issue.linkRule));
+    if (!destination || !text || alreadyReported) {
+      return;
+    }
+
+    if (!linksByText.has(text)) {
+      linksByText.set(text, []);
+    }
+    linksByText.get(text).push({ link, index, destination });
+  });
+
+  linksByText.forEach((entries) => {
+    const destinations = new Set(entries.map((entry) => entry.destination));
+    if (destinations.size < 2) {
+      return;
+    }
+
+    entries.forEach(({ link, index }) => {
+      const name = accessibleNames.get(link);
+      issuesByLink.get(link).push(
+        createLinkIssue(
+          link,
+          index,
+          "inconsistent",
+          `Même texte « ${name.name} » pour ${destinations.size} destinations différentes`,
+          "Des liens de même intitulé doivent mener au même endroit : sinon, dans la liste des liens d'un lecteur d'écran, rien ne permet de les distinguer. Préciser chaque intitulé (ou aria-label) selon sa destination.",
+          "moyenne",
+          {
+            text: name.name,
+            href: getLinkUrl(link),
+            accessibleName: name.name,
+            nameSource: name.source,
+          },
+        ),
+      );
+    });
+  });
+}
+
+/**
+ * Indique si deux liens se suivent sans aucun texte entre eux
+ * @param {HTMLAnchorElement} link - Premier lien
+ * @param {HTMLAnchorElement} next - Lien suivant
+ * @returns {boolean}
+ */
+function areAdjacentLinks(link, next) {
+  if (
+    link.getRootNode() !== next.getRootNode() ||
+    link.contains(next) ||
+    !(link.compareDocumentPosition(next) & Node.DOCUMENT_POSITION_FOLLOWING)
+  ) {
+    return false;
+  }
+
+  const range = document.createRange();
+  range.setStartAfter(link);
+  range.setEndBefore(next);
+  return range.toString().trim() === "";
+}
+
+/**
+ * Signale les liens adjacents vers la même destination (image + texte) à fusionner
+ * @param {Array<HTMLAnchorElement>} links - Liens de la page
+ * @param {Map<Element, Array<Object>>} issuesByLink - Issues par lien (complétées)
+ */
+function addAdjacentLinkIssues(links, issuesByLink) {
+  links.slice(0, -1).forEach((link, index) => {
+    const next = links[index + 1];
+    const destination = getLinkDestination(link);
+    if (
+      !destination ||
+      destination !== getLinkDestination(next) ||
+      !areAdjacentLinks(link, next)
+    ) {
+      return;
+    }
+
+    issuesByLink
+      .get(link)
+      .push(
+        createLinkIssue(
+          link,
+          index,
+          "adjacent",
+          "Liens adjacents vers la même destination",
+          'Une image et un texte liés séparément vers la même page produisent deux arrêts au clavier et deux annonces identiques. Les réunir dans un seul lien, en donnant alt="" à l\'image.',
+          "faible",
+          { href: getLinkUrl(link) },
+        ),
+      );
+  });
+}
+
+/**
+ * Normalise un texte de lien : casse, accents, ponctuation et symboles (→, », >...)
+ * @param {string} text - Texte à normaliser
+ * @returns {string}
+ */
+function normalizeLinkText(text) {
+  return text
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}\s]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Devine la langue d'une page à partir de ses mots les plus fréquents
+ * @returns {string|null} - Clé de LANGUAGE_STOPWORDS, ou null si rien n'est reconnu
+ */
+function detectPageLanguage() {
+  const words = (document.body?.textContent || "")
+    .toLowerCase()
+    .split(/[^\p{L}]+/u)
+    .slice(0, LANGUAGE_DETECTION_WORD_LIMIT);
+
+  let best = null;
+  let bestScore = 0;
+  Object.entries(LANGUAGE_STOPWORDS).forEach(([language, stopwords]) => {
+    const score = words.filter((word) => stopwords.includes(word)).length;
+    if (score > bestScore) {
+      best = language;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Dictionnaire des textes non descriptifs applicable à chaque langue : textes de la
+ * langue (toutes les langues si elle est inconnue) et expressions ajoutées dans les réglages
+ * @param {Object} options - Options d'audit (linkTextDictionary)
+ * @returns {function(Element): Set<string>} - Dictionnaire normalisé d'un lien
+ */
+function createLinkTextDictionary(options) {
+  const custom = (options.linkTextDictionary || []).map(normalizeLinkText);
+  const dictionaries = new Map();
+  let pageLanguage;
+
+  const getDictionary = (language) => {
+    if (!dictionaries.has(language)) {
+      const texts =
+        NON_DESCRIPTIVE_LINK_TEXTS[language] ||
+        Object.values(NON_DESCRIPTIVE_LINK_TEXTS).flat();
+      dictionaries.set(
+        language,
+        new Set([...texts.map(normalizeLinkText), ...custom]),
+      );
+    }
+    return dictionaries.get(language);
+  };
+
+  return (link) => {
+    // Langue déclarée au plus près du lien, sinon devinée une fois pour la page
+    const declared = link.closest("[lang]")?.getAttribute("lang");
+    if (declared) {
+      return getDictionary(declared.split("-")[0].toLowerCase());
+    }
+    if (pageLanguage === undefined) {
+      pageLanguage = detectPageLanguage();
+    }
+    return getDictionary(pageLanguage);
+  };
+}
+
+/**
+ * Indique si le nom d'un lien figure dans le dictionnaire des textes non descriptifs
+ * @param {string} text - Nom accessible du lien
+ * @param {Set<string>} dictionary - Textes normalisés (createLinkTextDictionary)
+ * @returns {boolean}
+ */
+function isNonDescriptiveText(text, dictionary) {
+  return dictionary.has(normalizeLinkText(text));
+}
+
+// Créer un objet d'issue pour un lien (rule : clé de LINK_RULES)
+function createLinkIssue(
+  link,
+  index,
+  rule,
+  issue,
+  explanation,
+  severity,
+  details,
+) {
+  const linkId = `accessibility-link-${index}`;
+  return {
+    element: `Lien ${index + 1}`,
+    issue: issue,
+    explanation: explanation,
+    severity: severity,
+    type: LINK_RULES[rule].label,
+    linkRule: rule,
+    linkId: linkId,
+    htmlSnippet: generateHTMLSnippet(link),
+    ...details,
+  };
+}
+
+// Add visual feedback à un lien problématique (un marqueur pour toutes ses issues)
+function addVisualFeedbackToLink(link, linkIssues, index) {
+  const linkId = `accessibility-link-${index}`;
+  link.setAttribute("data-accessibility-id", linkId);
+
+  const isHighSeverity = linkIssues.some(
+    (issue) => issue.severity === "élevée",
+  );
+  const outlineColor = isHighSeverity ? "#f97316" : "#fbbf24";
+  const badgeText =
+    linkIssues.length > 1
+      ? "⚠️ LIEN"
+      : LINK_RULES[linkIssues[0].linkRule].badge;
+  const badgeColor = isHighSeverity ? "#f97316" : "#f59e0b";
+  const issueType = isHighSeverity ? "missing-text" : "bad-text";
+
+  // Ajouter le style visuel
+  link.style.outline = `3px solid ${outlineColor}`;
+  link.style.outlineOffset = "2px";
+  link.setAttribute("data-accessibility-issue", issueType);
+
+  // Store l'élément
+  markedElements.links.push(link);
+
+  // Créer et ajouter le badge si nécessaire
+  addBadgeToLinkParent(link, linkId, badgeText, badgeColor);
+}
+
+// Add badge to link parent
+function addBadgeToLinkParent(link, linkId, badgeText, badgeColor) {
+  if (
+    !link.parentElement ||
+    link.parentElement.querySelector(
+      `.accessibility-badge-link[data-badge-for="${linkId}"]`,
+    )
+  ) {
+    return; // Badge déjà présent
+  }
+
+  const badge = document.createElement("div");
+  badge.className = "accessibility-badge-link";
+  badge.textContent = badgeText;
+  badge.setAttribute("data-badge-for", linkId);
+  badge.style.background = badgeColor;
+
+  // Position badge
+  ensureParentIsPositioned(link.parentElement);
+  link.parentElement.appendChild(badge);
+}
+
+// Ensure parent a position: relative
+function ensureParentIsPositioned(parent) {
+  const originalPosition = window.getComputedStyle(parent).position;
+  if (originalPosition === "static") {
+    parent.style.position = "relative";
+    parent.setAttribute("data-position-changed", "true");
+  }
+}
+
+// Remove visual feedback d'un lien
+function removeVisualFeedbackFromLink(link) {
+  if (!link.getAttribute("data-accessibility-issue")) {
+    return; // Pas de feedback à retirer
+  }
+
+  link.style.outline = "";
+  link.style.outlineOffset = "";
+  link.removeAttribute("data-accessibility-issue");
+
+  const linkId = link.getAttribute("data-accessibility-id");
+  link.removeAttribute("data-accessibility-id");
+
+  // Remove badge
+  if (linkId) {
+    const badge = link.parentElement?.querySelector(
+      `.accessibility-badge-link[data-badge-for="${linkId}"]`,
+    );
+    if (badge) {
+      badge.remove();
+    }
+  }
+
+  // Restore parent position
+  if (link.parentElement?.getAttribute("data-position-changed") === "true") {
+    link.parentElement.style.position = "";
+    link.parentElement.removeAttribute("data-position-changed");
+  }
+}
+
+/**
+ * Niveau d'un titre : aria-level, sinon celui de la balise (2 par défaut pour role="heading")
+ * @param {Element} heading - Le titre
+ * @returns {number}
+ */
+function getHeadingLevel(heading) {
+  const ariaLevel = parseInt(heading.getAttribute("aria-level"), 10);
+  if (ariaLevel > 0) {
+    return ariaLevel;
+  }
+  const match = heading.tagName.match(/^H([1-6])$/i);
+  return match ? parseInt(match[1], 10) : 2;
+}
+
+/**
+ * Titres de la page (HTML et role="heading"), shadow DOM compris, dans l'ordre du document
+ * @returns {Array<Element>}
+ */
+function getPageHeadings() {
+  return querySelectorAllDeep(
+    'h1, h2, h3, h4, h5, h6, [role="heading"]',
+  ).filter((el) => getElementRole(el) === "heading");
+}
+
+/**
+ * Libellé d'un titre dans les résultats (ex: "H2", "div role=heading niveau 3")
+ * @param {Element} heading - Le titre
+ * @param {number} index - Position parmi les titres
+ * @returns {string}
+ */
+function describeHeading(heading, index) {
+  if (/^H[1-6]$/i.test(heading.tagName) && !heading.hasAttribute("role")) {
+    return `${heading.tagName} ${index + 1}`;
+  }
+  return `${heading.tagName.toLowerCase()} role=heading niveau ${getHeadingLevel(heading)}`;
+}
+
+/**
+ * Indique si un titre masqué aux technologies d'assistance reste affiché à l'écran
+ * (aria-hidden, par opposition à display: none, hidden ou visibility: hidden)
+ * @param {Element} heading - Le titre
+ * @returns {boolean}
+ */
+function isHeadingDisplayed(heading) {
+  for (let node = heading; node; node = getComposedParent(node)) {
+    if (node.hidden || window.getComputedStyle(node).display === "none") {
+      return false;
+    }
+  }
+  return window.getComputedStyle(heading).visibility !== "hidden";
+}
+
+/**
+ * Graisse numérique d'un style calculé ("bold" → 700)
+ * @param {string} fontWeight - Valeur de font-weight
+ * @returns {number}
+ */
+function parseFontWeight(fontWeight) {
+  if (fontWeight === "bold" || fontWeight === "bolder") {
+    return 700;
+  }
+  return parseInt(fontWeight, 10) || 400;
+}
+
+/**
+ * Indique si un paragraphe ou un bloc ressemble à un titre : texte court sur une
+ * ligne, sans ponctuation finale, gras et plus grand que le texte courant
+ * @param {Element} el - Paragraphe ou bloc
+ * @param {number} baseFontSize - Taille du texte courant (px)
+ * @returns {boolean}
+ */
+function isFakeHeading(el, baseFontSize) {
+  // Uniquement du texte et des éléments de mise en forme en ligne
+  const children = Array.from(el.children);
+  if (
+    isAuditMarker(el) ||
+    children.some(
+      (child) =>
+        !FAKE_HEADING_INLINE_TAGS.includes(child.tagName.toLowerCase()),
+    ) ||
+    el.closest(
+      'h1, h2, h3, h4, h5, h6, [role="heading"], a, button, label, legend, caption, th, li',
+    )
+  ) {
+    return false;
+  }
+
+  const text = el.textContent.replace(/\s+/g, " ").trim();
+  if (
+    text.length < 2 ||
+    text.length > FAKE_HEADING_MAX_LENGTH ||
+    /[.,;:]$/.test(text)
+  ) {
+    return false;
+  }
+
+  // Style du texte : celui de l'élément, ou de son unique enfant (<p><strong>...</strong></p>)
+  const styled =
+    children.length === 1 &&
+    children[0].textContent.replace(/\s+/g, " ").trim() === text
+      ? children[0]
+      : el;
+  const style = window.getComputedStyle(styled);
+  return (
+    parseFontWeight(style.fontWeight) >= FAKE_HEADING_MIN_FONT_WEIGHT &&
+    parseFloat(style.fontSize) >= baseFontSize * FAKE_HEADING_FONT_SIZE_RATIO &&
+    !isHiddenFromAccessibility(el)
+  );
+}
+
+/**
+ * Repère les paragraphes et blocs de la page qui ressemblent à des titres
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Array<Element>>}
+ */
+async function findFakeHeadings(task) {
+  const baseFontSize =
+    parseFloat(window.getComputedStyle(document.body).fontSize) || 16;
+  const fakeHeadings = [];
+
+  await processInIdleChunks(
+    querySelectorAllDeep("p, div", document.body),
+    (el) => {
+      if (isFakeHeading(el, baseFontSize)) {
+        fakeHeadings.push(el);
+      }
+    },
+    task,
+  );
+
+  return fakeHeadings;
+}
+
+/**
+ * Marque visuellement un titre (ou une section) en erreur avec la bordure et le badge bleus
+ * @param {HTMLElement} heading - L'élément concerné
+ * @param {string} headingId - Identifiant de navigation
+ * @param {string} issueType - Valeur de data-accessibility-issue
+ * @param {string} badgeText - Texte du badge
+ */
+function markHeadingElement(heading, headingId, issueType, badgeText) {
+  heading.setAttribute("data-accessibility-id", headingId);
+
+  // Add visual style (bordure bleue)
+  heading.style.outline = "4px solid #3b82f6";
+  heading.style.outlineOffset = "2px";
+  heading.setAttribute("data-accessibility-issue", issueType);
+
+  // Store l'élément
+  markedElements.headings.push(heading);
+
+  // Créer et ajouter un badge visuel bleu
+  if (
+    heading.parentElement &&
+    !heading.parentElement.querySelector(
+      `.accessibility-badge-heading[data-badge-for="${headingId}"]`,
+    )
+  ) {
+    const badge = document.createElement("div");
+    badge.className = "accessibility-badge-heading";
+    badge.textContent = badgeText;
+    badge.setAttribute("data-badge-for", headingId);
+
+    // Position badge
+    const originalPosition = window.getComputedStyle(
+      heading.parentElement,
+    ).position;
+    if (originalPosition === "static") {
+      heading.parentElement.style.position = "relative";
+      heading.parentElement.setAttribute("data-position-changed", "true");
+    }
+
+    heading.parentElement.appendChild(badge);
+  }
+}
+
+/**
+ * Vérifie que chaque section de contenu possède un titre (critère 2.4.10, niveau AAA)
+ * @param {Array<Object>} issues - Liste des erreurs de titres à compléter
+ * @param {number} startIndex - Premier index disponible pour les identifiants
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<number>} - Nombre de sections analysées
+ */
+async function checkSectionHeadings(issues, startIndex, task) {
+  const sections = querySelectorAllDeep("section, article");
+  let issueIndex = startIndex;
+
+  await processInIdleChunks(
+    sections,
+    (section, index) => {
+      if (section.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+        return;
+      }
+
+      const headingId = `accessibility-heading-${issueIndex}`;
+      markHeadingElement(
+        section,
+        headingId,
+        "section-no-heading",
+        "⚠️ SECTION SANS TITRE",
+      );
+
+      issues.push({
+        element: `${section.tagName} ${index + 1}`,
+        issue: "Section sans titre (critère 2.4.10, niveau AAA)",
+        explanation:
+          "Au niveau AAA, chaque section de contenu doit être introduite par un titre pour que les utilisateurs de lecteurs d'écran puissent la repérer et y naviguer.",
+        severity: "faible",
+        headingId: headingId,
+        htmlSnippet: generateHTMLSnippet(section),
+      });
+
+      issueIndex++;
+    },
+    task,
+  );
+
+  return sections.length;
+}
+
+// Vérifier la structure des titres
+async function checkHeadings(options, task) {
+  // Titres HTML et role="heading" ; un titre masqué aux technologies d'assistance
+  // ne compte pas dans la hiérarchie mais est signalé s'il reste affiché
+  const headings = getPageHeadings();
+  const exposedHeadings = headings.filter(
+    (heading) => !isHiddenFromAccessibility(heading),
+  );
+  const issues = [];
+  let previousLevel = 0;
+  let issueIndex = 0;
+
+  // Inject CSS styles for badges de titres (une seule fois)
+  if (!document.getElementById("accessibility-heading-styles")) {
+    const style = document.createElement("style");
+    style.id = "accessibility-heading-styles";
+    style.textContent = `
+      .accessibility-badge-heading {
+        position: absolute;
+        top: -8px;
+        left: 0;
+        background: #3b82f6;
+        color: white;
+        padding: 4px 8px;
+        border-radius: 4px;
+        font-size: 10px;
+        font-weight: bold;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        z-index: 999999;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+        animation: pulse-red 2s infinite;
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Vérifier s'il y a un H1
+  const h1Count = exposedHeadings.filter(
+    (heading) => getHeadingLevel(heading) === 1,
+  ).length;
+  if (h1Count === 0) {
+    issues.push({
+      element: "Structure",
+      issue: "Aucun titre H1 trouvé sur la page",
+      explanation:
+        "Le H1 est essentiel pour la structure et le référencement. Il indique le sujet principal de la page aux utilisateurs et aux lecteurs d'écran.",
+      severity: "élevée",
+    });
+  } else if (h1Count > 1) {
+    issues.push({
+      element: "Structure",
+      issue: `${h1Count} titres H1 trouvés (recommandé: 1 seul)`,
+      explanation:
+        "Une page doit avoir un seul H1 pour une structure claire. Plusieurs H1 peuvent dérouter les utilisateurs de lecteurs d'écran.",
+      severity: "moyenne",
+    });
+  }
+
+  // Vérifier la hiérarchie, les titres vides et les titres masqués (un marqueur par titre)
+  await processInIdleChunks(
+    headings,
+    (heading, index) => {
+      const level = getHeadingLevel(heading);
+      const exposed = exposedHeadings.includes(heading);
+      const problems = [];
+
+      if (exposed && previousLevel > 0 && level - previousLevel > 1) {
+        problems.push({
+          issueType: "heading-skip",
+          badge: `⚠️ SAUT H${previousLevel}→H${level}`,
+          issue: `Saut de niveau de titre (de H${previousLevel} à H${level})`,
+          explanation:
+            "Respecter la hiérarchie des titres (H1→H2→H3) aide les utilisateurs de lecteurs d'écran à comprendre la structure du document.",
+          severity: "moyenne",
+        });
+      }
+
+      if (exposed && !computeAccessibleName(heading).name) {
+        problems.push({
+          issueType: "heading-empty",
+          badge: "⚠️ TITRE VIDE",
+          issue: "Titre vide",
+          explanation:
+            "Un titre vide (ou ne contenant que des espaces, ou une image sans alternative) n'apporte aucune information et perturbe la navigation pour les utilisateurs de technologies d'assistance.",
+          severity: "élevée",
+        });
+      }
+
+      if (!exposed && isHeadingDisplayed(heading)) {
+        problems.push({
+          issueType: "heading-hidden",
+          badge: "⚠️ TITRE MASQUÉ",
+          issue: "Titre affiché mais masqué aux technologies d'assistance",
+          explanation:
+            "Ce titre est visible mais aria-hidden=\"true\" (sur lui ou un ancêtre) le retire de l'arbre d'accessibilité : les utilisateurs de lecteurs d'écran ne peuvent pas y naviguer.",
+          severity: "moyenne",
+        });
+      }
+
+      if (problems.length > 0) {
+        // Add unique ID for navigation
+        const headingId = `accessibility-heading-${issueIndex}`;
+        markHeadingElement(
+          heading,
+          headingId,
+          problems[0].issueType,
+          problems.length > 1 ? "⚠️ TITRE" : problems[0].badge,
+        );
+        issueIndex++;
+
+        problems.forEach((problem) => {
+          issues.push({
+            element: describeHeading(heading, index),
+            issue: problem.issue,
+            explanation: problem.explanation,
+            severity: problem.severity,
+            text: heading.textContent.trim(),
+            headingId: headingId,
+            htmlSnippet: generateHTMLSnippet(heading),
+          });
+        });
+      }
+
+      if (exposed) {
+        previousLevel = level;
+      }
+    },
+    task,
+  );
+
+  // Textes mis en forme comme des titres, à vérifier manuellement
+  const fakeHeadings = await findFakeHeadings(task);
+  fakeHeadings.forEach((el, index) => {
+    const headingId = `accessibility-heading-${issueIndex}`;
+    markHeadingElement(el, headingId, "heading-fake", "⚠️ TITRE À VÉRIFIER");
+    issueIndex++;
+
+    issues.push({
+      element: `${el.tagName} ${index + 1}`,
+      issue: "Titre à vérifier : texte mis en forme comme un titre",
+      explanation:
+        "Ce texte court, gras et plus grand que le texte courant ressemble à un titre mais n'est pas balisé comme tel : s'il introduit une section, utiliser un élément <h1>–<h6> pour qu'il apparaisse dans la navigation par titres.",
+      severity: "faible",
+      needsReview: true,
+      text: el.textContent.replace(/\s+/g, " ").trim(),
+      headingId: headingId,
+      htmlSnippet: generateHTMLSnippet(el),
+    });
+  });
+
+  // Règles propres au niveau AAA
+  let sectionsCount = 0;
+  if (isLevelRequired("AAA", options.level)) {
+    sectionsCount = await checkSectionHeadings(issues, issueIndex, task);
+  }
+
+  // Les textes mis en forme comme des titres sont à vérifier : hors du score
+  const total = headings.length + sectionsCount;
+
+  return {
+    total: total,
+    issues: issues,
+    passed: total - issues.filter((issue) => !issue.needsReview).length,
+  };
+}
+
+// ============= FORMULAIRES (WCAG 1.3.1, 1.3.5, 3.3.1, 3.3.2) =============
+
+/**
+ * Analyse la valeur de l'attribut autocomplete
+ * ([section-*] [shipping|billing] [home|work|mobile|fax|pager] champ [webauthn])
+ * @param {string} value - Valeur de l'attribut
+ * @returns {{valid: boolean, field: string|null}} - Champ désigné (null pour on/off)
+ */
+function parseAutocomplete(value) {
+  const tokens = value.trim().toLowerCase().split(/\s+/);
+
+  if (tokens.length === 1 && ["on", "off"].includes(tokens[0])) {
+    return { valid: true, field: null };
+  }
+
+  let position = 0;
+  if (tokens[position]?.startsWith("section-")) {
+    position++;
+  }
+  if (AUTOCOMPLETE_ADDRESS_TYPES.includes(tokens[position])) {
+    position++;
+  }
+  const hasContactType = AUTOCOMPLETE_CONTACT_TYPES.includes(tokens[position]);
+  if (hasContactType) {
+    position++;
+  }
+
+  const field = tokens[position];
+  const isKnownField =
+    AUTOCOMPLETE_CONTACT_FIELD_NAMES.includes(field) ||
+    (!hasContactType && AUTOCOMPLETE_FIELD_NAMES.includes(field));
+  position++;
+  if (tokens[position] === "webauthn") {
+    position++;
+  }
+
+  return {
+    valid: isKnownField && position === tokens.length,
+    field: isKnownField ? field : null,
+  };
+}
+
+/**
+ * Devine la donnée personnelle attendue par un champ (type, nom, id ou étiquette)
+ * @param {Element} input - Le champ
+ * @param {string} label - Nom accessible du champ
+ * @returns {string|null} - Jeton autocomplete suggéré
+ */
+function guessPersonalDataToken(input, label) {
+  if (input.type === "email" || input.type === "tel") {
+    return input.type;
+  }
+
+  const hints = [input.getAttribute("name"), input.id, label].filter(Boolean);
+  const match = PERSONAL_DATA_FIELDS.find(({ pattern }) =>
+    hints.some((hint) => pattern.test(hint)),
+  );
+  return match ? match.token : null;
+}
+
+/**
+ * Problèmes d'autocomplete d'un champ (critère 1.3.5, niveau AA)
+ * @param {Element} input - Le champ
+ * @param {string} label - Nom accessible du champ
+ * @returns {Array<Object>} - [{issue, explanation, severity, badge, ariaAttribute, ariaValue}]
+ */
+function getAutocompleteProblems(input, label) {
+  const value = (input.getAttribute("autocomplete") || "").trim();
+
+  if (value && !parseAutocomplete(value).valid) {
+    return [
+      {
+        issue: "Valeur autocomplete invalide",
+        explanation:
+          "La valeur ne correspond à aucun jeton défini par HTML : le navigateur ne peut pas préremplir le champ et les technologies d'assistance ne peuvent pas en identifier la finalité.",
+        severity: "moyenne",
+        badge: "⚠️ AUTOCOMPLETE",
+        ariaAttribute: "autocomplete",
+        ariaValue: value,
+      },
+    ];
+  }
+
+  if (
+    input.tagName.toLowerCase() !== "textarea" &&
+    !AUTOCOMPLETE_EXEMPT_INPUT_TYPES.includes(input.type) &&
+    (!value || value.toLowerCase() === "on")
+  ) {
+    const token = guessPersonalDataToken(input, label);
+    if (token) {
+      return [
+        {
+          issue: `Donnée personnelle sans autocomplete (attendu : "${token}")`,
+          explanation: `Ce champ semble recueillir une donnée sur l'utilisateur : autocomplete="${token}" permet le préremplissage et la personnalisation de l'interface (icônes, pictogrammes), utiles notamment aux personnes ayant des troubles cognitifs ou moteurs.`,
+          severity: "moyenne",
+          badge: "⚠️ AUTOCOMPLETE",
+        },
+      ];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Repère les groupes de boutons radio et de cases à cocher (même attribut name)
+ * sans regroupement nommé (fieldset/legend ou role="group"/"radiogroup")
+ * @param {Array<Element>} inputs - Champs audités
+ * @returns {Map<Element, Object>} - Premier champ du groupe → problème
+ */
+function getUngroupedChoiceProblems(inputs) {
+  // Les noms sont propres à chaque formulaire (ou arbre, hors formulaire)
+  const groups = new Map();
+  inputs
+    .filter(
+      (input) =>
+        (input.type === "radio" || input.type === "checkbox") &&
+        input.getAttribute("name"),
+    )
+    .forEach((input) => {
+      const scope = input.form || input.getRootNode();
+      if (!groups.has(scope)) {
+        groups.set(scope, new Map());
+      }
+      const byName = groups.get(scope);
+      const name = input.getAttribute("name");
+      if (!byName.has(name)) {
+        byName.set(name, []);
+      }
+      byName.get(name).push(input);
+    });
+
+  const problems = new Map();
+  groups.forEach((byName) => {
+    byName.forEach((members, name) => {
+      if (members.length < 2) {
+        return;
+      }
+
+      const kind =
+        members[0].type === "radio" ? "boutons radio" : "cases à cocher";
+      const container = members[0].closest(
+        'fieldset, [role="group"], [role="radiogroup"]',
+      );
+      const isGrouped =
+        container && members.every((member) => container.contains(member));
+
+      if (isGrouped && computeAccessibleName(container).name) {
+        return;
+      }
+
+      problems.set(members[0], {
+        issue: isGrouped
+          ? `Groupe de ${kind} sans légende`
+          : `${members.length} ${kind} non regroupés`,
+        explanation: isGrouped
+          ? "Le regroupement n'a pas de nom : ajouter une <legend> au fieldset (ou aria-labelledby au groupe) pour que la question posée soit annoncée avec chaque option."
+          : 'Des options liées doivent être regroupées dans un <fieldset> avec une <legend> (ou un conteneur role="group" nommé) : sinon, les lecteurs d\'écran annoncent chaque option sans la question posée.',
+        severity: "moyenne",
+        badge: "⚠️ GROUPE",
+        ariaAttribute: "name",
+        ariaValue: name,
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Indique si un champ en erreur (aria-invalid) est relié à un message non vide
+ * @param {Element} input - Le champ
+ * @returns {boolean}
+ */
+function hasErrorMessage(input) {
+  return [
+    ...getReferencedElements(input, "aria-describedby"),
+    ...getReferencedElements(input, "aria-errormessage"),
+  ].some((el) => el.textContent.trim());
+}
+
+/**
+ * Analyse un champ de formulaire
+ * @param {Element} input - Le champ
+ * @param {Object} options - Options d'audit (niveau visé)
+ * @returns {{accessibleName: Object, problems: Array<Object>}}
+ */
+function analyzeFormControl(input, options) {
+  const accessibleName = computeAccessibleName(input);
+  const problems = [];
+
+  if (!accessibleName.name) {
+    problems.push({
+      issue: "Champ de formulaire sans étiquette",
+      explanation:
+        "Sans label ou aria-label, les utilisateurs non-voyants ne savent pas quel type d'information saisir dans ce champ.",
+      severity: "élevée",
+      badge: "⚠️ LABEL MANQUANT",
+    });
+  } else if (accessibleName.source === NAME_SOURCE.PLACEHOLDER) {
+    // Le placeholder disparaît à la saisie : il ne remplace pas une étiquette
+    problems.push({
+      issue: "Champ étiqueté uniquement par son placeholder",
+      explanation:
+        "Le placeholder disparaît dès la saisie et son contraste est souvent faible : le champ doit avoir une étiquette visible et persistante (<label>).",
+      severity: "élevée",
+      badge: "⚠️ PLACEHOLDER SEUL",
+    });
+  }
+
+  const labelText = [
+    accessibleName.name,
+    ...Array.from(input.labels || [], (label) => label.textContent),
+  ].join(" ");
+  if (
+    REQUIRED_MARKER_PATTERN.test(labelText) &&
+    !input.required &&
+    input.getAttribute("aria-required") !== "true"
+  ) {
+    problems.push({
+      issue: "Champ signalé obligatoire visuellement uniquement",
+      explanation:
+        "L'étiquette indique que le champ est obligatoire (astérisque, mention), mais ni required ni aria-required=\"true\" ne le signalent aux technologies d'assistance.",
+      severity: "moyenne",
+      badge: "⚠️ REQUIS",
+    });
+  }
+
+  if (
+    input.getAttribute("aria-invalid") === "true" &&
+    !hasErrorMessage(input)
+  ) {
+    problems.push({
+      issue: "Champ en erreur sans message associé",
+      explanation:
+        "Le champ est signalé invalide (aria-invalid=\"true\") mais aucun message n'y est relié par aria-describedby ou aria-errormessage : l'utilisateur ne sait pas quoi corriger.",
+      severity: "élevée",
+      badge: "⚠️ ERREUR",
+    });
+  }
+
+  if (isLevelRequired("AA", options.level)) {
+    problems.push(...getAutocompleteProblems(input, accessibleName.name));
+  }
+
+  return { accessibleName, problems };
+}
+
+/**
+ * Marque visuellement un champ en erreur avec la bordure et le badge orange
+ * @param {HTMLElement} input - Le champ
+ * @param {string} formId - Identifiant de navigation
+ * @param {string} badgeText - Texte du badge
+ */
+function markFormElement(input, formId, badgeText) {
+  input.setAttribute("data-accessibility-id", formId);
+
+  // Add visual style (bordure orange)
+  input.style.outline = "3px solid #f59e0b";
+  input.style.outlineOffset = "2px";
+  input.setAttribute("data-accessibility-issue", "form-issue");
+
+  // Store l'élément pour le filtrage
+  markedElements.forms.push(input);
+
+  // Créer et ajouter un badge visuel orange
+  if (
+    input.parentElement &&
+    !input.parentElement.querySelector(
+      `.accessibility-badge-form[data-badge-for="${formId}"]`,
+    )
+  ) {
+    const badge = document.createElement("div");
+    badge.className = "accessibility-badge-form";
+    badge.textContent = badgeText;
+    badge.setAttribute("data-badge-for", formId);
+
+    // Position badge
+    const originalPosition = window.getComputedStyle(
+      input.parentElement,
+    ).position;
+    if (originalPosition === "static") {
+      input.parentElement.style.position = "relative";
+      input.parentElement.setAttribute("data-position-changed", "true");
+    }
+
+    input.parentElement.appendChild(badge);
+  }
+}
+
+// Vérifier les formulaires
+async function checkForms(options, task) {
+  const inputs = querySelectorAllDeep(FORM_CONTROL_SELECTOR);
+  const groupProblems = getUngroupedChoiceProblems(inputs);
+  const issues = [];
+  let failed = 0;
+
+  // Inject CSS styles for badges de formulaires (une seule fois)
+  if (!document.getElementById("accessibility-form-styles")) {
+    const style = document.createElement("style");
+    style.id = "accessibility-form-styles";
+    style.textContent = `
+      .accessibility-badge-form {
+        position: absolute;
+        top: -8px;
+        left: 0;
+        background: #f59e0b;
+        color: white;
+        padding: 4px 8px;
+        border-radius: 4px;
+        font-size: 10px;
+        font-weight: bold;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        z-index: 999999;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+        animation: pulse-red 2s infinite;
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  await processInIdleChunks(
+    inputs,
+    (input, index) => {
+      const { accessibleName, problems } = analyzeFormControl(input, options);
+      if (groupProblems.has(input)) {
+        problems.push(groupProblems.get(input));
+      }
+      if (problems.length === 0) {
+        return;
+      }
+
+      // Un seul marqueur par champ, une issue par problème
+      const formId = `accessibility-form-${failed}`;
+      markFormElement(
+        input,
+        formId,
+        problems.length > 1 ? "⚠️ FORMULAIRE" : problems[0].badge,
+      );
+      failed++;
+
+      problems.forEach((problem) => {
+        issues.push({
+          element: `${input.tagName} ${index + 1}`,
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          type: input.type || "text",
+          accessibleName: accessibleName.name,
+          nameSource: accessibleName.source,
+          ariaAttribute: problem.ariaAttribute,
+          ariaValue: problem.ariaValue,
+          formId: formId,
+          htmlSnippet: generateHTMLSnippet(input),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: inputs.length,
+    issues: issues,
+    passed: inputs.length - failed,
+  };
+}
+
+// Fonction pour injecter les filtres SVG de daltonisme dans la page
+function injectColorblindFilters() {
+  // Vérifier si les filtres existent déjà
+  if (document.getElementById("colorblind-filters")) {
+    return;
+  }
+
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.id = "colorblind-filters";
+  svg.style.position = "absolute";
+  svg.style.width = "0";
+  svg.style.height = "0";
+  svg.innerHTML = `
+    <defs>
+      <!-- Protanopie (perte du rouge) -->
+      <filter id="protanopia">
+        <feColorMatrix type="matrix" values="
+          0.567, 0.433, 0,     0, 0
+          0.558, 0.442, 0,     0, 0
+          0,     0.242, 0.758, 0, 0
+          0,     0,     0,     1, 0
+        "/>
+      </filter>
+      
+      <!-- Deutéranopie (perte du vert) -->
+      <filter id="deuteranopia">
+        <feColorMatrix type="matrix" values="
+          0.625, 0.375, 0,   0, 0
+          0.3,   0.7,   0,   0, 0
+          0,     0.3,   0.7, 0, 0
+          0,     0,     0,   1, 0
+        "/>
+      </filter>
+    </defs>
+  `;
+  document.body.appendChild(svg);
+}
+
+// Fonction pour appliquer un filtre de daltonisme
+function applyColorblindFilter(filterType) {
+  injectColorblindFilters();
+
+  if (filterType === "normal") {
+    document.body.style.filter = "";
+  } else if (filterType === "protanopia") {
+    document.body.style.filter = "url(#protanopia)";
+  } else if (filterType === "deuteranopia") {
+    document.body.style.filter = "url(#deuteranopia)";
+  }
+}
+
+// Vérifier l'attribut lang
+function checkLanguage() {
+  const issues = [];
+  const htmlElement = document.documentElement;
+
+  if (!htmlElement.hasAttribute("lang")) {
+    issues.push({
+      element: "HTML",
+      issue: "Attribut lang manquant sur l'élément &lt;html&gt;",
+      explanation:
+        "L'attribut lang indique la langue du contenu, permettant aux lecteurs d'écran d'utiliser la bonne prononciation.",
+      severity: "élevée",
+    });
+  }
+
+  return {
+    total: 1,
+    issues: issues,
+    passed: 1 - issues.length,
+  };
+}
+
+// ============= PLAN DE LA PAGE (TITRES ET RÉGIONS) =============
+
+/**
+ * Rôle de région (landmark) d'un élément, explicite ou implicite
+ * @param {Element} el - L'élément
+ * @returns {string} - Rôle de région ou chaîne vide
+ */
+function getLandmarkRole(el) {
+  const tagName = el.tagName.toLowerCase();
+  let role = getElementRole(el);
+
+  if (!role) {
+    switch (tagName) {
+      case "header":
+        role = el.closest(LANDMARK_SCOPING_SELECTOR) ? "" : "banner";
+        break;
+      case "footer":
+        role = el.closest(LANDMARK_SCOPING_SELECTOR) ? "" : "contentinfo";
+        break;
+      case "aside":
+        role = "complementary";
+        break;
+      case "form":
+        role = "form";
+        break;
+      case "section":
+        role = "region";
+        break;
+      case "search":
+        role = "search";
+        break;
+    }
+  }
+
+  if (!LANDMARK_ROLES.includes(role)) {
+    return "";
+  }
+  if (NAMED_LANDMARK_ROLES.includes(role) && !computeAccessibleName(el).name) {
+    return "";
+  }
+  return role;
+}
+
+/**
+ * Région exposée aux technologies d'assistance
+ * @param {Element} element - Candidat (LANDMARK_SELECTOR)
+ * @returns {{element: Element, role: string}|null} - null si l'élément n'est pas une région exposée
+ */
+function getExposedLandmark(element) {
+  const role = getLandmarkRole(element);
+  return role && !isAuditMarker(element) && !isHiddenFromAccessibility(element)
+    ? { element, role }
+    : null;
+}
+
+/**
+ * Régions de la page exposées aux technologies d'assistance, dans l'ordre du document
+ * @returns {Array<{element: Element, role: string}>}
+ */
+function getPageLandmarks() {
+  return querySelectorAllDeep(LANDMARK_SELECTOR)
+    .map(getExposedLandmark)
+    .filter(Boolean);
+}
+
+/**
+ * Construit le plan de la page, à la manière du rotor d'un lecteur d'écran : régions
+ * imbriquées et arbre des titres exposés. Chaque entrée reçoit un identifiant de
+ * navigation (attribut distinct de celui des marqueurs de l'audit).
+ * @returns {{landmarks: Array<Object>, headings: Array<Object>}}
+ */
+function collectPageStructure() {
+  querySelectorAllDeep(`[${STRUCTURE_ID_ATTRIBUTE}]`).forEach((el) =>
+    el.removeAttribute(STRUCTURE_ID_ATTRIBUTE),
+  );
+
+  const tagElement = (el, kind, index) => {
+    const structureId = `accessibility-structure-${kind}-${index}`;
+    el.setAttribute(STRUCTURE_ID_ATTRIBUTE, structureId);
+    return structureId;
+  };
+
+  // Régions : profondeur d'imbrication et régions de même rôle non nommées
+  const pageLandmarks = getPageLandmarks();
+  const landmarkElements = pageLandmarks.map(({ element }) => element);
+  const roleCounts = new Map();
+  pageLandmarks.forEach(({ role }) => {
+    roleCounts.set(role, (roleCounts.get(role) || 0) + 1);
+  });
+
+  const landmarks = pageLandmarks.map(({ element, role }, index) => {
+    let depth = 0;
+    for (
+      let node = getComposedParent(element);
+      node;
+      node = getComposedParent(node)
+    ) {
+      if (landmarkElements.includes(node)) {
+        depth++;
+      }
+    }
+    const label = computeAccessibleName(element).name;
+
+    return {
+      structureId: tagElement(element, "landmark", index),
+      role: role,
+      label: label,
+      depth: depth,
+      duplicateUnlabeled: !label && roleCounts.get(role) > 1,
+    };
+  });
+
+  // Titres : seuls les titres exposés figurent dans la navigation par titres
+  let previousLevel = 0;
+  const headings = getPageHeadings()
+    .filter((heading) => !isHiddenFromAccessibility(heading))
+    .map((heading, index) => {
+      const level = getHeadingLevel(heading);
+      const skippedFrom =
+        previousLevel > 0 && level - previousLevel > 1 ? previousLevel : null;
+      previousLevel = level;
+
+      return {
+        structureId: tagElement(heading, "heading", index),
+        level: level,
+        text: computeAccessibleName(heading).name,
+        skippedFrom: skippedFrom,
+      };
+    });
+
+  return { landmarks, headings };
+}
+
+// Vérifier les landmarks ARIA
+async function checkLandmarks(task) {
+  const issues = [];
+
+  const landmarks = [];
+  await processInIdleChunks(
+    querySelectorAllDeep(LANDMARK_SELECTOR),
+    (element) => {
+      const landmark = getExposedLandmark(element);
+      if (landmark) {
+        landmarks.push(landmark);
+      }
+    },
+    task,
+  );
+  const hasMain = landmarks.some(({ role }) => role === "main");
+  const hasNav = landmarks.some(({ role }) => role === "navigation");
+
+  if (!hasMain) {
+    issues.push({
+      element: "Structure",
+      issue: 'Aucun élément <main> ou role="main" trouvé',
+      explanation:
+        "L'élément &lt;main&gt; identifie le contenu principal et permet aux utilisateurs de lecteurs d'écran d'y accéder directement.",
+      severity: "moyenne",
+    });
+  }
+
+  if (!hasNav) {
+    issues.push({
+      element: "Structure",
+      issue: 'Aucun élément <nav> ou role="navigation" trouvé',
+      explanation:
+        "L'élément &lt;nav&gt; aide les utilisateurs de technologies d'assistance à identifier et accéder rapidement à la navigation du site.",
+      severity: "faible",
+    });
+  }
+
+  return {
+    total: 2,
+    issues: issues,
+    passed: 2 - issues.length,
+  };
+}
+
+// Vérifier les boutons
+async function checkButtons(task) {
+  const buttons = querySelectorAllDeep("button");
+  const issues = [];
+  let issueIndex = 0;
+
+  // Inject CSS styles for badges de boutons (une seule fois)
+  if (!document.getElementById("accessibility-button-styles")) {
+    const style = document.createElement("style");
+    style.id = "accessibility-button-styles";
+    style.textContent = `
+      .accessibility-badge-button {
+        position: absolute;
+        top: -8px;
+        left: 0;
+        background: #10b981;
+        color: white;
+        padding: 4px 8px;
+        border-radius: 4px;
+        font-size: 10px;
+        font-weight: bold;
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        z-index: 999999;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        pointer-events: none;
+        animation: pulse-red 2s infinite;
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  await processInIdleChunks(
+    buttons,
+    (button, index) => {
+      const accessibleName = computeAccessibleName(button);
+
+      if (!accessibleName.name) {
+        // Add unique ID for navigation
+        const buttonId = `accessibility-button-${issueIndex}`;
+        button.setAttribute("data-accessibility-id", buttonId);
+
+        // Add visual style (bordure verte)
+        button.style.outline = "4px solid #10b981";
+        button.style.outlineOffset = "2px";
+        button.setAttribute("data-accessibility-issue", "button-no-text");
+
+        // Store l'élément pour le filtrage
+        markedElements.buttons.push(button);
+
+        // Créer et ajouter un badge visuel vert
+        if (
+          button.parentElement &&
+          !button.parentElement.querySelector(
+            `.accessibility-badge-button[data-badge-for="${buttonId}"]`,
+          )
+        ) {
+          const badge = document.createElement("div");
+          badge.className = "accessibility-badge-button";
+          badge.textContent = "⚠️ TEXTE MANQUANT";
+          badge.setAttribute("data-badge-for", buttonId);
+
+          // Position badge
+          const originalPosition = window.getComputedStyle(
+            button.parentElement,
+          ).position;
+          if (originalPosition === "static") {
+            button.parentElement.style.position = "relative";
+            button.parentElement.setAttribute("data-position-changed", "true");
+          }
+
+          button.parentElement.appendChild(badge);
+        }
+
+        issues.push({
+          element: `Bouton ${index + 1}`,
+          issue: "Bouton sans texte descriptif",
+          explanation:
+            "Un bouton sans texte ou aria-label est inutilisable pour les utilisateurs de lecteurs d'écran qui ne comprennent pas son action.",
+          severity: "élevée",
+          accessibleName: accessibleName.name,
+          nameSource: accessibleName.source,
+          buttonId: buttonId,
+          htmlSnippet: generateHTMLSnippet(button),
+        });
+
+        issueIndex++;
+      }
+    },
+    task,
+  );
+
+  return {
+    total: buttons.length,
+    issues: issues,
+    passed: buttons.length - issues.length,
+  };
+}
+
+// ============= TABLEAUX (WCAG 1.3.1) =============
+
+/**
+ * Indique si une cellule est un en-tête (th ou rôle columnheader/rowheader)
+ * @param {HTMLTableCellElement} cell - La cellule
+ * @returns {boolean}
+ */
+function isHeaderCell(cell) {
+  const role = (cell.getAttribute("role") || "").trim().toLowerCase();
+  return (
+    HEADER_CELL_ROLES.includes(role) ||
+    (cell.tagName.toLowerCase() === "th" && !role)
+  );
+}
+
+/**
+ * Indique si le tableau porte un balisage propre aux tableaux de données
+ * @param {HTMLTableElement} table - Le tableau
+ * @param {Array<HTMLTableCellElement>} cells - Cellules propres au tableau (hors tableaux imbriqués)
+ * @returns {boolean}
+ */
+function hasDataTableMarkup(table, cells) {
+  return (
+    Boolean(table.caption || table.tHead || table.tFoot) ||
+    Array.from(table.children).some(
+      (child) => child.tagName.toLowerCase() === "colgroup",
+    ) ||
+    cells.some(
+      (cell) =>
+        cell.tagName.toLowerCase() === "th" ||
+        cell.hasAttribute("scope") ||
+        cell.hasAttribute("headers"),
+    )
+  );
+}
+
+/**
+ * Distingue un tableau de mise en page d'un tableau de données, selon des
+ * heuristiques proches de celles des navigateurs
+ * @param {HTMLTableElement} table - Le tableau
+ * @param {Array<HTMLTableRowElement>} rows - Lignes propres au tableau
+ * @param {Array<HTMLTableCellElement>} cells - Cellules propres au tableau
+ * @returns {boolean}
+ */
+function isLayoutTable(table, rows, cells) {
+  const role = getElementRole(table);
+  if (LAYOUT_TABLE_ROLES.includes(role)) {
+    return true;
+  }
+  if (table.hasAttribute("role") && DATA_TABLE_ROLES.includes(role)) {
+    return false;
+  }
+  if (hasDataTableMarkup(table, cells)) {
+    return false;
+  }
+
+  const columnCount = Math.max(0, ...rows.map((row) => row.cells.length));
+  return (
+    rows.length < 2 ||
+    columnCount < 2 ||
+    cells.some((cell) => cell.querySelector(LAYOUT_TABLE_CONTENT_SELECTOR))
+  );
+}
+
+/**
+ * Problèmes d'en-têtes d'un tableau de données : absence de th, en-têtes
+ * ambigus sans scope ni headers, attributs headers invalides
+ * @param {HTMLTableElement} table - Le tableau
+ * @param {Array<HTMLTableRowElement>} rows - Lignes propres au tableau
+ * @param {Array<HTMLTableCellElement>} cells - Cellules propres au tableau
+ * @param {Map<Node, Map<string, Array<Element>>>} elementsById - Index des ids de la page
+ * @returns {Array<Object>} - [{issue, explanation, severity, attribute?, reference?}]
+ */
+function getTableHeaderProblems(table, rows, cells, elementsById) {
+  const headerCells = cells.filter(isHeaderCell);
+  if (headerCells.length === 0) {
+    return [
+      {
+        issue: "Tableau de données sans en-têtes <th>",
+        explanation:
+          "Sans cellules d'en-tête, les lecteurs d'écran lisent les valeurs sans indiquer à quelle ligne ou colonne elles correspondent.",
+        severity: "élevée",
+      },
+    ];
+  }
+
+  const problems = [];
+  const inFirstRow = (cell) => cell.parentElement === rows[0];
+  const hasColumnHeaders = headerCells.some(inFirstRow);
+  const hasRowHeaders = headerCells.some((cell) => !inFirstRow(cell));
+
+  // En-têtes de lignes et de colonnes, fusionnés ou sur plusieurs niveaux
+  const isAmbiguous =
+    (hasColumnHeaders && hasRowHeaders) ||
+    headerCells.some(
+      (cell) =>
+        cell.colSpan > 1 ||
+        cell.rowSpan > 1 ||
+        (!inFirstRow(cell) && cell.cellIndex > 0),
+    );
+  const unscoped = headerCells.filter(
+    (cell) => !cell.hasAttribute("scope") && cell.textContent.trim() !== "",
+  );
+  const usesHeaders = cells.some((cell) => cell.hasAttribute("headers"));
+
+  if (isAmbiguous && unscoped.length > 0 && !usesHeaders) {
+    problems.push({
+      issue: `En-têtes ambigus sans scope ni headers (${unscoped.length} <th>)`,
+      explanation:
+        'Le tableau a des en-têtes de lignes et de colonnes, ou fusionnés : préciser scope="col" / scope="row" (ou headers sur les cellules) pour que chaque valeur soit associée aux bons en-têtes.',
+      severity: "moyenne",
+    });
+  }
+
+  const reported = new Set();
+  cells
+    .filter((cell) => cell.hasAttribute("headers"))
+    .forEach((cell) => {
+      cell
+        .getAttribute("headers")
+        .trim()
+        .split(/\s+/)
+        .filter((id) => id && !reported.has(id))
+        .forEach((id) => {
+          const target = getElementsWithId(elementsById, cell, id)[0];
+          if (target && cells.includes(target)) {
+            return;
+          }
+          reported.add(id);
+          problems.push({
+            issue: target
+              ? `headers référence un élément hors du tableau (#${id})`
+              : `headers référence un id inexistant (#${id})`,
+            explanation:
+              "La cellule n'est associée à aucun en-tête : sa valeur est annoncée sans contexte.",
+            severity: "moyenne",
+            attribute: "headers",
+            reference: id,
+          });
+        });
+    });
+
+  return problems;
+}
+
+/**
+ * Analyse un tableau : nature (données ou mise en page) et problèmes
+ * @param {HTMLTableElement} table - Le tableau
+ * @param {Map<Node, Map<string, Array<Element>>>} elementsById - Index des ids de la page
+ * @returns {{layout: boolean, problems: Array<Object>}}
+ */
+function analyzeTable(table, elementsById) {
+  const rows = Array.from(table.rows);
+  const cells = rows.flatMap((row) => Array.from(row.cells));
+  const layout = isLayoutTable(table, rows, cells);
+  const problems = [];
+
+  if (table.parentElement && table.parentElement.closest("table")) {
+    problems.push({
+      issue: "Tableau imbriqué dans un autre tableau",
+      explanation:
+        "Les tableaux imbriqués rendent la navigation par cellule confuse pour les lecteurs d'écran. Utiliser CSS (grid, flexbox) pour la mise en page.",
+      severity: "moyenne",
+    });
+  }
+
+  if (layout) {
+    if (cells.some((cell) => cell.tagName.toLowerCase() === "th")) {
+      problems.push({
+        issue: "Tableau de mise en page avec des en-têtes <th>",
+        explanation:
+          "Un tableau de mise en page ne doit pas utiliser de balisage de données : remplacer les <th> par des <td>, ou utiliser CSS pour la mise en page.",
+        severity: "moyenne",
+      });
+    }
+    if (table.hasAttribute("summary") || table.caption) {
+      problems.push({
+        issue: table.caption
+          ? "Tableau de mise en page avec une légende <caption>"
+          : "Tableau de mise en page avec un attribut summary",
+        explanation:
+          "Ce balisage annonce un tableau de données aux lecteurs d'écran alors que le tableau ne sert qu'à la mise en page.",
+        severity: "faible",
+      });
+    }
+    return { layout, problems };
+  }
+
+  problems.push(...getTableHeaderProblems(table, rows, cells, elementsById));
+
+  if (!computeAccessibleName(table).name) {
+    problems.push({
+      issue: "Tableau de données sans légende ni nom accessible",
+      explanation:
+        "Une légende <caption> (ou aria-label/aria-labelledby) permet d'identifier le tableau avant d'en parcourir les cellules.",
+      severity: "faible",
+    });
+  }
+
+  return { layout, problems };
+}
+
+/**
+ * Vérifie les tableaux : en-têtes des tableaux de données, légende,
+ * balisage superflu des tableaux de mise en page et tableaux imbriqués
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkTables(task) {
+  const elementsById = indexElementsById();
+  const tables = querySelectorAllDeep("table").filter(
+    (table) => !isAuditMarker(table) && !isHiddenFromAccessibility(table),
+  );
+
+  const issues = [];
+  let failed = 0;
+
+  await processInIdleChunks(
+    tables,
+    (table) => {
+      const { layout, problems } = analyzeTable(table, elementsById);
+      if (problems.length === 0) {
+        return;
+      }
+
+      const tableId = `accessibility-table-${failed}`;
+      markElement("tables", table, tableId, "⚠️ TABLEAU");
+      failed++;
+
+      problems.forEach((problem) => {
+        issues.push({
+          element: layout ? "table (mise en page)" : "table",
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          attribute: problem.attribute,
+          reference: problem.reference,
+          tableId: tableId,
+          htmlSnippet: generateHTMLSnippet(table),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: tables.length,
+    issues: issues,
+    passed: tables.length - failed,
+  };
+}
+
+// ============= CADRES (WCAG 4.1.2) =============
+
+/**
+ * Décrit le cadre courant pour le chemin affiché avec les résultats :
+ * son iframe si le parent est de même origine, sinon son URL
+ * @returns {string}
+ */
+function describeCurrentFrame() {
+  const frame = window.frameElement;
+  if (!frame) {
+    return window.location.href;
+  }
+
+  const tagName = frame.tagName.toLowerCase();
+  if (frame.id) {
+    return `${tagName}#${frame.id}`;
+  }
+  const title = frame.getAttribute("title") || frame.getAttribute("name");
+  return title
+    ? `${tagName}[${frame.hasAttribute("title") ? "title" : "name"}="${title}"]`
+    : `${tagName}[src="${frame.getAttribute("src") || window.location.href}"]`;
+}
+
+/**
+ * Position du cadre courant dans l'arbre des cadres de l'onglet, pour que le
+ * popup fusionne les résultats et fasse défiler les cadres parents
+ * @returns {{parentFrameId: number, description: string}}
+ */
+function getFrameInfo() {
+  return {
+    parentFrameId:
+      window.parent === window ? -1 : chrome.runtime.getFrameId(window.parent),
+    description: describeCurrentFrame(),
+  };
+}
+
+/**
+ * Fait défiler la page jusqu'à l'iframe hébergeant un cadre enfant
+ * @param {number} frameId - Identifiant (extension) du cadre enfant
+ * @returns {boolean} - true si l'iframe a été trouvée
+ */
+function scrollToChildFrame(frameId) {
+  const frame = querySelectorAllDeep("iframe, frame").find(
+    (el) => chrome.runtime.getFrameId(el) === frameId,
+  );
+  if (!frame) {
+    return false;
+  }
+
+  frame.scrollIntoView({ behavior: "instant", block: "center" });
+  return true;
+}
+
+/**
+ * Vérifie que chaque cadre (iframe) a un titre ou un nom accessible
+ * décrivant son contenu. Le contenu des cadres est audité séparément,
+ * le script étant injecté dans chacun d'eux.
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkFrames(task) {
+  const frames = querySelectorAllDeep("iframe, frame").filter(
+    (frame) => !isAuditMarker(frame) && !isHiddenFromAccessibility(frame),
+  );
+
+  const issues = [];
+
+  await processInIdleChunks(
+    frames,
+    (frame) => {
+      if (computeAccessibleName(frame).name.trim()) {
+        return;
+      }
+
+      const iframeId = `accessibility-iframe-${issues.length}`;
+      markElement("iframes", frame, iframeId, "⚠️ TITRE");
+
+      issues.push({
+        element: frame.tagName.toLowerCase(),
+        issue: "Cadre sans titre",
+        explanation:
+          "Les lecteurs d'écran annoncent les cadres par leur titre : sans attribut title (ou aria-label), l'utilisateur ne sait pas ce que contient le cadre avant d'y entrer.",
+        severity: "élevée",
+        src: frame.getAttribute("src") || undefined,
+        iframeId: iframeId,
+        htmlSnippet: generateHTMLSnippet(frame),
+      });
+    },
+    task,
+  );
+
+  return {
+    total: frames.length,
+    issues: issues,
+    passed: frames.length - issues.length,
+  };
+}
+
+// ============= MÉDIAS (WCAG 1.2.1, 1.2.2, 1.4.2) =============
+
+/**
+ * Source d'un média : src, <source> ou source en cours de lecture
+ * @param {HTMLMediaElement} el - L'élément audio ou vidéo
+ * @returns {string}
+ */
+function getMediaSource(el) {
+  return (
+    el.currentSrc ||
+    el.getAttribute("src") ||
+    el.querySelector("source[src]")?.getAttribute("src") ||
+    ""
+  );
+}
+
+/**
+ * Enveloppe du lecteur d'un média, où chercher ses contrôles personnalisés ou sa
+ * transcription : le plus haut des ancêtres proches qui ne contient que ce média
+ * (une figure convient, pas une section ni un article)
+ * @param {Element} el - Le média
+ * @returns {Element}
+ */
+function getMediaContainer(el) {
+  let container = el;
+
+  for (
+    let node = el.parentElement, depth = 0;
+    node && depth < MEDIA_WRAPPER_MAX_DEPTH;
+    node = node.parentElement, depth++
+  ) {
+    if (
+      node.matches(MEDIA_WRAPPER_BOUNDARY_SELECTOR) ||
+      node.querySelectorAll("audio, video").length > 1
+    ) {
+      break;
+    }
+    container = node;
+  }
+
+  return container;
+}
+
+/**
+ * Contrôles du lecteur d'un média : ceux de son enveloppe et ceux qui le
+ * désignent par aria-controls
+ * @param {HTMLMediaElement} el - Le média
+ * @param {string} selector - Contrôles recherchés
+ * @returns {Array<Element>}
+ */
+function getMediaPlayerControls(el, selector) {
+  const controls = new Set(getMediaContainer(el).querySelectorAll(selector));
+
+  if (el.id) {
+    querySelectorAllDeep("[aria-controls]").forEach((control) => {
+      if (
+        control.matches(selector) &&
+        getReferencedElements(control, "aria-controls").includes(el)
+      ) {
+        controls.add(control);
+      }
+    });
+  }
+
+  return Array.from(controls);
+}
+
+/**
+ * Indique si un lien ou un bouton du lecteur mène à la transcription du média
+ * @param {HTMLMediaElement} el - Le média
+ * @returns {boolean}
+ */
+function hasNearbyTranscript(el) {
+  if (el.hasAttribute("aria-describedby") || el.hasAttribute("aria-details")) {
+    return true;
+  }
+  return getMediaPlayerControls(
+    el,
+    'a[href], button, [role="button"], [role="link"], details > summary',
+  ).some((control) =>
+    TRANSCRIPT_PATTERN.test(computeAccessibleName(control).name),
+  );
+}
+
+/**
+ * Indique si des boutons nommés et focalisables du lecteur peuvent piloter le média
+ * @param {HTMLMediaElement} el - Le média
+ * @returns {boolean}
+ */
+function hasCustomMediaControls(el) {
+  return getMediaPlayerControls(el, 'button, [role="button"]').some(
+    (control) =>
+      !isAuditMarker(control) &&
+      isKeyboardReachable(control) &&
+      Boolean(computeAccessibleName(control).name),
+  );
+}
+
+/**
+ * Indique si un média joue (ou jouera) du son automatiquement plus de 3 secondes
+ * @param {HTMLMediaElement} el - Le média
+ * @returns {boolean}
+ */
+function playsSoundAutomatically(el) {
+  if (!el.autoplay && el.paused) {
+    return false;
+  }
+  if (el.muted || el.hasAttribute("muted") || el.volume === 0) {
+    return false;
+  }
+  // Durée inconnue tant que les métadonnées ne sont pas chargées : considérée longue
+  return !Number.isFinite(el.duration) || el.duration > AUTOPLAY_MAX_DURATION;
+}
+
+/**
+ * Analyse un élément <video> ou <audio>
+ * @param {HTMLMediaElement} el - Le média
+ * @returns {Array<Object>} - [{issue, explanation, severity}]
+ */
+function analyzeMediaElement(el) {
+  const isVideo = el.tagName.toLowerCase() === "video";
+  const hasControls = el.hasAttribute("controls") || hasCustomMediaControls(el);
+  const problems = [];
+
+  // Une vidéo muette (fond animé) n'a pas de piste son à sous-titrer
+  if (
+    isVideo &&
+    !el.muted &&
+    !el.hasAttribute("muted") &&
+    !el.querySelector('track[kind="captions"], track[kind="subtitles"]')
+  ) {
+    problems.push({
+      issue: "Vidéo sans sous-titres",
+      explanation:
+        'Aucune piste <track kind="captions"> ou "subtitles" : les personnes sourdes ou malentendantes n\'ont pas accès au contenu sonore (critère 1.2.2).',
+      severity: "élevée",
+    });
+  }
+
+  if (!isVideo && !hasNearbyTranscript(el)) {
+    problems.push({
+      issue: "Audio sans transcription à proximité",
+      explanation:
+        "Aucun lien ou bouton de transcription n'a été trouvé près du lecteur : un contenu uniquement sonore doit disposer d'une alternative textuelle (critère 1.2.1).",
+      severity: "moyenne",
+    });
+  }
+
+  if (playsSoundAutomatically(el) && !hasControls) {
+    problems.push({
+      issue: "Son lancé automatiquement sans contrôle de pause",
+      explanation:
+        "Un son de plus de 3 secondes démarre seul et rien ne permet de l'arrêter : il couvre la synthèse vocale des lecteurs d'écran (critère 1.4.2).",
+      severity: "élevée",
+    });
+  }
+
+  if (isVideo && !hasControls) {
+    problems.push({
+      issue: "Vidéo sans contrôles",
+      explanation:
+        "Ni l'attribut controls, ni boutons personnalisés nommés et focalisables : la vidéo ne peut pas être lancée, mise en pause ou réglée au clavier.",
+      severity: "moyenne",
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Analyse une iframe de lecteur intégré (YouTube, Vimeo...) d'après son URL
+ * @param {HTMLIFrameElement} iframe - L'iframe
+ * @returns {Array<Object>|null} - [{issue, explanation, severity}], null si l'iframe n'est pas un lecteur
+ */
+function analyzeMediaPlayerFrame(iframe) {
+  let url;
+  try {
+    url = new URL(iframe.src, document.baseURI);
+  } catch {
+    return null;
+  }
+
+  const isPlayer = MEDIA_PLAYER_HOSTS.some(
+    (host) => url.hostname === host || url.hostname.endsWith(`.${host}`),
+  );
+  if (!isPlayer) {
+    return null;
+  }
+
+  const isEnabled = (names) =>
+    names.some((name) => ["1", "true"].includes(url.searchParams.get(name)));
+  const isDisabled = (names) =>
+    names.some((name) => ["0", "false"].includes(url.searchParams.get(name)));
+
+  if (
+    isEnabled(MEDIA_PLAYER_PARAMS.autoplay) &&
+    !isEnabled(MEDIA_PLAYER_PARAMS.muted) &&
+    isDisabled(MEDIA_PLAYER_PARAMS.controls)
+  ) {
+    return [
+      {
+        issue: "Lecteur intégré en lecture automatique sans contrôles",
+        explanation:
+          "L'URL du lecteur demande une lecture automatique avec le son et masque ses contrôles : le son ne peut pas être arrêté (critère 1.4.2).",
+        severity: "élevée",
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Vérifie les médias : sous-titres des vidéos, transcription des contenus audio,
+ * lecture automatique avec son et présence de contrôles
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkMedia(task) {
+  const elements = querySelectorAllDeep("video, audio, iframe[src]").filter(
+    (el) =>
+      !isAuditMarker(el) &&
+      // Un <audio> sans controls est invisible : seule sa lecture automatique compte
+      (el.tagName.toLowerCase() === "audio" || !isHiddenFromAccessibility(el)),
+  );
+
+  const issues = [];
+  let failed = 0;
+  let total = 0;
+
+  await processInIdleChunks(
+    elements,
+    (el) => {
+      const isFrame = el.tagName.toLowerCase() === "iframe";
+      const problems = isFrame
+        ? analyzeMediaPlayerFrame(el)
+        : analyzeMediaElement(el);
+      // Les iframes autres que des lecteurs intégrés ne sont pas des médias
+      if (!problems) {
+        return;
+      }
+      total++;
+      if (problems.length === 0) {
+        return;
+      }
+
+      const mediaId = `accessibility-media-${failed}`;
+      markElement("media", el, mediaId, "⚠️ MÉDIA");
+      failed++;
+
+      problems.forEach((problem) => {
+        issues.push({
+          element: el.tagName.toLowerCase(),
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          src: isFrame ? el.src : getMediaSource(el),
+          mediaId: mediaId,
+          htmlSnippet: generateHTMLSnippet(el),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: total,
+    issues: issues,
+    passed: total - failed,
+  };
+}
+
+// ============= RÉFÉRENCES D'IDENTIFIANTS (IDREF / IDREFS) =============
+
+/**
+ * Indexe les éléments de la page par id (plusieurs éléments si l'id est dupliqué).
+ * Les ids sont propres à chaque arbre : document ou shadow root.
+ * @returns {Map<Node, Map<string, Array<Element>>>} - Racine → id → éléments
+ */
+function indexElementsById() {
+  const elementsById = new Map();
+
+  querySelectorAllDeep("[id]").forEach((el) => {
+    const root = el.getRootNode();
+    if (!elementsById.has(root)) {
+      elementsById.set(root, new Map());
+    }
+    const ids = elementsById.get(root);
+    if (!ids.has(el.id)) {
+      ids.set(el.id, []);
+    }
+    ids.get(el.id).push(el);
+  });
+
+  return elementsById;
+}
+
+/**
+ * Éléments portant un id dans l'arbre (document ou shadow root) d'un élément référent
+ * @param {Map<Node, Map<string, Array<Element>>>} elementsById - Index de indexElementsById
+ * @param {Element} el - Élément portant la référence
+ * @param {string} id - Identifiant référencé
+ * @returns {Array<Element>}
+ */
+function getElementsWithId(elementsById, el, id) {
+  return elementsById.get(el.getRootNode())?.get(id) || [];
+}
+
+/**
+ * Liste les problèmes d'une référence : id absent, dupliqué ou cible masquée
+ * @param {Object} attribute - Entrée de IDREF_ATTRIBUTES
+ * @param {string} id - Identifiant référencé
+ * @param {Array<Element>} targets - Éléments portant cet id
+ * @returns {Array<Object>} - [{issue, explanation, severity}]
+ */
+function getIdReferenceProblems(attribute, id, targets = []) {
+  if (targets.length === 0) {
+    return [
+      {
+        issue: `${attribute.name} référence un id inexistant (#${id})`,
+        explanation: attribute.naming
+          ? "La référence est ignorée : le nom ou la description attendus ne sont pas annoncés par les lecteurs d'écran."
+          : "La relation déclarée n'existe pas : les technologies d'assistance ne peuvent pas atteindre l'élément visé.",
+        severity:
+          attribute.naming || attribute.name === "for" ? "élevée" : "moyenne",
+      },
+    ];
+  }
+
+  const problems = [];
+
+  if (targets.length > 1) {
+    problems.push({
+      issue: `${attribute.name} référence un id dupliqué (#${id}, ${targets.length} éléments)`,
+      explanation:
+        "Seul le premier élément portant cet id est pris en compte : la référence peut viser un autre élément que celui prévu.",
+      severity: "moyenne",
+    });
+  }
+
+  if (isHiddenFromAccessibility(targets[0])) {
+    problems.push({
+      issue: `${attribute.name} référence un élément masqué (#${id})`,
+      explanation: attribute.naming
+        ? "Le texte d'un élément masqué est annoncé mais invisible à l'écran : vérifier qu'il correspond bien au libellé visible."
+        : "L'élément visé est masqué : la relation annoncée pointe vers un contenu inaccessible.",
+      severity: attribute.naming ? "faible" : "moyenne",
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Vérifie les attributs IDREF/IDREFS (aria-labelledby, aria-describedby,
+ * aria-controls, aria-owns, aria-activedescendant, label[for])
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkIdReferences(task) {
+  const elementsById = indexElementsById();
+  const selector = IDREF_ATTRIBUTES.map(
+    (attribute) => attribute.selector || `[${attribute.name}]`,
+  ).join(", ");
+  const elements = querySelectorAllDeep(selector);
+
+  const issues = [];
+  let failed = 0;
+
+  await processInIdleChunks(
+    elements,
+    (el) => {
+      const elementIssues = [];
+
+      IDREF_ATTRIBUTES.forEach((attribute) => {
+        if (attribute.selector && !el.matches(attribute.selector)) {
+          return;
+        }
+        const value = (el.getAttribute(attribute.name) || "").trim();
+        if (!value) {
+          return;
+        }
+
+        const ids = attribute.multiple ? value.split(/\s+/) : [value];
+        ids.forEach((id) => {
+          getIdReferenceProblems(
+            attribute,
+            id,
+            getElementsWithId(elementsById, el, id),
+          ).forEach((problem) => {
+            elementIssues.push({ ...problem, attribute: attribute.name, id });
+          });
+        });
+      });
+
+      if (elementIssues.length === 0) {
+        return;
+      }
+
+      const idrefsId = `accessibility-idrefs-${failed}`;
+      markElement("idrefs", el, idrefsId, "⚠️ RÉFÉRENCE ID");
+      failed++;
+
+      elementIssues.forEach((problem) => {
+        issues.push({
+          element: `${el.tagName.toLowerCase()} (${problem.attribute})`,
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          attribute: problem.attribute,
+          reference: problem.id,
+          idrefsId: idrefsId,
+          htmlSnippet: generateHTMLSnippet(el),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: elements.length,
+    issues: issues,
+    passed: elements.length - failed,
+  };
+}
+
+// ============= ARIA (RÔLES, ÉTATS ET PROPRIÉTÉS) =============
+
+/**
+ * Indique si un rôle est un rôle concret connu (ARIA 1.2 ou module complémentaire)
+ * @param {string} role - Rôle en minuscules
+ * @returns {boolean}
+ */
+function isKnownRole(role) {
+  return (
+    Object.hasOwn(ARIA_ROLES, role) ||
+    ARIA_ROLE_PREFIXES.some((prefix) => role.startsWith(prefix))
+  );
+}
+
+/**
+ * Analyse l'attribut role : le navigateur retient le premier rôle valide de la liste
+ * @param {Element} el - L'élément
+ * @returns {{role: string|null, invalid: Array<string>, abstract: Array<string>}}
+ */
+function parseRoleAttribute(el) {
+  const tokens = (el.getAttribute("role") || "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const result = { role: null, invalid: [], abstract: [] };
+
+  tokens.forEach((token) => {
+    if (ARIA_ABSTRACT_ROLES.includes(token)) {
+      result.abstract.push(token);
+    } else if (!isKnownRole(token)) {
+      result.invalid.push(token);
+    } else if (!result.role) {
+      result.role = token;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Vérifie qu'une valeur respecte le type de l'attribut ARIA
+ * Les IDREF(S) sont vérifiés par checkIdReferences ; une valeur vide vaut la valeur par défaut
+ * @param {Object} definition - Entrée de ARIA_ATTRIBUTES
+ * @param {string} value - Valeur de l'attribut
+ * @returns {boolean}
+ */
+function isValidAriaValue(definition, value) {
+  const normalized = value.trim().toLowerCase();
+  if (!normalized) {
+    return true;
+  }
+
+  switch (definition.type) {
+    case "token":
+      return definition.values.includes(normalized);
+    case "tokens":
+      return normalized
+        .split(/\s+/)
+        .every((token) => definition.values.includes(token));
+    case "integer":
+      return /^-?\d+$/.test(normalized);
+    case "number":
+      return Number.isFinite(Number(normalized));
+    default:
+      return ARIA_VALUE_TOKENS[definition.type]
+        ? ARIA_VALUE_TOKENS[definition.type].includes(normalized)
+        : true;
+  }
+}
+
+/**
+ * Liste les rôles des éléments possédés : enfants (en traversant les conteneurs
+ * sans sémantique) et éléments référencés par aria-owns
+ * @param {Element} el - Le conteneur
+ * @returns {Array<string>}
+ */
+function getOwnedRoles(el) {
+  const roles = [];
+  const collect = (parent) => {
+    Array.from(parent.children).forEach((child) => {
+      if (isAuditMarker(child) || isHiddenFromAccessibility(child, false)) {
+        return;
+      }
+      const role = getElementRole(child);
+      if (TRANSPARENT_ROLES.includes(role)) {
+        collect(child);
+      } else {
+        roles.push(role);
+      }
+    });
+  };
+
+  collect(el);
+  getReferencedElements(el, "aria-owns").forEach((owned) => {
+    roles.push(getElementRole(owned));
+  });
+
+  return roles;
+}
+
+/**
+ * Vérifie les exigences d'un rôle explicite : attributs requis et éléments possédés
+ * @param {Element} el - L'élément
+ * @param {string} role - Rôle explicite retenu
+ * @returns {Array<Object>} - [{issue, explanation, severity, ariaAttribute?}]
+ */
+function getRoleRequirementProblems(el, role) {
+  const definition = ARIA_ROLES[role] || {};
+  const problems = [];
+
+  (definition.required || []).forEach((attribute) => {
+    const nativeSelector = NATIVE_ARIA_STATES[attribute];
+    if (
+      el.hasAttribute(attribute) ||
+      (nativeSelector && el.matches(nativeSelector))
+    ) {
+      return;
+    }
+    problems.push({
+      issue: `Attribut requis manquant : role="${role}" sans ${attribute}`,
+      explanation:
+        "Sans cet état, les lecteurs d'écran ne peuvent pas annoncer la valeur ou l'état du composant.",
+      severity: "élevée",
+      ariaAttribute: attribute,
+    });
+  });
+
+  const requiredOwned = definition.requiredOwned;
+  if (requiredOwned && el.getAttribute("aria-busy") !== "true") {
+    const ownedRoles = getOwnedRoles(el);
+    if (!ownedRoles.some((ownedRole) => requiredOwned.includes(ownedRole))) {
+      problems.push({
+        issue: `Éléments requis manquants : role="${role}" doit contenir ${requiredOwned.join(", ")}`,
+        explanation:
+          "La structure annoncée est incomplète : les lecteurs d'écran ne peuvent pas annoncer le nombre ni la position des éléments.",
+        severity: "moyenne",
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Vérifie les attributs aria-* d'un élément : nom connu, valeur et autorisation pour le rôle
+ * @param {Element} el - L'élément
+ * @param {string|null} role - Rôle effectif (null si la sémantique est inconnue)
+ * @returns {Array<Object>} - [{issue, explanation, severity, ariaAttribute}]
+ */
+function getAriaAttributeProblems(el, role) {
+  const roleDefinition = role ? ARIA_ROLES[role] : null;
+  const problems = [];
+
+  Array.from(el.attributes)
+    .filter((attribute) => attribute.name.startsWith("aria-"))
+    .forEach(({ name, value }) => {
+      const definition = ARIA_ATTRIBUTES[name];
+      const problem = { ariaAttribute: name, ariaValue: value };
+
+      if (!definition) {
+        problems.push({
+          ...problem,
+          issue: `Attribut ARIA inconnu : ${name}`,
+          explanation:
+            "Cet attribut n'existe pas en ARIA (faute de frappe ?) : il est ignoré par les technologies d'assistance.",
+          severity: "moyenne",
+        });
+        return;
+      }
+
+      if (!isValidAriaValue(definition, value)) {
+        const expected =
+          definition.values || ARIA_VALUE_TOKENS[definition.type];
+        problems.push({
+          ...problem,
+          issue: `Valeur invalide : ${name}="${value}"`,
+          explanation: expected
+            ? `Valeurs autorisées : ${expected.join(", ")}. Une valeur invalide est ignorée ou mal interprétée.`
+            : `Une valeur de type ${definition.type} est attendue. Une valeur invalide est ignorée ou mal interprétée.`,
+          severity: "moyenne",
+        });
+      }
+
+      if (!roleDefinition) {
+        return;
+      }
+
+      if (
+        roleDefinition.nameProhibited &&
+        ["aria-label", "aria-labelledby"].includes(name)
+      ) {
+        problems.push({
+          ...problem,
+          issue: `${name} interdit sur le rôle ${role}`,
+          explanation:
+            "Ce rôle ne peut pas être nommé : le libellé n'est pas annoncé de façon fiable. Utiliser un rôle adapté ou du texte visible.",
+          severity: "moyenne",
+        });
+      } else if (
+        !definition.global &&
+        !(roleDefinition.supported || []).includes(name)
+      ) {
+        problems.push({
+          ...problem,
+          issue: `${name} non autorisé sur le rôle ${role}`,
+          explanation:
+            "Cet attribut n'a pas de sens pour ce rôle : il est ignoré ou produit des annonces incohérentes.",
+          severity: "moyenne",
+        });
+      }
+    });
+
+  return problems;
+}
+
+/**
+ * Analyse les rôles et attributs ARIA d'un élément
+ * @param {Element} el - L'élément
+ * @returns {{role: string|null, problems: Array<Object>}}
+ */
+function analyzeAriaElement(el) {
+  const problems = [];
+  const parsedRole = parseRoleAttribute(el);
+
+  parsedRole.invalid.forEach((token) => {
+    problems.push({
+      issue: `Rôle ARIA invalide : role="${token}"`,
+      explanation: parsedRole.role
+        ? `Ce rôle n'existe pas : le navigateur se rabat sur le rôle suivant (${parsedRole.role}).`
+        : "Ce rôle n'existe pas : il est ignoré et l'élément garde sa sémantique native.",
+      severity: parsedRole.role ? "faible" : "élevée",
+    });
+  });
+
+  parsedRole.abstract.forEach((token) => {
+    problems.push({
+      issue: `Rôle abstrait utilisé : role="${token}"`,
+      explanation:
+        "Les rôles abstraits servent uniquement à la spécification ARIA et sont ignorés par les navigateurs.",
+      severity: "élevée",
+    });
+  });
+
+  // Sans rôle explicite valide, la sémantique native s'applique (generic pour div/span)
+  let role = parsedRole.role;
+  if (role) {
+    problems.push(...getRoleRequirementProblems(el, role));
+  } else {
+    role =
+      getElementRole(el) ||
+      (GENERIC_ELEMENTS.includes(el.tagName.toLowerCase()) ? "generic" : null);
+    if (role && !isKnownRole(role)) {
+      role = null;
+    }
+  }
+
+  problems.push(...getAriaAttributeProblems(el, role));
+
+  return { role, problems };
+}
+
+/**
+ * Indique si un élément porte un attribut role ou aria-*
+ * @param {Element} el - L'élément
+ * @returns {boolean}
+ */
+function hasAriaMarkup(el) {
+  return (
+    el.hasAttribute("role") ||
+    Array.from(el.attributes).some((attribute) =>
+      attribute.name.startsWith("aria-"),
+    )
+  );
+}
+
+/**
+ * Vérifie la validité ARIA : rôles inconnus ou abstraits, attributs requis,
+ * éléments possédés requis, attributs non autorisés et valeurs invalides
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkAria(task) {
+  const elements = querySelectorAllDeep("*", document.body).filter(
+    (el) => !isAuditMarker(el) && hasAriaMarkup(el),
+  );
+
+  const issues = [];
+  let failed = 0;
+
+  await processInIdleChunks(
+    elements,
+    (el) => {
+      const { role, problems } = analyzeAriaElement(el);
+      if (problems.length === 0) {
+        return;
+      }
+
+      const ariaId = `accessibility-aria-${failed}`;
+      markElement("aria", el, ariaId, "⚠️ ARIA");
+      failed++;
+
+      problems.forEach((problem) => {
+        issues.push({
+          element: role
+            ? `${el.tagName.toLowerCase()} (${role})`
+            : el.tagName.toLowerCase(),
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          role: role,
+          ariaAttribute: problem.ariaAttribute,
+          ariaValue: problem.ariaValue,
+          ariaId: ariaId,
+          htmlSnippet: generateHTMLSnippet(el),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: elements.length,
+    issues: issues,
+    passed: elements.length - failed,
+  };
+}
+
+// ============= CLAVIER (WCAG 2.1.1, 2.4.3) =============
+
+/**
+ * Récupère les écouteurs d'interaction posés par la page (via listener-tracker.js)
+ * @returns {Map<Element, Array<string>>} - Élément → événements écoutés
+ */
+function collectPageListeners() {
+  document.dispatchEvent(new CustomEvent(LISTENER_COLLECT_EVENT));
+
+  const listeners = new Map();
+  querySelectorAllDeep(`[${LISTENER_ATTRIBUTE}]`).forEach((el) => {
+    listeners.set(el, el.getAttribute(LISTENER_ATTRIBUTE).split(" "));
+    el.removeAttribute(LISTENER_ATTRIBUTE);
+  });
+
+  // Sans le script MAIN (page ouverte avant l'installation), seuls les attributs onclick sont vus
+  querySelectorAllDeep("[onclick]", document.body).forEach((el) => {
+    if (!listeners.has(el)) {
+      listeners.set(el, ["click"]);
+    }
+  });
+
+  return listeners;
+}
+
+/**
+ * Valeur numérique de tabindex, ou null si l'attribut est absent ou invalide
+ * @param {Element} el - L'élément
+ * @returns {number|null}
+ */
+function getTabIndexValue(el) {
+  const value = parseInt(el.getAttribute("tabindex"), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Indique si un élément peut être atteint avec la touche Tab
+ * @param {Element} el - L'élément
+ * @returns {boolean}
+ */
+function isKeyboardReachable(el) {
+  const tabIndex = getTabIndexValue(el);
+  if (tabIndex !== null) {
+    return tabIndex >= 0;
+  }
+  return el.matches(NATIVELY_FOCUSABLE_SELECTOR) && !el.disabled;
+}
+
+/**
+ * Analyse l'accessibilité clavier d'un élément
+ * @param {Element} el - L'élément
+ * @param {Array<string>} events - Événements d'interaction écoutés sur l'élément
+ * @returns {Array<Object>} - [{issue, explanation, severity}]
+ */
+function analyzeKeyboardAccess(el, events) {
+  const problems = [];
+  const tabIndex = getTabIndexValue(el);
+
+  if (tabIndex > 0) {
+    problems.push({
+      issue: `tabindex="${tabIndex}" positif : ordre de tabulation modifié`,
+      explanation:
+        "Un tabindex positif fait passer l'élément avant tous les autres : l'ordre de navigation au clavier ne suit plus l'ordre visuel.",
+      severity: "moyenne",
+    });
+  }
+
+  const unreachableProblem = getUnreachableControlProblem(el, events);
+  if (unreachableProblem) {
+    problems.push(unreachableProblem);
+  }
+
+  return problems;
+}
+
+/**
+ * Détecte un élément qui se comporte comme un contrôle sans pouvoir recevoir le focus
+ * @param {Element} el - L'élément
+ * @param {Array<string>} events - Événements d'interaction écoutés sur l'élément
+ * @returns {Object|null} - {issue, explanation, severity} ou null
+ */
+function getUnreachableControlProblem(el, events) {
+  // Le focus des éléments d'un composite est géré par le conteneur
+  if (
+    isKeyboardReachable(el) ||
+    el.parentElement?.closest(FOCUS_MANAGING_CONTAINER_SELECTOR)
+  ) {
+    return null;
+  }
+
+  const tagName = el.tagName.toLowerCase();
+  const role = (el.getAttribute("role") || "").trim().split(/\s+/)[0];
+
+  if (FOCUSABLE_WIDGET_ROLES.includes(role)) {
+    return {
+      issue: `role="${role}" sans tabindex : inaccessible au clavier`,
+      explanation:
+        "Le rôle annonce un contrôle, mais l'élément ne reçoit pas le focus : ajouter tabindex=\"0\" et la gestion des touches, ou utiliser l'élément HTML natif.",
+      severity: "élevée",
+    };
+  }
+  if (events.length > 0 && tagName === "a") {
+    return {
+      issue: "Lien sans href utilisé comme bouton",
+      explanation:
+        "Un <a> sans href n'est pas focalisable : l'action n'est pas déclenchable au clavier. Utiliser un <button>.",
+      severity: "élevée",
+    };
+  }
+  // Un conteneur qui contient des contrôles délègue probablement leurs événements
+  if (events.length > 0 && !el.querySelector(NATIVELY_FOCUSABLE_SELECTOR)) {
+    return {
+      issue: `Élément cliquable inaccessible au clavier (<${tagName}> avec ${events.join(", ")})`,
+      explanation:
+        "L'élément réagit à la souris mais ne peut pas recevoir le focus : les utilisateurs du clavier ne peuvent pas déclencher l'action.",
+      severity: "élevée",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Liste, dans l'ordre du document, les éléments à examiner pour l'accès au clavier
+ * @param {Map<Element, Array<string>>} listeners - Écouteurs de la page
+ * @returns {Array<Element>}
+ */
+function getKeyboardCandidates(listeners) {
+  const roleSelector = FOCUSABLE_WIDGET_ROLES.map(
+    (role) => `[role="${role}"]`,
+  ).join(", ");
+
+  return (
+    Array.from(
+      new Set([
+        ...listeners.keys(),
+        ...querySelectorAllDeep(
+          `${roleSelector}, a:not([href]), [tabindex]`,
+          document.body,
+        ),
+      ]),
+    )
+      .filter(
+        (el) =>
+          el !== document.body &&
+          !isAuditMarker(el) &&
+          !isHiddenFromAccessibility(el),
+      )
+      // Ordre du document, pour des numéros de marqueurs cohérents avec la page
+      .sort((first, second) =>
+        first.compareDocumentPosition(second) & Node.DOCUMENT_POSITION_FOLLOWING
+          ? -1
+          : 1,
+      )
+  );
+}
+
+/**
+ * Vérifie l'accès au clavier : éléments cliquables ou à rôle de contrôle non
+ * focalisables, liens sans href utilisés comme boutons, tabindex positifs
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkKeyboard(task) {
+  const listeners = collectPageListeners();
+  const elements = getKeyboardCandidates(listeners);
+
+  const issues = [];
+  let failed = 0;
+
+  await processInIdleChunks(
+    elements,
+    (el) => {
+      const events = listeners.get(el) || [];
+      const problems = analyzeKeyboardAccess(el, events);
+      if (problems.length === 0) {
+        return;
+      }
+
+      const keyboardId = `accessibility-keyboard-${failed}`;
+      markElement("keyboard", el, keyboardId, "⚠️ CLAVIER");
+      failed++;
+
+      problems.forEach((problem) => {
+        issues.push({
+          element: el.tagName.toLowerCase(),
+          issue: problem.issue,
+          explanation: problem.explanation,
+          severity: problem.severity,
+          events: events.length > 0 ? events.join(", ") : undefined,
+          keyboardId: keyboardId,
+          htmlSnippet: generateHTMLSnippet(el),
+        });
+      });
+    },
+    task,
+  );
+
+  return {
+    total: elements.length,
+    issues: issues,
+    passed: elements.length - failed,
+  };
+}
+
+// ============= ORDRE DE TABULATION (WCAG 2.4.3) =============
+
+/**
+ * Retourne la shadow root d'un élément, y compris fermée (API chrome.dom)
+ * @param {Element} el - L'élément
+ * @returns {ShadowRoot|null}
+ */
+function getShadowRoot(el) {
+  if (chrome.dom?.openOrClosedShadowRoot) {
+    return chrome.dom.openOrClosedShadowRoot(el) || null;
+  }
+  return el.shadowRoot;
+}
+
+/**
+ * Enfants d'un nœud dans l'arbre composé : contenu de la shadow root pour un hôte,
+ * éléments distribués (ou contenu de repli) pour un slot
+ * @param {Element} el - L'élément
+ * @returns {Array<Element>}
+ */
+function getComposedChildren(el) {
+  if (el.tagName.toLowerCase() === "slot") {
+    return el.assignedElements({ flatten: true });
+  }
+  const shadowRoot = getShadowRoot(el);
+  return Array.from((shadowRoot || el).children);
+}
+
+/**
+ * Calcule l'ordre de tabulation d'une portée de navigation (HTML, « sequential focus
+ * navigation ») : tabindex positifs croissants, puis ordre du document. Les hôtes de
+ * shadow DOM et les slots ouvrent une portée imbriquée insérée à leur position.
+ * @param {Array<Element>} roots - Éléments de la portée
+ * @returns {Array<Element>} - Éléments dans l'ordre de tabulation
+ */
+function getFocusScopeOrder(roots) {
+  const entries = [];
+
+  const visit = (el) => {
+    if (isAuditMarker(el) || el.inert) {
+      return;
+    }
+    const style = window.getComputedStyle(el);
+    if (style.display === "none") {
+      return;
+    }
+
+    const tabIndex = getTabIndexValue(el);
+    const focusable =
+      style.visibility !== "hidden" && !el.disabled && isKeyboardReachable(el);
+    const ownsScope = el.tagName.toLowerCase() === "slot" || getShadowRoot(el);
+
+    if (focusable || ownsScope) {
+      entries.push({
+        el: el,
+        focusable: focusable,
+        tabIndex: tabIndex > 0 ? tabIndex : 0,
+        scope: ownsScope ? getFocusScopeOrder(getComposedChildren(el)) : [],
+      });
+    }
+    if (!ownsScope) {
+      getComposedChildren(el).forEach(visit);
+    }
+  };
+  roots.forEach(visit);
+
+  // Tri stable : à tabindex égal, l'ordre du document est conservé
+  const positive = entries
+    .filter((entry) => entry.tabIndex > 0)
+    .sort((first, second) => first.tabIndex - second.tabIndex);
+  const natural = entries.filter((entry) => entry.tabIndex === 0);
+
+  return [...positive, ...natural].flatMap((entry) =>
+    entry.focusable ? [entry.el, ...entry.scope] : entry.scope,
+  );
+}
+
+/**
+ * Ne garde qu'un bouton radio par groupe : le coché, sinon le premier rencontré
+ * @param {Array<Element>} elements - Éléments dans l'ordre de tabulation
+ * @returns {Array<Element>}
+ */
+function keepOneRadioPerGroup(elements) {
+  // Portée du groupe (formulaire ou racine) → Map(name → bouton retenu)
+  const groups = new Map();
+  const getGroup = (radio) => {
+    const scope = radio.form || radio.getRootNode();
+    if (!groups.has(scope)) {
+      groups.set(scope, new Map());
+    }
+    return groups.get(scope);
+  };
+  const isGroupedRadio = (el) => el.type === "radio" && Boolean(el.name);
+
+  elements.filter(isGroupedRadio).forEach((radio) => {
+    const group = getGroup(radio);
+    const current = group.get(radio.name);
+    if (!current || (radio.checked && !current.checked)) {
+      group.set(radio.name, radio);
+    }
+  });
+
+  return elements.filter(
+    (el) => !isGroupedRadio(el) || getGroup(el).get(el.name) === el,
+  );
+}
+
+/**
+ * Indique si un élément est invisible à l'écran (taille nulle, hors page, transparent)
+ * @param {Element} el - L'élément
+ * @returns {boolean}
+ */
+function isVisuallyHidden(el) {
+  const rect = el.getBoundingClientRect();
+  if (
+    rect.width <= VISUALLY_HIDDEN_MAX_SIZE ||
+    rect.height <= VISUALLY_HIDDEN_MAX_SIZE ||
+    rect.right + window.scrollX < 0 ||
+    rect.bottom + window.scrollY < 0
+  ) {
+    return true;
+  }
+
+  for (let node = el; node; node = getComposedParent(node)) {
+    if (parseFloat(window.getComputedStyle(node).opacity) === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Indique si un élément reste invisible lorsqu'il a le focus
+ * (un lien d'évitement masqué qui apparaît au focus n'est pas un problème)
+ * @param {Element} el - Élément focalisable
+ * @returns {boolean}
+ */
+function isHiddenWhenFocused(el) {
+  return isVisuallyHidden(el) && withFocus(el, isVisuallyHidden);
+}
+
+/**
+ * Coordonnées d'un élément dans la page (et non dans la fenêtre)
+ * @param {Element} el - L'élément
+ * @returns {{x: number, y: number, centerX: number, centerY: number}}
+ */
+function getPagePosition(el) {
+  const rect = el.getBoundingClientRect();
+  return {
+    x: rect.left + window.scrollX,
+    y: rect.top + window.scrollY,
+    centerX: rect.left + window.scrollX + rect.width / 2,
+    centerY: rect.top + window.scrollY + rect.height / 2,
+  };
+}
+
+/**
+ * Dessine la superposition : pastilles numérotées et flèches reliant les éléments
+ * @param {Array<{el: Element, hidden: boolean}>} items - Éléments dans l'ordre de tabulation
+ */
+function drawFocusOrderOverlay(items) {
+  const config = MARKER_STYLES.focusOrder;
+  const root = document.documentElement;
+
+  const overlay = document.createElement("div");
+  overlay.id = config.overlayId;
+  overlay.setAttribute("data-badge-for", config.overlayId);
+  overlay.setAttribute("aria-hidden", "true");
+  Object.assign(overlay.style, {
+    position: "absolute",
+    top: "0",
+    left: "0",
+    width: `${root.scrollWidth}px`,
+    height: `${root.scrollHeight}px`,
+    pointerEvents: "none",
+    zIndex: "2147483646",
+  });
+
+  const svg = document.createElementNS(SVG_NAMESPACE, "svg");
+  svg.setAttribute("width", root.scrollWidth);
+  svg.setAttribute("height", root.scrollHeight);
+  svg.style.position = "absolute";
+  svg.style.inset = "0";
+  svg.innerHTML = `
+    <defs>
+      <marker id="${config.overlayId}-arrow" viewBox="0 0 10 10" refX="10" refY="5"
+        markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+        <path d="M 0 0 L 10 5 L 0 10 z" fill="${config.color}" />
+      </marker>
+    </defs>
+  `;
+  overlay.appendChild(svg);
+
+  const positions = items.map((item) => getPagePosition(item.el));
+
+  positions.forEach((position, index) => {
+    if (index > 0) {
+      const previous = positions[index - 1];
+      const line = document.createElementNS(SVG_NAMESPACE, "line");
+      line.setAttribute("x1", previous.centerX);
+      line.setAttribute("y1", previous.centerY);
+      line.setAttribute("x2", position.centerX);
+      line.setAttribute("y2", position.centerY);
+      line.setAttribute("stroke", config.color);
+      line.setAttribute("stroke-width", "2");
+      line.setAttribute("stroke-opacity", "0.7");
+      line.setAttribute("marker-end", `url(#${config.overlayId}-arrow)`);
+      svg.appendChild(line);
+    }
+
+    const badge = document.createElement("div");
+    badge.textContent = String(index + 1);
+    Object.assign(badge.style, {
+      position: "absolute",
+      left: `${position.x - FOCUS_ORDER_BADGE_SIZE / 2}px`,
+      top: `${position.y - FOCUS_ORDER_BADGE_SIZE / 2}px`,
+      width: `${FOCUS_ORDER_BADGE_SIZE}px`,
+      height: `${FOCUS_ORDER_BADGE_SIZE}px`,
+      lineHeight: `${FOCUS_ORDER_BADGE_SIZE}px`,
+      borderRadius: "50%",
+      background: items[index].hidden ? "#dc2626" : config.color,
+      color: "white",
+      fontSize: "11px",
+      fontWeight: "bold",
+      fontFamily:
+        '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      textAlign: "center",
+      boxShadow: "0 2px 6px rgba(0, 0, 0, 0.3)",
+    });
+    overlay.appendChild(badge);
+  });
+
+  document.body.appendChild(overlay);
+}
+
+/**
+ * Affiche l'ordre de tabulation de la page et met en évidence les éléments
+ * focalisables mais invisibles, ainsi que les contrôles visibles non focalisables
+ * @returns {{count: number, hidden: number, unreachable: number}}
+ */
+function showFocusOrder() {
+  clearMarkers("focusOrder");
+  markedElements.focusOrder = [];
+
+  const ordered = keepOneRadioPerGroup(getFocusScopeOrder([document.body]));
+  const items = ordered.map((el) => ({ el, hidden: isHiddenWhenFocused(el) }));
+
+  items.forEach((item, index) => {
+    if (item.hidden) {
+      markElement(
+        "focusOrder",
+        item.el,
+        `accessibility-focus-order-${index}`,
+        `⚠️ ${index + 1} : FOCUS INVISIBLE`,
+      );
+    }
+  });
+
+  const listeners = collectPageListeners();
+  const unreachable = getKeyboardCandidates(listeners).filter(
+    (el) =>
+      !isVisuallyHidden(el) &&
+      getUnreachableControlProblem(el, listeners.get(el) || []),
+  );
+  unreachable.forEach((el, index) => {
+    markElement(
+      "focusOrder",
+      el,
+      `accessibility-focus-order-unreachable-${index}`,
+      "⚠️ NON FOCALISABLE",
+    );
+  });
+
+  drawFocusOrderOverlay(items);
+
+  return {
+    count: items.length,
+    hidden: items.filter((item) => item.hidden).length,
+    unreachable: unreachable.length,
+  };
+}
+
+// ============= INDICATEUR DE FOCUS (WCAG 2.4.7, 2.4.13) =============
+
+/**
+ * Relève les valeurs calculées d'une liste de propriétés
+ * @param {CSSStyleDeclaration} style - Style calculé
+ * @param {Array<string>} properties - Propriétés à relever
+ * @returns {string} - Valeurs concaténées (comparables entre deux états)
+ */
+function pickStyleValues(style, properties) {
+  return properties.map((property) => style[property]).join("|");
+}
+
+/**
+ * Relève tout ce qui peut matérialiser le focus d'un élément : styles propres,
+ * pseudo-éléments, conteneur (:focus-within) et boîte rendue
+ * @param {HTMLElement} el - L'élément
+ * @returns {Object} - Relevé comparable entre l'état focalisé et non focalisé
+ */
+function getFocusSnapshot(el) {
+  const style = window.getComputedStyle(el);
+  const rect = el.getBoundingClientRect();
+  const snapshot = { values: {} };
+
+  Object.entries(FOCUS_INDICATOR_PROPERTIES).forEach(([group, properties]) => {
+    snapshot.values[group] = pickStyleValues(style, properties);
+  });
+  snapshot.values.pseudo = ["::before", "::after"]
+    .map((pseudo) =>
+      pickStyleValues(
+        window.getComputedStyle(el, pseudo),
+        FOCUS_PSEUDO_PROPERTIES,
+      ),
+    )
+    .join("|");
+  snapshot.values.container = el.parentElement
+    ? pickStyleValues(
+        window.getComputedStyle(el.parentElement),
+        FOCUS_CONTAINER_PROPERTIES,
+      )
+    : "";
+  snapshot.values.box = [rect.x, rect.y, rect.width, rect.height]
+    .map(Math.round)
+    .join("|");
+
+  // Copie des valeurs utiles à la mesure : le style calculé est vivant
+  snapshot.measures = {
+    outlineStyle: style.outlineStyle,
+    outlineWidth: parseFloat(style.outlineWidth) || 0,
+    outlineOffset: parseFloat(style.outlineOffset) || 0,
+    outlineColor: parseColor(style.outlineColor),
+    boxShadow: style.boxShadow,
+    borderColor: parseColor(style.borderTopColor),
+    borderWidth:
+      BORDER_SIDES.reduce(
+        (sum, side) => sum + (parseFloat(style[`border${side}Width`]) || 0),
+        0,
+      ) / BORDER_SIDES.length,
+    backgroundColor: parseColor(style.backgroundColor),
+    width: rect.width,
+    height: rect.height,
+  };
+
+  return snapshot;
+}
+
+/**
+ * Extrait la première ombre visible d'une valeur box-shadow calculée
+ * @param {string} value - Ex: "rgb(37, 99, 235) 0px 0px 0px 3px"
+ * @returns {{color: Object, thickness: number, inset: boolean}|null}
+ */
+function parseBoxShadow(value) {
+  if (!value || value === "none") {
+    return null;
+  }
+
+  // Séparer les ombres sur les virgules hors parenthèses
+  const shadows = value.split(/,(?![^(]*\))/);
+  for (const shadow of shadows) {
+    const color = parseColor((shadow.match(/rgba?\([^)]*\)/) || [])[0]);
+    const lengths = (shadow.match(/-?[\d.]+px/g) || []).map(parseFloat);
+    const [, , blur = 0, spread = 0] = lengths;
+    // Sans étalement, seule la moitié du flou est nettement visible
+    const thickness = spread > 0 ? spread : blur / 2;
+
+    if (color && color.a > 0 && thickness > 0) {
+      return { color, thickness, inset: shadow.includes("inset") };
+    }
+  }
+  return null;
+}
+
+/**
+ * Surface d'un anneau d'épaisseur donnée autour (ou à l'intérieur) d'une boîte
+ * @param {number} width - Largeur de la boîte
+ * @param {number} height - Hauteur de la boîte
+ * @param {number} thickness - Épaisseur de l'anneau
+ * @param {number} [offset=0] - Décalage de l'anneau vers l'extérieur (négatif : intérieur)
+ * @returns {number} - Surface en px²
+ */
+function getRingArea(width, height, thickness, offset = 0) {
+  const innerWidth = Math.max(0, width + 2 * offset);
+  const innerHeight = Math.max(0, height + 2 * offset);
+  return (
+    (innerWidth + 2 * thickness) * (innerHeight + 2 * thickness) -
+    innerWidth * innerHeight
+  );
+}
+
+/**
+ * Mesure un indicateur de focus : surface des pixels modifiés et contraste
+ * entre leurs couleurs avec et sans focus (critère 2.4.13)
+ * @param {string} group - Type d'indicateur (clé de FOCUS_INDICATOR_LABELS)
+ * @param {Object} before - Mesures sans focus
+ * @param {Object} after - Mesures avec focus
+ * @param {Object|null} adjacent - Fond adjacent opaque
+ * @returns {Object|null} - {area, color, baseColor, ratio} ou null si non mesurable
+ */
+function measureFocusIndicator(group, before, after, adjacent) {
+  const { width, height } = before;
+  const backdrop = adjacent || CANVAS_DEFAULT_COLOR;
+  const fill = before.backgroundColor
+    ? blendColors(before.backgroundColor, backdrop)
+    : backdrop;
+  const measure = (area, color, baseColor) => ({
+    area: area,
+    color: color,
+    baseColor: baseColor,
+    ratio: calculateContrastRatioFromRGB(color, baseColor),
+  });
+
+  switch (group) {
+    case "outline": {
+      if (
+        !adjacent ||
+        after.outlineStyle === "none" ||
+        after.outlineWidth === 0 ||
+        !after.outlineColor
+      ) {
+        return null;
+      }
+      // Un outline à l'intérieur de la boîte se dessine sur le fond de l'élément
+      const baseColor = after.outlineOffset < 0 ? fill : adjacent;
+      return measure(
+        getRingArea(width, height, after.outlineWidth, after.outlineOffset),
+        blendColors(after.outlineColor, baseColor),
+        baseColor,
+      );
+    }
+    case "boxShadow": {
+      const shadow = parseBoxShadow(after.boxShadow);
+      if (!adjacent || !shadow) {
+        return null;
+      }
+      const baseColor = shadow.inset ? fill : adjacent;
+      return measure(
+        shadow.inset
+          ? getRingArea(width, height, shadow.thickness, -shadow.thickness)
+          : getRingArea(width, height, shadow.thickness),
+        blendColors(shadow.color, baseColor),
+        baseColor,
+      );
+    }
+    case "border": {
+      if (
+        !before.borderColor ||
+        !after.borderColor ||
+        after.borderWidth === 0
+      ) {
+        return null;
+      }
+      return measure(
+        getRingArea(width, height, after.borderWidth, -after.borderWidth),
+        blendColors(after.borderColor, fill),
+        blendColors(before.borderColor, fill),
+      );
+    }
+    case "background": {
+      if (!after.backgroundColor) {
+        return null;
+      }
+      return measure(
+        width * height,
+        blendColors(after.backgroundColor, backdrop),
+        fill,
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare un élément avec et sans focus et mesure les indicateurs détectés
+ * @param {HTMLElement} el - Élément focalisable
+ * @returns {{changes: Array<string>, indicators: Array<Object>, focusVisible: boolean, required: number}}
+ */
+function analyzeFocusIndicator(el) {
+  const before = getFocusSnapshot(el);
+  // Un focus donné par script ne déclenche pas toujours :focus-visible : l'anneau du
+  // navigateur et les règles :focus-visible de la page ne sont alors pas mesurés
+  const { after, focusVisible } = withFocus(el, (target) => ({
+    after: getFocusSnapshot(target),
+    focusVisible: target.matches(":focus-visible"),
+  }));
+  const adjacent = getAdjacentBackground(el);
+
+  const changes = Object.keys(FOCUS_INDICATOR_LABELS).filter(
+    (group) => before.values[group] !== after.values[group],
+  );
+  const indicators = changes
+    .map((group) => ({
+      group: group,
+      measured: measureFocusIndicator(
+        group,
+        before.measures,
+        after.measures,
+        adjacent,
+      ),
+    }))
+    .filter((indicator) => indicator.measured);
 
-      // Add visual style (bordure orange)
-      input.style.outline = "3px solid #f59e0b";
-      input.style.outlineOffset = "2px";
-      input.setAttribute("data-accessibility-issue", "form-no-label");
+  return {
+    changes: changes,
+    indicators: indicators,
+    focusVisible: focusVisible,
+    // Surface d'un périmètre de 2 px autour de la boîte non focalisée
+    required:
+      2 *
+      (before.measures.width + before.measures.height) *
+      FOCUS_APPEARANCE_THICKNESS,
+  };
+}
+
+/**
+ * Détermine le problème d'indicateur de focus d'un élément, s'il y en a un.
+ * Sans :focus-visible, le problème n'est qu'à vérifier au clavier.
+ * @param {Object} analysis - Résultat de analyzeFocusIndicator
+ * @param {string} level - Niveau de conformité visé
+ * @returns {Object|null} - {issue, explanation, severity, indicator?, needsReview?} ou null
+ */
+function getFocusIndicatorProblem(analysis, level) {
+  const problem = findFocusIndicatorProblem(analysis, level);
+  if (problem && !analysis.focusVisible) {
+    problem.needsReview = true;
+  }
+  return problem;
+}
+
+/**
+ * Problème d'indicateur de focus d'après les styles mesurés (getFocusIndicatorProblem)
+ * @param {Object} analysis - Résultat de analyzeFocusIndicator
+ * @param {string} level - Niveau de conformité visé
+ * @returns {Object|null}
+ */
+function findFocusIndicatorProblem(analysis, level) {
+  if (analysis.changes.length === 0 && !analysis.focusVisible) {
+    return {
+      issue: "Indicateur de focus à vérifier : aucun changement mesuré",
+      explanation:
+        "Le focus donné par l'audit ne déclenche pas :focus-visible : ni l'anneau du navigateur ni les styles :focus-visible de la page n'ont pu être mesurés. Parcourir la page avec Tab pour vérifier qu'un indicateur apparaît.",
+      severity: "moyenne",
+    };
+  }
+  if (analysis.changes.length === 0) {
+    return {
+      issue: "Aucun indicateur de focus visible",
+      explanation:
+        "Rien ne change à l'écran quand l'élément reçoit le focus (outline: none ?) : les utilisateurs du clavier ne savent pas où ils se trouvent.",
+      severity: "élevée",
+    };
+  }
+
+  // 2.4.13 (AAA) : un indicateur suffisant, ou non mesurable (bénéfice du doute)
+  if (!isLevelRequired("AAA", level)) {
+    return null;
+  }
+  // Les changements de couleur ou de soulignement du texte n'ont pas la surface requise
+  const hasUnmeasured = analysis.changes.some(
+    (group) =>
+      !FOCUS_TEXT_ONLY_INDICATORS.includes(group) &&
+      !analysis.indicators.some((indicator) => indicator.group === group),
+  );
+  const passing = analysis.indicators.some(
+    ({ measured }) =>
+      measured.area >= analysis.required &&
+      measured.ratio >= FOCUS_APPEARANCE_CONTRAST_RATIO,
+  );
+  if (passing || hasUnmeasured) {
+    return null;
+  }
+
+  const best = analysis.indicators
+    .slice()
+    .sort((first, second) => second.measured.ratio - first.measured.ratio)[0];
+  if (!best) {
+    return {
+      issue:
+        "Indicateur de focus limité à la couleur ou au soulignement du texte",
+      explanation:
+        "Le changement ne porte que sur les caractères : sa surface est inférieure à un périmètre de 2 px autour de l'élément (critère 2.4.13).",
+      severity: "faible",
+    };
+  }
+
+  const { area, ratio } = best.measured;
+  const areaPercent =
+    analysis.required > 0 ? Math.round((area / analysis.required) * 100) : 100;
+  return {
+    issue: `Indicateur de focus insuffisant : ${FOCUS_INDICATOR_LABELS[best.group]} (${ratio.toFixed(2)}:1, surface ${areaPercent} % du minimum)`,
+    explanation: `L'indicateur doit couvrir au moins un périmètre de ${FOCUS_APPEARANCE_THICKNESS} px autour de l'élément et contraster à ${FOCUS_APPEARANCE_CONTRAST_RATIO}:1 avec l'état non focalisé (critère 2.4.13).`,
+    severity: "faible",
+    indicator: best,
+  };
+}
+
+/**
+ * Retourne l'élément (ou son plus proche ancêtre) positionné en fixed ou sticky
+ * @param {Element} el - L'élément
+ * @returns {Element|null}
+ */
+function getFixedOrStickyAncestor(el) {
+  for (
+    let node = el;
+    node && node !== document.body && node !== document.documentElement;
+    node = getComposedParent(node)
+  ) {
+    const { position } = window.getComputedStyle(node);
+    if (position === "fixed" || position === "sticky") {
+      return node;
+    }
+  }
+  return null;
+}
 
-      // Store l'élément pour le filtrage
-      markedElements.forms.push(input);
+/**
+ * Amène l'élément focalisé dans la vue puis cherche les éléments fixed/sticky
+ * (en-tête, bandeau cookies, widget de chat) affichés par-dessus
+ * @param {HTMLElement} el - Élément ayant le focus
+ * @returns {{covering: Array<Element>, coveredRatio: number}|null} - null si hors de la vue
+ */
+function getFocusObscuringElements(el) {
+  // Même défilement que le navigateur au focus (scroll-padding respecté)
+  el.scrollIntoView({ block: "nearest", inline: "nearest" });
+
+  const rect = el.getBoundingClientRect();
+  const left = Math.max(rect.left, 0);
+  const right = Math.min(rect.right, window.innerWidth);
+  const top = Math.max(rect.top, 0);
+  const bottom = Math.min(rect.bottom, window.innerHeight);
+  if (right - left < 1 || bottom - top < 1) {
+    return null;
+  }
 
-      // Créer et ajouter un badge visuel orange
+  const covering = new Set();
+  let coveredPoints = 0;
+
+  for (let row = 0; row < FOCUS_OBSCURED_GRID_SIZE; row++) {
+    for (let column = 0; column < FOCUS_OBSCURED_GRID_SIZE; column++) {
+      const x =
+        left + ((right - left) * (column + 0.5)) / FOCUS_OBSCURED_GRID_SIZE;
+      const y = top + ((bottom - top) * (row + 0.5)) / FOCUS_OBSCURED_GRID_SIZE;
+      // Ignorer les badges de l'audit, affichés au-dessus de la page
+      const topmost = document
+        .elementsFromPoint(x, y)
+        .find((node) => !isAuditMarker(node));
+      // elementsFromPoint renvoie l'hôte d'un composant, pas son contenu
       if (
-        !input.parentElement.querySelector(
-          `.accessibility-badge-form[data-badge-for="${formId}"]`,
-        )
+        !topmost ||
+        containsComposed(el, topmost) ||
+        containsComposed(topmost, el)
       ) {
-        const badge = document.createElement("div");
-        badge.className = "accessibility-badge-form";
-        badge.textContent = "⚠️ LABEL MANQUANT";
-        badge.setAttribute("data-badge-for", formId);
-
-        // Position badge
-        const originalPosition = window.getComputedStyle(
-          input.parentElement,
-        ).position;
-        if (originalPosition === "static") {
-          input.parentElement.style.position = "relative";
-          input.parentElement.setAttribute("data-position-changed", "true");
+        continue;
+      }
+
+      const cover = getFixedOrStickyAncestor(topmost);
+      if (cover && !containsComposed(cover, el)) {
+        covering.add(cover);
+        coveredPoints++;
+      }
+    }
+  }
+
+  return {
+    covering: Array.from(covering),
+    coveredRatio: coveredPoints / FOCUS_OBSCURED_GRID_SIZE ** 2,
+  };
+}
+
+/**
+ * Détermine si l'élément focalisé est masqué par un élément fixed ou sticky :
+ * entièrement (2.4.11, niveau AA) ou partiellement (2.4.12, niveau AAA)
+ * @param {HTMLElement} el - Élément focalisable
+ * @param {string} level - Niveau de conformité visé
+ * @returns {Object|null} - {issue, explanation, severity, covering} ou null
+ */
+function getFocusObscuredProblem(el, level) {
+  const result = withFocus(el, getFocusObscuringElements);
+  if (!result || result.covering.length === 0) {
+    return null;
+  }
+
+  if (result.coveredRatio === 1) {
+    return {
+      issue: "Élément focalisé entièrement masqué",
+      explanation:
+        "Une fois le focus reçu, l'élément est caché par un élément fixe ou collant (en-tête, bandeau, fenêtre de discussion) : l'utilisateur du clavier ne voit plus où il se trouve (critère 2.4.11).",
+      severity: "élevée",
+      covering: result.covering[0],
+    };
+  }
+
+  if (!isLevelRequired("AAA", level)) {
+    return null;
+  }
+  return {
+    issue: `Élément focalisé partiellement masqué (${Math.round(result.coveredRatio * 100)} %)`,
+    explanation:
+      "Une partie de l'élément focalisé est recouverte par un élément fixe ou collant. Prévoir un scroll-padding ou déplacer l'élément qui le recouvre (critère 2.4.12).",
+    severity: "faible",
+    covering: result.covering[0],
+  };
+}
+
+/**
+ * Vérifie que chaque élément focalisable affiche un indicateur de focus visible
+ * (2.4.7) et, au niveau AAA, suffisamment grand et contrasté (2.4.13), puis
+ * qu'il n'est pas masqué par un élément fixe ou collant (2.4.11, 2.4.12).
+ * Le focus et le défilement initiaux sont rétablis à la fin, y compris en cas d'annulation.
+ * @param {Object} options - Options d'audit normalisées ({ level })
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkFocusIndicators(options, task) {
+  // Le focus visible (2.4.7) est un critère de niveau AA
+  if (!isLevelRequired("AA", options.level)) {
+    return { total: 0, issues: [], passed: 0 };
+  }
+
+  backgroundLayersCache = new WeakMap();
+
+  const elements = keepOneRadioPerGroup(getFocusScopeOrder([document.body]));
+
+  // Mesurer l'état non focalisé de chaque élément, y compris celui qui a le focus
+  const previousFocus = document.activeElement;
+  const { scrollX, scrollY } = window;
+  if (previousFocus && previousFocus !== document.body) {
+    previousFocus.blur();
+  }
+
+  const issues = [];
+  let total = 0;
+  let failed = 0;
+  let marked = 0;
+
+  try {
+    await processInIdleChunks(
+      elements,
+      (el) => {
+        if (isHiddenWhenFocused(el)) {
+          return;
+        }
+
+        const problems = [
+          getFocusIndicatorProblem(analyzeFocusIndicator(el), options.level),
+          getFocusObscuredProblem(el, options.level),
+        ].filter(Boolean);
+        // Un élément dont les problèmes restent à vérifier ne compte pas dans le score
+        const confirmed = problems.some((problem) => !problem.needsReview);
+        if (confirmed || problems.length === 0) {
+          total++;
+        }
+        if (problems.length === 0) {
+          return;
+        }
+
+        const focusId = `accessibility-focus-${marked}`;
+        deferMarker(
+          task,
+          "focus",
+          el,
+          focusId,
+          confirmed ? "⚠️ FOCUS" : "⚠️ FOCUS À VÉRIFIER",
+        );
+        marked++;
+        if (confirmed) {
+          failed++;
+        }
+
+        problems.forEach((problem) => {
+          const { indicator, covering } = problem;
+          issues.push({
+            element: el.tagName.toLowerCase(),
+            issue: problem.issue,
+            explanation: problem.explanation,
+            severity: problem.severity,
+            indicator: indicator
+              ? FOCUS_INDICATOR_LABELS[indicator.group]
+              : undefined,
+            indicatorColor: indicator
+              ? formatRGB(indicator.measured.color)
+              : undefined,
+            adjacentColor: indicator
+              ? formatRGB(indicator.measured.baseColor)
+              : undefined,
+            coveringSnippet: covering
+              ? generateHTMLSnippet(covering)
+              : undefined,
+            needsReview: problem.needsReview,
+            focusId: focusId,
+            htmlSnippet: generateHTMLSnippet(el),
+          });
+        });
+      },
+      task,
+    );
+  } finally {
+    if (previousFocus && previousFocus !== document.body) {
+      previousFocus.focus({ preventScroll: true });
+    }
+    window.scrollTo(scrollX, scrollY);
+  }
+
+  return {
+    total: total,
+    issues: issues,
+    passed: total - failed,
+  };
+}
+
+// ============= TAILLE DES CIBLES (WCAG 2.5.8, 2.5.5) =============
+
+/**
+ * Boîte cliquable d'une cible, en coordonnées de page. Une case à cocher ou un
+ * bouton radio placé dans son label s'active aussi en cliquant le label.
+ * @param {Element} el - La cible
+ * @returns {{left: number, top: number, right: number, bottom: number, width: number, height: number}}
+ */
+function getTargetBox(el) {
+  const label =
+    el.type === "checkbox" || el.type === "radio" ? el.closest("label") : null;
+  const rect = (label || el).getBoundingClientRect();
+  return {
+    left: rect.left + window.scrollX,
+    top: rect.top + window.scrollY,
+    right: rect.right + window.scrollX,
+    bottom: rect.bottom + window.scrollY,
+    width: rect.width,
+    height: rect.height,
+  };
+}
+
+/**
+ * Indique si la cible est un lien dans une phrase ou un bloc de texte :
+ * sa taille est alors contrainte par la hauteur de ligne (exception « en ligne »)
+ * @param {Element} el - La cible
+ * @returns {boolean}
+ */
+function isInlineTarget(el) {
+  if (window.getComputedStyle(el).display !== "inline") {
+    return false;
+  }
+
+  let block = el.parentElement;
+  while (
+    block &&
+    block !== document.body &&
+    window.getComputedStyle(block).display === "inline"
+  ) {
+    block = block.parentElement;
+  }
+
+  const normalize = (text) => text.replace(/\s+/g, " ").trim();
+  return (
+    normalize((block || document.body).textContent).length >
+    normalize(el.textContent).length
+  );
+}
+
+// Taille par défaut des contrôles natifs, mesurée une fois par type
+const userAgentTargetSizes = new Map();
+
+/**
+ * Mesure la taille par défaut d'un type d'input dans une shadow root isolée des
+ * styles de la page
+ * @param {string} type - Type d'input
+ * @returns {{width: number, height: number}}
+ */
+function getUserAgentTargetSize(type) {
+  if (!userAgentTargetSizes.has(type)) {
+    const host = document.createElement("div");
+    host.setAttribute("aria-hidden", "true");
+    host.style.cssText = "position: absolute; top: 0; left: 0; opacity: 0;";
+    const probe = document.createElement("input");
+    probe.type = type;
+    host.attachShadow({ mode: "open" }).appendChild(probe);
+    document.body.appendChild(host);
+
+    const rect = probe.getBoundingClientRect();
+    userAgentTargetSizes.set(type, { width: rect.width, height: rect.height });
+    host.remove();
+  }
+  return userAgentTargetSizes.get(type);
+}
+
+/**
+ * Indique si la taille de la cible est celle du navigateur, non modifiée par l'auteur
+ * (case à cocher ou bouton radio natif non stylé) : exception des critères 2.5.8 et 2.5.5
+ * @param {Element} el - La cible
+ * @returns {boolean}
+ */
+function isUserAgentSizedTarget(el) {
+  if (
+    el.tagName.toLowerCase() !== "input" ||
+    !USER_AGENT_SIZED_INPUT_TYPES.includes(el.type) ||
+    window.getComputedStyle(el).appearance === "none"
+  ) {
+    return false;
+  }
+
+  const rect = el.getBoundingClientRect();
+  const defaultSize = getUserAgentTargetSize(el.type);
+  return (
+    Math.abs(rect.width - defaultSize.width) < 0.5 &&
+    Math.abs(rect.height - defaultSize.height) < 0.5
+  );
+}
+
+/**
+ * Distance entre un point et le bord le plus proche d'une boîte (0 si le point est dedans)
+ * @returns {number}
+ */
+function getDistanceToBox(x, y, box) {
+  const dx = Math.max(box.left - x, 0, x - box.right);
+  const dy = Math.max(box.top - y, 0, y - box.bottom);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Répartit les cibles dans une grille selon les cellules couvertes par leur boîte,
+ * pour ne comparer une cible qu'à ses voisines
+ * @param {Array<Object>} targets - Cibles mesurées
+ * @returns {Map<string, Array<Object>>} - "colonne,ligne" → cibles
+ */
+function buildTargetGrid(targets) {
+  const grid = new Map();
+  const cell = (value) => Math.floor(value / TARGET_GRID_CELL_SIZE);
+
+  targets.forEach((target) => {
+    const { left, top, right, bottom } = target.box;
+    for (let x = cell(left); x <= cell(right); x++) {
+      for (let y = cell(top); y <= cell(bottom); y++) {
+        const key = `${x},${y}`;
+        if (!grid.has(key)) {
+          grid.set(key, []);
         }
+        grid.get(key).push(target);
+      }
+    }
+  });
+
+  return grid;
+}
+
+/**
+ * Cibles dont la boîte est à moins d'une cellule du centre d'une cible (les seules
+ * qui peuvent croiser son cercle de 24 px ou en être assez proches)
+ * @param {Object} target - Cible mesurée
+ * @param {Map<string, Array<Object>>} grid - Grille (buildTargetGrid)
+ * @returns {Array<Object>}
+ */
+function getNearbyTargets(target, grid) {
+  const nearby = new Set();
+  const cellX = Math.floor(target.centerX / TARGET_GRID_CELL_SIZE);
+  const cellY = Math.floor(target.centerY / TARGET_GRID_CELL_SIZE);
+
+  for (let x = cellX - 1; x <= cellX + 1; x++) {
+    for (let y = cellY - 1; y <= cellY + 1; y++) {
+      (grid.get(`${x},${y}`) || []).forEach((other) => nearby.add(other));
+    }
+  }
+  return Array.from(nearby);
+}
+
+/**
+ * Exception d'espacement (2.5.8) : le cercle de 24 px centré sur une cible trop
+ * petite ne doit croiser ni une autre cible, ni le cercle d'une autre cible trop petite
+ * @param {Object} target - Cible mesurée ({el, box, centerX, centerY, undersized})
+ * @param {Map<string, Array<Object>>} grid - Grille de toutes les cibles, exemptées comprises (buildTargetGrid)
+ * @returns {Object|undefined} - Première cible en conflit, undefined si l'espacement suffit
+ */
+function findSpacingConflict(target, grid) {
+  const radius = TARGET_SIZE_MINIMUM / 2;
+
+  return getNearbyTargets(target, grid).find(
+    (other) =>
+      other !== target &&
+      // Cibles imbriquées (lien contenant un bouton...) : même zone cliquable
+      !other.el.contains(target.el) &&
+      !target.el.contains(other.el) &&
+      (getDistanceToBox(target.centerX, target.centerY, other.box) < radius ||
+        (other.undersized &&
+          Math.hypot(
+            other.centerX - target.centerX,
+            other.centerY - target.centerY,
+          ) < TARGET_SIZE_MINIMUM)),
+  );
+}
+
+/**
+ * Détermine le problème de taille d'une cible, s'il y en a un
+ * @param {Object} target - Cible mesurée
+ * @param {Map<string, Array<Object>>} grid - Grille des cibles (buildTargetGrid)
+ * @param {string} level - Niveau de conformité visé
+ * @returns {Object|null} - {issue, explanation, severity, dimensions, conflict?} ou null
+ */
+function getTargetSizeProblem(target, grid, level) {
+  const { width, height } = target.box;
+  const dimensions = `${Math.round(width)}×${Math.round(height)} px`;
+
+  const conflict = target.undersized && findSpacingConflict(target, grid);
+  if (conflict) {
+    return {
+      issue: `Cible trop petite et trop proche d'une autre (${dimensions})`,
+      explanation: `La cible mesure moins de ${TARGET_SIZE_MINIMUM}×${TARGET_SIZE_MINIMUM} px et son cercle de ${TARGET_SIZE_MINIMUM} px de diamètre chevauche une cible voisine : risque d'activer le mauvais contrôle, notamment au doigt ou en cas de tremblements (critère 2.5.8).`,
+      severity: "moyenne",
+      dimensions: dimensions,
+      conflict: conflict,
+    };
+  }
+
+  if (
+    isLevelRequired("AAA", level) &&
+    Math.min(width, height) < TARGET_SIZE_ENHANCED
+  ) {
+    return {
+      issue: `Cible inférieure à ${TARGET_SIZE_ENHANCED}×${TARGET_SIZE_ENHANCED} px (${dimensions})`,
+      explanation: `Au niveau AAA, chaque cible doit mesurer au moins ${TARGET_SIZE_ENHANCED}×${TARGET_SIZE_ENHANCED} px, sauf lien dans un texte ou case à cocher et bouton radio natifs non redimensionnés (critère 2.5.5).`,
+      severity: "faible",
+      dimensions: dimensions,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Dessine le cercle de 24 px de chaque cible trop petite pour visualiser les chevauchements
+ * @param {Array<Object>} targets - Cibles trop petites ({centerX, centerY, failed})
+ */
+function drawTargetSizeOverlay(targets) {
+  const config = MARKER_STYLES.targetSize;
+  const root = document.documentElement;
+
+  // Calque fixe rattaché à <html> : la marge, la position ou la transformation
+  // de <body> ne décalent pas les cercles
+  const overlay = document.createElement("div");
+  overlay.id = config.overlayId;
+  overlay.setAttribute("data-badge-for", config.overlayId);
+  overlay.setAttribute("aria-hidden", "true");
+  Object.assign(overlay.style, {
+    position: "fixed",
+    inset: "0",
+    overflow: "hidden",
+    pointerEvents: "none",
+    zIndex: "2147483646",
+  });
+
+  // Les cercles sont placés en coordonnées de page : le dessin est décalé du
+  // défilement pour rester en coordonnées de la fenêtre
+  const svg = document.createElementNS(SVG_NAMESPACE, "svg");
+  svg.setAttribute("width", root.scrollWidth);
+  svg.setAttribute("height", root.scrollHeight);
+  svg.style.position = "absolute";
+  svg.style.top = "0";
+  svg.style.left = "0";
+
+  targets.forEach((target) => {
+    const color = target.failed ? "#dc2626" : config.color;
+    const circle = document.createElementNS(SVG_NAMESPACE, "circle");
+    circle.setAttribute("cx", target.centerX);
+    circle.setAttribute("cy", target.centerY);
+    circle.setAttribute("r", TARGET_SIZE_MINIMUM / 2);
+    circle.setAttribute("fill", color);
+    circle.setAttribute("fill-opacity", "0.15");
+    circle.setAttribute("stroke", color);
+    circle.setAttribute("stroke-width", "1.5");
+    svg.appendChild(circle);
+  });
+
+  overlay.appendChild(svg);
+  root.appendChild(overlay);
 
-        input.parentElement.appendChild(badge);
+  const followScroll = () => {
+    // Superposition retirée avec les marqueurs
+    if (!overlay.isConnected) {
+      window.removeEventListener("scroll", followScroll);
+      return;
+    }
+    svg.style.transform = `translate(${-window.scrollX}px, ${-window.scrollY}px)`;
+  };
+  window.addEventListener("scroll", followScroll, { passive: true });
+  followScroll();
+}
+
+/**
+ * Vérifie la taille des cibles de pointeur (liens, boutons, champs, widgets ARIA) :
+ * 24×24 px minimum ou espacement suffisant (2.5.8), 44×44 px au niveau AAA (2.5.5).
+ * Les boutons ne contenant qu'une icône sont les cas les plus fréquents.
+ * @param {Object} options - Options d'audit normalisées ({ level })
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkTargetSize(options, task) {
+  if (!isLevelRequired("AA", options.level)) {
+    return { total: 0, issues: [], passed: 0 };
+  }
+
+  // Toutes les boîtes sont relevées d'abord : la page peut défiler pendant l'audit.
+  // Les cibles exemptées (lien en ligne, contrôle natif) restent des voisines à éviter.
+  const allTargets = querySelectorAllDeep(POINTER_TARGET_SELECTOR)
+    .filter((el) => !isAuditMarker(el) && !el.disabled && !isVisuallyHidden(el))
+    .map((el) => {
+      const box = getTargetBox(el);
+      const exempt = isInlineTarget(el) || isUserAgentSizedTarget(el);
+      return {
+        el: el,
+        box: box,
+        centerX: box.left + box.width / 2,
+        centerY: box.top + box.height / 2,
+        exempt: exempt,
+        undersized:
+          !exempt &&
+          (box.width < TARGET_SIZE_MINIMUM || box.height < TARGET_SIZE_MINIMUM),
+        failed: false,
+      };
+    });
+  const targets = allTargets.filter((target) => !target.exempt);
+
+  const grid = buildTargetGrid(allTargets);
+  const issues = [];
+  let failed = 0;
+
+  await processInIdleChunks(
+    targets,
+    (target) => {
+      const problem = getTargetSizeProblem(target, grid, options.level);
+      if (!problem) {
+        return;
       }
 
-      issues.push({
-        element: `${input.tagName} ${index + 1}`,
-        issue: "Champ de formulaire sans étiquette",
-        explanation:
-          "Sans label ou aria-label, les utilisateurs non-voyants ne savent pas quel type d'information saisir dans ce champ.",
-        severity: "élevée",
-        type: input.type || "text",
-        formId: formId,
-        htmlSnippet: generateHTMLSnippet(input),
-      });
+      const targetSizeId = `accessibility-target-size-${failed}`;
+      markElement("targetSize", target.el, targetSizeId, "⚠️ TAILLE");
+      // Cercle en rouge sur la superposition en cas de chevauchement
+      target.failed = Boolean(problem.conflict);
+      failed++;
+
+      issues.push({
+        element: target.el.tagName.toLowerCase(),
+        issue: problem.issue,
+        explanation: problem.explanation,
+        severity: problem.severity,
+        dimensions: problem.dimensions,
+        targetSizeId: targetSizeId,
+        htmlSnippet: generateHTMLSnippet(target.el),
+      });
+    },
+    task,
+  );
+
+  drawTargetSizeOverlay(targets.filter((target) => target.undersized));
+
+  return {
+    total: targets.length,
+    issues: issues,
+    passed: targets.length - failed,
+  };
+}
+
+// ============= CONTRASTE NON TEXTUEL (WCAG 1.4.11) =============
+
+/**
+ * Exécute une mesure pendant que l'élément a le focus, puis restaure le focus précédent
+ * @param {HTMLElement} el - L'élément à focaliser
+ * @param {Function} callback - Mesure à effectuer (reçoit l'élément)
+ * @returns {*} - Valeur retournée par le callback
+ */
+function withFocus(el, callback) {
+  const previousFocus = document.activeElement;
+
+  el.focus({ preventScroll: true });
+  try {
+    return callback(el);
+  } finally {
+    if (previousFocus && previousFocus !== document.body) {
+      previousFocus.focus({ preventScroll: true });
+    } else {
+      el.blur();
+    }
+  }
+}
+
+/**
+ * Couleur opaque du fond sur lequel un élément est posé (sans son propre fond)
+ * @param {HTMLElement} el - L'élément
+ * @returns {Object|null} - Couleur {r, g, b, a} ou null si non mesurable (image, dégradé)
+ */
+function getAdjacentBackground(el) {
+  if (!el.parentElement) {
+    return null;
+  }
+
+  const layers = getBackgroundLayers(el.parentElement);
+  if (
+    layers.some((layer) => layer.hasImage || layer.gradientStops.length > 0)
+  ) {
+    return null;
+  }
+
+  return paintLayers(layers, 0, [CANVAS_DEFAULT_COLOR], null)[0];
+}
+
+/**
+ * Retourne les indicateurs visuels d'un composant (bordures visibles et fond propre)
+ * @param {HTMLElement} el - Le composant
+ * @param {CSSStyleDeclaration} style - Style calculé du composant
+ * @returns {Array<Object>|null} - [{label, color}] ou null si non mesurable
+ */
+function getComponentIndicators(el, style) {
+  const layers = getBackgroundLayers(el, style);
+  const ownLayer = layers[layers.length - 1];
+  if (ownLayer.hasImage || ownLayer.gradientStops.length > 0) {
+    return null;
+  }
+
+  const fill = paintLayers(layers, 0, [CANVAS_DEFAULT_COLOR], null)[0];
+  const indicators = ownLayer.bg ? [{ label: "fond", color: fill }] : [];
+
+  BORDER_SIDES.forEach((side) => {
+    const borderColor = parseColor(style[`border${side}Color`]);
+    const isVisible =
+      !["none", "hidden"].includes(style[`border${side}Style`]) &&
+      parseFloat(style[`border${side}Width`]) > 0 &&
+      borderColor &&
+      borderColor.a > 0;
+
+    if (isVisible) {
+      indicators.push({
+        label: "bordure",
+        color: blendColors(borderColor, fill),
+      });
+    }
+  });
+
+  return indicators;
+}
+
+/**
+ * Retourne les couleurs de remplissage et de contour d'une icône SVG
+ * @param {SVGElement} svg - L'icône
+ * @param {Object} backdrop - Fond opaque de l'icône
+ * @returns {Array<Object>} - [{label, color}] opaques
+ */
+function getSVGIndicators(svg, backdrop) {
+  const shapes = [svg, ...svg.querySelectorAll(SVG_SHAPE_SELECTOR)];
+
+  return shapes.flatMap((shape) => {
+    const style = window.getComputedStyle(shape);
+    return [
+      { label: "remplissage", value: style.fill },
+      { label: "contour", value: style.stroke },
+    ]
+      .map((paint) => ({ label: paint.label, color: parseColor(paint.value) }))
+      .filter((paint) => paint.color && paint.color.a > 0)
+      .map((paint) => ({
+        label: paint.label,
+        color: blendColors(paint.color, backdrop),
+      }));
+  });
+}
+
+/**
+ * Retourne l'indicateur le plus contrasté par rapport au fond adjacent
+ * @param {Array<Object>} indicators - [{label, color}]
+ * @param {Object} adjacent - Couleur opaque du fond adjacent
+ * @returns {Object|null} - {label, color, ratio} ou null si aucun indicateur
+ */
+function getBestIndicator(indicators, adjacent) {
+  return indicators.reduce((best, indicator) => {
+    const ratio = calculateContrastRatioFromRGB(indicator.color, adjacent);
+    return !best || ratio > best.ratio ? { ...indicator, ratio } : best;
+  }, null);
+}
+
+/**
+ * Mesure l'anneau de focus (outline) d'un composant par rapport au fond adjacent
+ * @param {HTMLElement} el - Le composant
+ * @param {Object} adjacent - Couleur opaque du fond adjacent
+ * @returns {Object|null} - {label, color, ratio} ou null sans outline au focus
+ */
+function measureFocusRing(el, adjacent) {
+  return withFocus(el, () => {
+    const style = window.getComputedStyle(el);
+    const outlineColor = parseColor(style.outlineColor);
 
-      issueIndex++;
+    if (
+      style.outlineStyle === "none" ||
+      !(parseFloat(style.outlineWidth) > 0) ||
+      !outlineColor ||
+      outlineColor.a === 0
+    ) {
+      return null;
     }
+
+    const color = blendColors(outlineColor, adjacent);
+    return {
+      label: "anneau de focus",
+      color: color,
+      ratio: calculateContrastRatioFromRGB(color, adjacent),
+    };
   });
+}
 
+/**
+ * Crée une issue de contraste non textuel
+ * @param {HTMLElement} el - L'élément concerné
+ * @param {number} index - Index de l'élément parmi ceux de son type
+ * @param {Object} indicator - {label, color, ratio} mesuré
+ * @param {Object} adjacent - Couleur du fond adjacent
+ * @param {string} nonTextId - Identifiant de navigation
+ * @param {Object} texts - {issue, explanation}
+ * @returns {Object} - Issue
+ */
+function createNonTextIssue(el, index, indicator, adjacent, nonTextId, texts) {
   return {
-    total: inputs.length,
-    issues: issues,
-    passed: inputs.length - issues.length,
+    element: `${el.tagName.toLowerCase()} ${index + 1}`,
+    issue: `${texts.issue} (${indicator.ratio.toFixed(2)}:1 < ${NON_TEXT_CONTRAST_RATIO}:1)`,
+    explanation: texts.explanation,
+    severity: "moyenne",
+    indicator: indicator.label,
+    ratio: indicator.ratio.toFixed(2),
+    required: NON_TEXT_CONTRAST_RATIO,
+    indicatorColor: formatRGB(indicator.color),
+    adjacentColor: formatRGB(adjacent),
+    nonTextId: nonTextId,
+    htmlSnippet: generateHTMLSnippet(el),
   };
 }
 
-// Fonction pour injecter les filtres SVG de daltonisme dans la page
-function injectColorblindFilters() {
-  // Vérifier si les filtres existent déjà
-  if (document.getElementById("colorblind-filters")) {
-    return;
+/**
+ * Vérifie un composant d'interface (champ ou bouton) : délimitation et anneau de focus
+ * @param {HTMLElement} el - Le composant
+ * @param {boolean} isFormControl - true pour un champ de formulaire, false pour un bouton
+ * @returns {Object|null} - {adjacent, failures: [{indicator, texts}]} ou null si non audité
+ */
+function analyzeComponentContrast(el, isFormControl) {
+  const style = window.getComputedStyle(el);
+  if (el.disabled || style.display === "none") {
+    return null;
   }
 
-  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-  svg.id = "colorblind-filters";
-  svg.style.position = "absolute";
-  svg.style.width = "0";
-  svg.style.height = "0";
-  svg.innerHTML = `
-    <defs>
-      <!-- Protanopie (perte du rouge) -->
-      <filter id="protanopia">
-        <feColorMatrix type="matrix" values="
-          0.567, 0.433, 0,     0, 0
-          0.558, 0.442, 0,     0, 0
-          0,     0.242, 0.758, 0, 0
-          0,     0,     0,     1, 0
-        "/>
-      </filter>
-      
-      <!-- Deutéranopie (perte du vert) -->
-      <filter id="deuteranopia">
-        <feColorMatrix type="matrix" values="
-          0.625, 0.375, 0,   0, 0
-          0.3,   0.7,   0,   0, 0
-          0,     0.3,   0.7, 0, 0
-          0,     0,     0,   1, 0
-        "/>
-      </filter>
-    </defs>
-  `;
-  document.body.appendChild(svg);
-}
-
-// Fonction pour appliquer un filtre de daltonisme
-function applyColorblindFilter(filterType) {
-  injectColorblindFilters();
-
-  if (filterType === "normal") {
-    document.body.style.filter = "";
-  } else if (filterType === "protanopia") {
-    document.body.style.filter = "url(#protanopia)";
-  } else if (filterType === "deuteranopia") {
-    document.body.style.filter = "url(#deuteranopia)";
+  // Rendu natif du navigateur : exempté par le critère
+  if (
+    isFormControl &&
+    NATIVE_APPEARANCE_INPUT_TYPES.includes(el.type) &&
+    style.appearance !== "none"
+  ) {
+    return null;
   }
-}
 
-// Vérifier l'attribut lang
-function checkLanguage() {
-  const issues = [];
-  const htmlElement = document.querySelector("html");
+  const adjacent = getAdjacentBackground(el);
+  const indicators = adjacent && getComponentIndicators(el, style);
+  if (!indicators) {
+    return null;
+  }
 
-  if (!htmlElement.hasAttribute("lang")) {
-    issues.push({
-      element: "HTML",
-      issue: "Attribut lang manquant sur l'élément &lt;html&gt;",
-      explanation:
-        "L'attribut lang indique la langue du contenu, permettant aux lecteurs d'écran d'utiliser la bonne prononciation.",
-      severity: "élevée",
-    });
+  // Un bouton sans fond ni bordure est identifié par son texte seul
+  if (!isFormControl && indicators.length === 0) {
+    return null;
   }
 
-  return {
-    total: 1,
-    issues: issues,
-    passed: 1 - issues.length,
+  const failures = [];
+  const best = getBestIndicator(indicators, adjacent) || {
+    label: "aucun",
+    color: adjacent,
+    ratio: 1,
   };
-}
-
-// Vérifier les landmarks ARIA
-function checkLandmarks() {
-  const issues = [];
 
-  const hasMain = document.querySelector('main, [role="main"]');
-  const hasNav = document.querySelector('nav, [role="navigation"]');
-
-  if (!hasMain) {
-    issues.push({
-      element: "Structure",
-      issue: 'Aucun élément <main> ou role="main" trouvé',
-      explanation:
-        "L'élément &lt;main&gt; identifie le contenu principal et permet aux utilisateurs de lecteurs d'écran d'y accéder directement.",
-      severity: "moyenne",
+  if (best.ratio < NON_TEXT_CONTRAST_RATIO) {
+    failures.push({
+      indicator: best,
+      texts: {
+        issue: isFormControl
+          ? "Champ peu visible : bordure ou fond trop peu contrasté"
+          : "Bouton peu visible : bordure ou fond trop peu contrasté",
+        explanation:
+          "Les utilisateurs malvoyants doivent pouvoir repérer les limites d'un composant : sa bordure ou son fond doit atteindre un contraste de 3:1 avec la couleur adjacente.",
+      },
     });
   }
 
-  if (!hasNav) {
-    issues.push({
-      element: "Structure",
-      issue: 'Aucun élément <nav> ou role="navigation" trouvé',
-      explanation:
-        "L'élément &lt;nav&gt; aide les utilisateurs de technologies d'assistance à identifier et accéder rapidement à la navigation du site.",
-      severity: "faible",
+  const focusRing = measureFocusRing(el, adjacent);
+  if (focusRing && focusRing.ratio < NON_TEXT_CONTRAST_RATIO) {
+    failures.push({
+      indicator: focusRing,
+      texts: {
+        issue: "Anneau de focus peu contrasté",
+        explanation:
+          "Un indicateur de focus trop pâle empêche les utilisateurs du clavier de savoir quel élément est actif : il doit atteindre 3:1 avec la couleur adjacente.",
+      },
     });
   }
 
-  return {
-    total: 2,
-    issues: issues,
-    passed: 2 - issues.length,
-  };
+  return { adjacent, failures };
 }
 
-// Vérifier les boutons
-function checkButtons() {
-  const buttons = document.querySelectorAll("button");
-  const issues = [];
-  let issueIndex = 0;
+/**
+ * Vérifie une icône SVG autonome (hors bouton ou lien)
+ * @param {SVGElement} svg - L'icône
+ * @returns {Object|null} - {adjacent, failures} ou null si non audité
+ */
+function analyzeSVGContrast(svg) {
+  const layers = getBackgroundLayers(svg);
+  if (
+    layers.some((layer) => layer.hasImage || layer.gradientStops.length > 0)
+  ) {
+    return null;
+  }
 
-  // Inject CSS styles for badges de boutons (une seule fois)
-  if (!document.getElementById("accessibility-button-styles")) {
-    const style = document.createElement("style");
-    style.id = "accessibility-button-styles";
-    style.textContent = `
-      .accessibility-badge-button {
-        position: absolute;
-        top: -8px;
-        left: 0;
-        background: #10b981;
-        color: white;
-        padding: 4px 8px;
-        border-radius: 4px;
-        font-size: 10px;
-        font-weight: bold;
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-        z-index: 999999;
-        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-        pointer-events: none;
-        animation: pulse-red 2s infinite;
-        white-space: nowrap;
-      }
-    `;
-    document.head.appendChild(style);
+  const adjacent = paintLayers(layers, 0, [CANVAS_DEFAULT_COLOR], null)[0];
+  const best = getBestIndicator(getSVGIndicators(svg, adjacent), adjacent);
+  if (!best) {
+    return null;
   }
 
-  buttons.forEach((button, index) => {
-    const text = button.textContent.trim();
-    const ariaLabel = button.getAttribute("aria-label");
+  const failures =
+    best.ratio < NON_TEXT_CONTRAST_RATIO
+      ? [
+          {
+            indicator: best,
+            texts: {
+              issue: "Icône SVG trop peu contrastée",
+              explanation:
+                "Une icône porteuse de sens doit atteindre un contraste de 3:1 avec son fond pour rester perceptible par les utilisateurs malvoyants.",
+            },
+          },
+        ]
+      : [];
+
+  return { adjacent, failures };
+}
 
-    if (!text && !ariaLabel) {
-      // Add unique ID for navigation
-      const buttonId = `accessibility-button-${issueIndex}`;
-      button.setAttribute("data-accessibility-id", buttonId);
+/**
+ * Vérifie le contraste non textuel (critère 1.4.11) : champs de formulaire,
+ * boutons, anneaux de focus et icônes SVG autonomes
+ * @param {Object} options - Options d'audit normalisées ({ level })
+ * @param {Object} task - Tâche d'audit (annulation et progression)
+ * @returns {Promise<Object>} - Résultats de la catégorie
+ */
+async function checkNonTextContrast(options, task) {
+  // Le contraste non textuel (1.4.11) est un critère de niveau AA
+  if (!isLevelRequired("AA", options.level)) {
+    return { total: 0, issues: [], passed: 0 };
+  }
 
-      // Add visual style (bordure verte)
-      button.style.outline = "4px solid #10b981";
-      button.style.outlineOffset = "2px";
-      button.setAttribute("data-accessibility-issue", "button-no-text");
+  // Les styles ont pu changer depuis la dernière analyse
+  backgroundLayersCache = new WeakMap();
 
-      // Store l'élément pour le filtrage
-      markedElements.buttons.push(button);
+  // Icônes SVG autonomes : celles d'un bouton ou d'un lien sont évaluées avec lui
+  const svgs = querySelectorAllDeep('svg:not([aria-hidden="true"])').filter(
+    (svg) => !svg.parentElement || !svg.parentElement.closest("svg, button, a"),
+  );
 
-      // Créer et ajouter un badge visuel vert
-      if (
-        !button.parentElement.querySelector(
-          `.accessibility-badge-button[data-badge-for="${buttonId}"]`,
-        )
-      ) {
-        const badge = document.createElement("div");
-        badge.className = "accessibility-badge-button";
-        badge.textContent = "⚠️ TEXTE MANQUANT";
-        badge.setAttribute("data-badge-for", buttonId);
-
-        // Position badge
-        const originalPosition = window.getComputedStyle(
-          button.parentElement,
-        ).position;
-        if (originalPosition === "static") {
-          button.parentElement.style.position = "relative";
-          button.parentElement.setAttribute("data-position-changed", "true");
-        }
+  const targets = [
+    ...querySelectorAllDeep(FORM_CONTROL_SELECTOR).map((el, position) => ({
+      el,
+      position,
+      analyze: () => analyzeComponentContrast(el, true),
+    })),
+    ...querySelectorAllDeep("button").map((el, position) => ({
+      el,
+      position,
+      analyze: () => analyzeComponentContrast(el, false),
+    })),
+    ...svgs.map((el, position) => ({
+      el,
+      position,
+      analyze: () => analyzeSVGContrast(el),
+    })),
+  ];
 
-        button.parentElement.appendChild(badge);
+  const issues = [];
+  let checked = 0;
+  let failed = 0;
+
+  await processInIdleChunks(
+    targets,
+    ({ el, position, analyze }) => {
+      const analysis = analyze();
+      if (!analysis) {
+        return;
       }
+      checked++;
 
-      issues.push({
-        element: `Bouton ${index + 1}`,
-        issue: "Bouton sans texte descriptif",
-        explanation:
-          "Un bouton sans texte ou aria-label est inutilisable pour les utilisateurs de lecteurs d'écran qui ne comprennent pas son action.",
-        severity: "élevée",
-        buttonId: buttonId,
-        htmlSnippet: generateHTMLSnippet(button),
-      });
+      if (analysis.failures.length === 0) {
+        return;
+      }
 
-      issueIndex++;
-    }
-  });
+      const nonTextId = `accessibility-non-text-${failed}`;
+      deferMarker(task, "nonText", el, nonTextId, "⚠️ CONTRASTE NON TEXTUEL");
+      failed++;
+
+      analysis.failures.forEach((failure) => {
+        issues.push(
+          createNonTextIssue(
+            el,
+            position,
+            failure.indicator,
+            analysis.adjacent,
+            nonTextId,
+            failure.texts,
+          ),
+        );
+      });
+    },
+    task,
+  );
 
   return {
-    total: buttons.length,
+    total: checked,
     issues: issues,
-    passed: buttons.length - issues.length,
+    passed: checked - failed,
   };
 }
 
 // Fonction pour nettoyer tous les styles visuels d'accessibilité
 function clearVisualFeedback() {
-  const markedImages = document.querySelectorAll(
-    '[data-accessibility-issue="missing-alt"]',
+  const markedImages = querySelectorAllDeep(
+    '[data-accessibility-issue="image-alt"]',
   );
   markedImages.forEach((img) => {
     img.style.border = "";
@@ -1480,20 +7575,20 @@ function clearVisualFeedback() {
     img.style.animation = "";
 
     // Remove badge
-    const badge = img.parentElement.querySelector(".accessibility-badge");
+    const badge = img.parentElement?.querySelector(".accessibility-badge");
     if (badge) {
       badge.remove();
     }
 
     // Restore parent position si elle a été changée
-    if (img.parentElement.getAttribute("data-position-changed") === "true") {
+    if (img.parentElement?.getAttribute("data-position-changed") === "true") {
       img.parentElement.style.position = "";
       img.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Nettoyer les liens marqués
-  const markedLinks = document.querySelectorAll(
+  const markedLinks = querySelectorAllDeep(
     '[data-accessibility-issue="missing-text"], [data-accessibility-issue="bad-text"]',
   );
   markedLinks.forEach((link) => {
@@ -1501,20 +7596,22 @@ function clearVisualFeedback() {
     link.style.outlineOffset = "";
 
     // Remove badge du lien
-    const badge = link.parentElement.querySelector(".accessibility-badge-link");
+    const badge = link.parentElement?.querySelector(
+      ".accessibility-badge-link",
+    );
     if (badge) {
       badge.remove();
     }
 
     // Restore parent position si elle a été changée
-    if (link.parentElement.getAttribute("data-position-changed") === "true") {
+    if (link.parentElement?.getAttribute("data-position-changed") === "true") {
       link.parentElement.style.position = "";
       link.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Nettoyer les SVG marqués
-  const markedSVGs = document.querySelectorAll(
+  const markedSVGs = querySelectorAllDeep(
     '[data-accessibility-issue="svg-no-desc"]',
   );
   markedSVGs.forEach((svg) => {
@@ -1523,28 +7620,28 @@ function clearVisualFeedback() {
     svg.style.boxShadow = "";
 
     // Remove badge du SVG
-    const badge = svg.parentElement.querySelector(".accessibility-badge-svg");
+    const badge = svg.parentElement?.querySelector(".accessibility-badge-svg");
     if (badge) {
       badge.remove();
     }
 
     // Restore parent position si elle a été changée
-    if (svg.parentElement.getAttribute("data-position-changed") === "true") {
+    if (svg.parentElement?.getAttribute("data-position-changed") === "true") {
       svg.parentElement.style.position = "";
       svg.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Nettoyer les titres marqués
-  const markedHeadings = document.querySelectorAll(
-    '[data-accessibility-issue="heading-skip"], [data-accessibility-issue="heading-empty"]',
+  const markedHeadings = querySelectorAllDeep(
+    '[data-accessibility-issue^="heading-"], [data-accessibility-issue="section-no-heading"]',
   );
   markedHeadings.forEach((heading) => {
     heading.style.outline = "";
     heading.style.outlineOffset = "";
 
     // Remove badge du titre
-    const badge = heading.parentElement.querySelector(
+    const badge = heading.parentElement?.querySelector(
       ".accessibility-badge-heading",
     );
     if (badge) {
@@ -1553,7 +7650,7 @@ function clearVisualFeedback() {
 
     // Restore parent position si elle a été changée
     if (
-      heading.parentElement.getAttribute("data-position-changed") === "true"
+      heading.parentElement?.getAttribute("data-position-changed") === "true"
     ) {
       heading.parentElement.style.position = "";
       heading.parentElement.removeAttribute("data-position-changed");
@@ -1561,28 +7658,30 @@ function clearVisualFeedback() {
   });
 
   // Nettoyer les formulaires marqués
-  const markedForms = document.querySelectorAll(
-    '[data-accessibility-issue="form-no-label"]',
+  const markedForms = querySelectorAllDeep(
+    '[data-accessibility-issue="form-issue"]',
   );
   markedForms.forEach((form) => {
     form.style.outline = "";
     form.style.outlineOffset = "";
 
     // Remove badge du formulaire
-    const badge = form.parentElement.querySelector(".accessibility-badge-form");
+    const badge = form.parentElement?.querySelector(
+      ".accessibility-badge-form",
+    );
     if (badge) {
       badge.remove();
     }
 
     // Restore parent position si elle a été changée
-    if (form.parentElement.getAttribute("data-position-changed") === "true") {
+    if (form.parentElement?.getAttribute("data-position-changed") === "true") {
       form.parentElement.style.position = "";
       form.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Nettoyer les boutons marqués
-  const markedButtons = document.querySelectorAll(
+  const markedButtons = querySelectorAllDeep(
     '[data-accessibility-issue="button-no-text"]',
   );
   markedButtons.forEach((button) => {
@@ -1590,7 +7689,7 @@ function clearVisualFeedback() {
     button.style.outlineOffset = "";
 
     // Remove badge du bouton
-    const badge = button.parentElement.querySelector(
+    const badge = button.parentElement?.querySelector(
       ".accessibility-badge-button",
     );
     if (badge) {
@@ -1598,14 +7697,16 @@ function clearVisualFeedback() {
     }
 
     // Restore parent position si elle a été changée
-    if (button.parentElement.getAttribute("data-position-changed") === "true") {
+    if (
+      button.parentElement?.getAttribute("data-position-changed") === "true"
+    ) {
       button.parentElement.style.position = "";
       button.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Nettoyer les éléments avec problème de contraste
-  const markedContrast = document.querySelectorAll(
+  const markedContrast = querySelectorAllDeep(
     '[data-accessibility-issue="low-contrast"]',
   );
   markedContrast.forEach((el) => {
@@ -1614,7 +7715,7 @@ function clearVisualFeedback() {
     el.style.boxShadow = "";
 
     // Remove badge du contraste
-    const badge = el.parentElement.querySelector(
+    const badge = el.parentElement?.querySelector(
       ".accessibility-badge-contrast",
     );
     if (badge) {
@@ -1622,36 +7723,34 @@ function clearVisualFeedback() {
     }
 
     // Restore parent position si elle a été changée
-    if (el.parentElement.getAttribute("data-position-changed") === "true") {
+    if (el.parentElement?.getAttribute("data-position-changed") === "true") {
       el.parentElement.style.position = "";
       el.parentElement.removeAttribute("data-position-changed");
     }
   });
 
   // Retirer tous les badges orphelins (au cas où)
-  document.querySelectorAll(".accessibility-badge").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge").forEach((badge) => {
     badge.remove();
   });
-  document.querySelectorAll(".accessibility-badge-link").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge-link").forEach((badge) => {
     badge.remove();
   });
-  document.querySelectorAll(".accessibility-badge-svg").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge-svg").forEach((badge) => {
     badge.remove();
   });
-  document.querySelectorAll(".accessibility-badge-heading").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge-heading").forEach((badge) => {
     badge.remove();
   });
-  document.querySelectorAll(".accessibility-badge-form").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge-form").forEach((badge) => {
     badge.remove();
   });
-  document.querySelectorAll(".accessibility-badge-button").forEach((badge) => {
+  querySelectorAllDeep(".accessibility-badge-button").forEach((badge) => {
+    badge.remove();
+  });
+  querySelectorAllDeep(".accessibility-badge-contrast").forEach((badge) => {
     badge.remove();
   });
-  document
-    .querySelectorAll(".accessibility-badge-contrast")
-    .forEach((badge) => {
-      badge.remove();
-    });
 
   // Retirer les styles d'animation
   const animationStyles = document.getElementById(
@@ -1668,13 +7767,24 @@ function clearVisualFeedback() {
   if (contrastBadgeStyle) {
     contrastBadgeStyle.remove();
   }
+
+  // Catégories utilisant les marqueurs génériques
+  Object.keys(MARKER_STYLES).forEach(clearMarkers);
+
+  // Styles copiés dans les shadow roots
+  querySelectorAllDeep(`[${SHADOW_STYLE_ATTRIBUTE}]`).forEach((style) =>
+    style.remove(),
+  );
+
+  // Identifiants du plan de la page
+  querySelectorAllDeep(`[${STRUCTURE_ID_ATTRIBUTE}]`).forEach((el) =>
+    el.removeAttribute(STRUCTURE_ID_ATTRIBUTE),
+  );
 }
 
 // Fonction pour scroller vers une image spécifique
 function scrollToImage(imageId) {
-  const element = document.querySelector(
-    `[data-accessibility-id="${imageId}"]`,
-  );
+  const element = querySelectorDeep(`[data-accessibility-id="${imageId}"]`);
 
   // Vérifier si l'élément existe
   if (!element) {
@@ -1724,7 +7834,7 @@ function scrollToImage(imageId) {
 
 // Fonction pour scroller vers un lien spécifique
 function scrollToLink(linkId) {
-  const element = document.querySelector(`[data-accessibility-id="${linkId}"]`);
+  const element = querySelectorDeep(`[data-accessibility-id="${linkId}"]`);
 
   if (!element) {
     return false;
@@ -1773,7 +7883,7 @@ function scrollToLink(linkId) {
 
 // Fonction pour scroller vers un SVG spécifique
 function scrollToSVG(svgId) {
-  const element = document.querySelector(`[data-accessibility-id="${svgId}"]`);
+  const element = querySelectorDeep(`[data-accessibility-id="${svgId}"]`);
 
   if (!element) {
     return false;
@@ -1822,9 +7932,7 @@ function scrollToSVG(svgId) {
 
 // Fonction pour scroller vers un titre spécifique
 function scrollToHeading(headingId) {
-  const element = document.querySelector(
-    `[data-accessibility-id="${headingId}"]`,
-  );
+  const element = querySelectorDeep(`[data-accessibility-id="${headingId}"]`);
 
   if (!element) {
     return false;
@@ -1873,7 +7981,7 @@ function scrollToHeading(headingId) {
 
 // Fonction pour scroller vers un formulaire spécifique
 function scrollToForm(formId) {
-  const element = document.querySelector(`[data-accessibility-id="${formId}"]`);
+  const element = querySelectorDeep(`[data-accessibility-id="${formId}"]`);
 
   if (!element) {
     return false;
@@ -1922,9 +8030,7 @@ function scrollToForm(formId) {
 
 // Fonction pour scroller vers un bouton spécifique
 function scrollToButton(buttonId) {
-  const element = document.querySelector(
-    `[data-accessibility-id="${buttonId}"]`,
-  );
+  const element = querySelectorDeep(`[data-accessibility-id="${buttonId}"]`);
 
   if (!element) {
     return false;
@@ -1973,9 +8079,7 @@ function scrollToButton(buttonId) {
 
 // Fonction pour scroller vers un élément avec problème de contraste
 function scrollToContrast(contrastId) {
-  const element = document.querySelector(
-    `[data-accessibility-id="${contrastId}"]`,
-  );
+  const element = querySelectorDeep(`[data-accessibility-id="${contrastId}"]`);
 
   if (!element) {
     return false;
@@ -2028,8 +8132,10 @@ const messageHandlers = {
     sendResponse({ ready: true });
   },
   runAudit: (request, sendResponse) => {
-    const results = auditAccessibility();
-    sendResponse({ results: results });
+    const task = startAudit(request.options);
+    task.promise
+      .then((results) => sendResponse({ results: results }))
+      .catch((error) => sendResponse({ error: error.message }));
   },
   clearVisualFeedback: (request, sendResponse) => {
     clearVisualFeedback();
@@ -2063,6 +8169,108 @@ const messageHandlers = {
     const success = scrollToContrast(request.contrastId);
     sendResponse({ success });
   },
+  scrollToNonText: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.nonTextId,
+      MARKER_STYLES.nonText.color,
+      getMarkerAttribute("nonText"),
+    );
+    sendResponse({ success });
+  },
+  scrollToIdrefs: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.idrefsId,
+      MARKER_STYLES.idrefs.color,
+      getMarkerAttribute("idrefs"),
+    );
+    sendResponse({ success });
+  },
+  scrollToAria: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.ariaId,
+      MARKER_STYLES.aria.color,
+      getMarkerAttribute("aria"),
+    );
+    sendResponse({ success });
+  },
+  toggleFocusOrder: (request, sendResponse) => {
+    if (request.visible) {
+      sendResponse({ success: true, ...showFocusOrder() });
+    } else {
+      clearMarkers("focusOrder");
+      sendResponse({ success: true });
+    }
+  },
+  getPageStructure: (request, sendResponse) => {
+    sendResponse({ success: true, structure: collectPageStructure() });
+  },
+  scrollToStructureItem: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.structureId,
+      STRUCTURE_HIGHLIGHT_COLOR,
+      STRUCTURE_ID_ATTRIBUTE,
+    );
+    sendResponse({ success });
+  },
+  scrollToShadowDom: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.shadowDomId,
+      MARKER_STYLES.shadowDom.color,
+      getMarkerAttribute("shadowDom"),
+    );
+    sendResponse({ success });
+  },
+  scrollToIframe: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.iframeId,
+      MARKER_STYLES.iframes.color,
+      getMarkerAttribute("iframes"),
+    );
+    sendResponse({ success });
+  },
+  scrollToFrame: (request, sendResponse) => {
+    sendResponse({ success: scrollToChildFrame(request.frameId) });
+  },
+  scrollToMedia: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.mediaId,
+      MARKER_STYLES.media.color,
+      getMarkerAttribute("media"),
+    );
+    sendResponse({ success });
+  },
+  scrollToTable: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.tableId,
+      MARKER_STYLES.tables.color,
+      getMarkerAttribute("tables"),
+    );
+    sendResponse({ success });
+  },
+  scrollToTargetSize: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.targetSizeId,
+      MARKER_STYLES.targetSize.color,
+      getMarkerAttribute("targetSize"),
+    );
+    sendResponse({ success });
+  },
+  scrollToFocus: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.focusId,
+      MARKER_STYLES.focus.color,
+      getMarkerAttribute("focus"),
+    );
+    sendResponse({ success });
+  },
+  scrollToKeyboard: (request, sendResponse) => {
+    const success = scrollToMarkedElement(
+      request.keyboardId,
+      MARKER_STYLES.keyboard.color,
+      getMarkerAttribute("keyboard"),
+    );
+    sendResponse({ success });
+  },
   applyColorblindFilter: (request, sendResponse) => {
     applyColorblindFilter(request.filterType);
     sendResponse({ success: true });
@@ -2082,6 +8290,57 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Gère un port d'audit ouvert par le popup : lancement, progression, annulation.
+ * La fermeture du popup (déconnexion du port) annule l'audit en cours.
+ * @param {chrome.runtime.Port} port - Port ouvert par le popup
+ */
+function handleAuditPort(port) {
+  let task = null;
+  let connected = true;
+
+  const post = (message) => {
+    if (connected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "runAudit") {
+      task = startAudit(message.options, (progress) =>
+        post({ type: "progress", ...progress }),
+      );
+      task.promise
+        .then((results) =>
+          post({ type: "done", results: results, frame: getFrameInfo() }),
+        )
+        .catch((error) =>
+          post(
+            error.cancelled
+              ? { type: "cancelled" }
+              : { type: "error", message: error.message },
+          ),
+        );
+    } else if (message.action === "cancelAudit" && task) {
+      task.cancelled = true;
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (task) {
+      task.cancelled = true;
+    }
+  });
+}
+
+// Audit progressif : le popup ouvre un port pour suivre la progression
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === AUDIT_PORT_NAME) {
+    handleAuditPort(port);
+  }
+});
+
 // Fonction pour mettre à jour les marqueurs visuels selon les filtres actifs
 function updateVisualMarkersWithFilters(filters) {
   // Images - utiliser le tableau stocké
@@ -2090,7 +8349,7 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = img.parentElement.querySelector(
+    const badge = img.parentElement?.querySelector(
       '[data-badge-for^="accessibility-img-"]',
     );
 
@@ -2123,7 +8382,7 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = svg.parentElement.querySelector(".accessibility-badge-svg");
+    const badge = svg.parentElement?.querySelector(".accessibility-badge-svg");
 
     if (filters.svg) {
       svg.style.outline = "5px solid #a855f7";
@@ -2148,7 +8407,9 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = link.parentElement.querySelector(".accessibility-badge-link");
+    const badge = link.parentElement?.querySelector(
+      ".accessibility-badge-link",
+    );
     const issue = link.getAttribute("data-accessibility-issue");
 
     if (filters.links) {
@@ -2177,7 +8438,7 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = heading.parentElement.querySelector(
+    const badge = heading.parentElement?.querySelector(
       ".accessibility-badge-heading",
     );
 
@@ -2202,7 +8463,9 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = form.parentElement.querySelector(".accessibility-badge-form");
+    const badge = form.parentElement?.querySelector(
+      ".accessibility-badge-form",
+    );
 
     if (filters.forms) {
       form.style.outline = "4px solid #f59e0b";
@@ -2225,7 +8488,7 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = button.parentElement.querySelector(
+    const badge = button.parentElement?.querySelector(
       ".accessibility-badge-button",
     );
 
@@ -2250,7 +8513,7 @@ function updateVisualMarkersWithFilters(filters) {
       return;
     }
 
-    const badge = el.parentElement.querySelector(
+    const badge = el.parentElement?.querySelector(
       ".accessibility-badge-contrast",
     );
 
@@ -2270,5 +8533,14 @@ function updateVisualMarkersWithFilters(filters) {
       }
     }
   });
+
+  // Catégories utilisant les marqueurs génériques
+  // (l'ordre de tabulation, sans filtre, est piloté par son propre bouton)
+  Object.keys(MARKER_STYLES).forEach((category) => {
+    if (!(category in filters)) {
+      return;
+    }
+    toggleMarkers(category, Boolean(filters[category]));
+  });
 }
 // module.exports = { injectColorblindFilters };
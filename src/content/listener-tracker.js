@@ -0,0 +1,169 @@
+// Suivi des écouteurs d'événements posés par la page (monde MAIN, document_start)
+// Enregistré à la demande par le popup (chrome.scripting.registerContentScripts),
+// une fois la permission d'hôte optionnelle accordée par l'utilisateur.
+// Les scripts de la page et l'extension ne partagent que le DOM : à la demande de
+// content.js (événement LISTENER_COLLECT_EVENT), les éléments écoutés sont signalés
+// par un attribut temporaire que content.js lit puis retire.
+
+(() => {
+  // Doivent correspondre aux constantes de content.js
+  const LISTENER_COLLECT_EVENT = "accessibility-audit-collect-listeners";
+  const LISTENER_ATTRIBUTE = "data-accessibility-listeners";
+
+  // Événements révélant qu'un élément se comporte comme un contrôle
+  const INTERACTION_EVENTS = [
+    "click",
+    "dblclick",
+    "mousedown",
+    "mouseup",
+    "pointerdown",
+    "pointerup",
+    "touchstart",
+    "touchend",
+  ];
+
+  // Protection contre une double instrumentation (rechargement de l'extension)
+  const TRACKER_FLAG = Symbol.for("accessibility-audit-listener-tracker");
+  if (EventTarget.prototype[TRACKER_FLAG]) {
+    return;
+  }
+  Object.defineProperty(EventTarget.prototype, TRACKER_FLAG, { value: true });
+
+  // Élément → Map(type → Map(listener → Set(capture))) : comme pour le navigateur,
+  // un même écouteur posé en phase de capture et de bouillonnement compte deux fois.
+  // Les éléments sont gardés par WeakRef.
+  const listenersByElement = new WeakMap();
+  const trackedElements = new Set();
+
+  const originalAdd = EventTarget.prototype.addEventListener;
+  const originalRemove = EventTarget.prototype.removeEventListener;
+
+  /**
+   * Retourne (en la créant si besoin) la table des écouteurs d'un élément
+   * @param {Element} element - Élément écouté
+   * @returns {Map<string, Map<Function|Object, Set<boolean>>>}
+   */
+  function getListeners(element) {
+    let listeners = listenersByElement.get(element);
+    if (!listeners) {
+      listeners = new Map();
+      listenersByElement.set(element, listeners);
+      trackedElements.add(new WeakRef(element));
+    }
+    return listeners;
+  }
+
+  /**
+   * Phase d'un écouteur, lue comme le fait addEventListener
+   * @param {boolean|Object} [options] - Troisième argument de add/removeEventListener
+   * @returns {boolean} - true pour la phase de capture
+   */
+  function getCapture(options) {
+    return typeof options === "boolean" ? options : Boolean(options?.capture);
+  }
+
+  EventTarget.prototype.addEventListener = function (type, listener, options) {
+    if (
+      listener &&
+      this instanceof Element &&
+      INTERACTION_EVENTS.includes(type)
+    ) {
+      const listeners = getListeners(this);
+      if (!listeners.has(type)) {
+        listeners.set(type, new Map());
+      }
+      const phases = listeners.get(type);
+      if (!phases.has(listener)) {
+        phases.set(listener, new Set());
+      }
+      phases.get(listener).add(getCapture(options));
+    }
+    return Reflect.apply(originalAdd, this, [type, listener, options]);
+  };
+
+  EventTarget.prototype.removeEventListener = function (
+    type,
+    listener,
+    options,
+  ) {
+    const phases = listenersByElement.get(this)?.get(type);
+    const captures = phases?.get(listener);
+    if (captures) {
+      captures.delete(getCapture(options));
+      if (captures.size === 0) {
+        phases.delete(listener);
+      }
+    }
+    return Reflect.apply(originalRemove, this, [type, listener, options]);
+  };
+
+  /**
+   * Liste les types d'événements d'interaction écoutés par un élément,
+   * y compris les propriétés onclick... affectées par script
+   * @param {Element} element - L'élément
+   * @returns {Array<string>}
+   */
+  function getListenedEvents(element) {
+    const listeners = listenersByElement.get(element);
+    const events = listeners
+      ? INTERACTION_EVENTS.filter((type) => listeners.get(type)?.size > 0)
+      : [];
+
+    INTERACTION_EVENTS.forEach((type) => {
+      if (
+        typeof element[`on${type}`] === "function" &&
+        !events.includes(type)
+      ) {
+        events.push(type);
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Signale les éléments écoutés au content script via un attribut temporaire
+   */
+  function exposeListeners() {
+    const elements = new Set();
+
+    trackedElements.forEach((ref) => {
+      const element = ref.deref();
+      if (!element) {
+        trackedElements.delete(ref);
+      } else if (element.isConnected) {
+        elements.add(element);
+      }
+    });
+
+    // Gestionnaires affectés par propriété (element.onclick = ...), y compris
+    // dans les shadow roots ouvertes
+    const visit = (scope) => {
+      const walker = document.createTreeWalker(scope, NodeFilter.SHOW_ELEMENT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (
+          INTERACTION_EVENTS.some(
+            (type) => typeof node[`on${type}`] === "function",
+          )
+        ) {
+          elements.add(node);
+        }
+        if (node.shadowRoot) {
+          visit(node.shadowRoot);
+        }
+      }
+    };
+    if (document.body) {
+      visit(document.body);
+    }
+
+    elements.forEach((element) => {
+      const events = getListenedEvents(element);
+      if (events.length > 0) {
+        element.setAttribute(LISTENER_ATTRIBUTE, events.join(" "));
+      }
+    });
+  }
+
+  originalAdd.call(document, LISTENER_COLLECT_EVENT, exposeListeners);
+})();
@@ -13,6 +13,8 @@
  * - Maintenable et lisible
  */
 
+import { NAME_SOURCES } from "../utils/constants.js";
+
 // ============================================================================
 // CONSTANTES
 // ============================================================================
@@ -117,6 +119,130 @@ export function getMdnLinks(category) {
         url: "https://www.w3.org/WAI/WCAG21/Understanding/contrast-minimum.html",
       },
     ],
+    nonText: [
+      {
+        title: "Comprendre le critère 1.4.11 Contraste du contenu non textuel",
+        url: "https://www.w3.org/WAI/WCAG21/Understanding/non-text-contrast.html",
+      },
+      {
+        title: "Styliser les contrôles de formulaire (outline, focus)",
+        url: "https://developer.mozilla.org/fr/docs/Web/CSS/outline",
+      },
+    ],
+    idrefs: [
+      {
+        title: "aria-labelledby",
+        url: "https://developer.mozilla.org/fr/docs/Web/Accessibility/ARIA/Reference/Attributes/aria-labelledby",
+      },
+      {
+        title: "aria-describedby",
+        url: "https://developer.mozilla.org/fr/docs/Web/Accessibility/ARIA/Reference/Attributes/aria-describedby",
+      },
+      {
+        title: "Attribut id (unicité)",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Global_attributes/id",
+      },
+    ],
+    aria: [
+      {
+        title: "Rôles ARIA",
+        url: "https://developer.mozilla.org/fr/docs/Web/Accessibility/ARIA/Reference/Roles",
+      },
+      {
+        title: "Attributs ARIA",
+        url: "https://developer.mozilla.org/fr/docs/Web/Accessibility/ARIA/Reference/Attributes",
+      },
+      {
+        title: "Spécification WAI-ARIA 1.2",
+        url: "https://www.w3.org/TR/wai-aria-1.2/",
+      },
+    ],
+    keyboard: [
+      {
+        title: "Navigation au clavier",
+        url: "https://developer.mozilla.org/fr/docs/Web/Accessibility/Guides/Keyboard-navigable_JavaScript_widgets",
+      },
+      {
+        title: "Attribut tabindex",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Global_attributes/tabindex",
+      },
+      {
+        title: "Comprendre le critère 2.1.1 Clavier",
+        url: "https://www.w3.org/WAI/WCAG21/Understanding/keyboard.html",
+      },
+    ],
+    focus: [
+      {
+        title: "Pseudo-classe :focus-visible",
+        url: "https://developer.mozilla.org/fr/docs/Web/CSS/:focus-visible",
+      },
+      {
+        title: "Comprendre le critère 2.4.7 Visibilité du focus",
+        url: "https://www.w3.org/WAI/WCAG22/Understanding/focus-visible.html",
+      },
+      {
+        title: "Comprendre le critère 2.4.13 Apparence du focus",
+        url: "https://www.w3.org/WAI/WCAG22/Understanding/focus-appearance.html",
+      },
+    ],
+    shadowDom: [
+      {
+        title: "Utiliser le shadow DOM",
+        url: "https://developer.mozilla.org/fr/docs/Web/API/Web_components/Using_shadow_DOM",
+      },
+      {
+        title: "ShadowRoot.mode",
+        url: "https://developer.mozilla.org/fr/docs/Web/API/ShadowRoot/mode",
+      },
+    ],
+    iframes: [
+      {
+        title: "Élément <iframe> et attribut title",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Element/iframe",
+      },
+      {
+        title: "Technique H64 : titre des cadres",
+        url: "https://www.w3.org/WAI/WCAG21/Techniques/html/H64",
+      },
+    ],
+    media: [
+      {
+        title: "Accessibilité des contenus multimédias",
+        url: "https://developer.mozilla.org/fr/docs/Web/Media/Guides/Audio_and_video_delivery",
+      },
+      {
+        title: "Élément <track> (sous-titres)",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Element/track",
+      },
+      {
+        title: "Comprendre le critère 1.4.2 Contrôle du son",
+        url: "https://www.w3.org/WAI/WCAG21/Understanding/audio-control.html",
+      },
+    ],
+    tables: [
+      {
+        title: "Accessibilité des tableaux de données",
+        url: "https://developer.mozilla.org/fr/docs/Learn_web_development/Core/Structuring_content/Table_accessibility",
+      },
+      {
+        title: "Élément <th> et attribut scope",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Element/th",
+      },
+      {
+        title: "Élément <caption>",
+        url: "https://developer.mozilla.org/fr/docs/Web/HTML/Element/caption",
+      },
+    ],
+    targetSize: [
+      {
+        title: "Comprendre le critère 2.5.8 Taille de la cible (minimum)",
+        url: "https://www.w3.org/WAI/WCAG22/Understanding/target-size-minimum.html",
+      },
+      {
+        title: "Comprendre le critère 2.5.5 Taille de la cible (renforcée)",
+        url: "https://www.w3.org/WAI/WCAG22/Understanding/target-size-enhanced.html",
+      },
+    ],
   };
   return mdnLinks[category] || [];
 }
@@ -182,6 +308,21 @@ function truncateText(text, maxLength) {
   return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
 }
 
+/**
+ * Formate le nom accessible calculé d'une issue et sa provenance
+ * @param {Object} issue - Objet issue avec accessibleName et nameSource
+ * @returns {string} - Ex: "« Envoyer » (valeur du bouton)" ou "aucun"
+ */
+function formatAccessibleName(issue) {
+  if (!issue.accessibleName) {
+    return issue.nameSource === "alt" ? 'vide (alt="")' : "aucun";
+  }
+
+  const name = escapeHTML(truncateText(issue.accessibleName, MAX_TEXT_LENGTH));
+  const source = NAME_SOURCES[issue.nameSource] || issue.nameSource;
+  return `« ${name} » (${source})`;
+}
+
 /**
  * Génère le HTML pour les détails textuels standards (text, src, href, type)
  * @param {Object} issue - Objet issue
@@ -209,9 +350,142 @@ function generateStandardTextDetails(issue) {
     details.push(`<p class="issue-detail">Type: ${issue.type}</p>`);
   }
 
+  if (issue.framePath) {
+    details.push(
+      `<p class="issue-detail">Cadre: ${escapeHTML(truncateText(issue.framePath, MAX_URL_LENGTH))}</p>`,
+    );
+  }
+
+  if (issue.nameSource) {
+    details.push(
+      `<p class="issue-detail">Nom accessible: ${formatAccessibleName(issue)}</p>`,
+    );
+  }
+
+  if (issue.role) {
+    details.push(`<p class="issue-detail">Rôle: ${escapeHTML(issue.role)}</p>`);
+  }
+
+  if (issue.ariaAttribute) {
+    const value =
+      issue.ariaValue === undefined ? "" : `="${escapeHTML(issue.ariaValue)}"`;
+    details.push(
+      `<p class="issue-detail">Attribut: ${issue.ariaAttribute}${value}</p>`,
+    );
+  }
+
+  if (issue.events) {
+    details.push(
+      `<p class="issue-detail">Événements: ${escapeHTML(issue.events)}</p>`,
+    );
+  }
+
+  if (issue.attribute) {
+    details.push(
+      `<p class="issue-detail">Référence: ${issue.attribute}="${escapeHTML(issue.reference)}"</p>`,
+    );
+  }
+
+  if (issue.dimensions) {
+    details.push(`<p class="issue-detail">Dimensions: ${issue.dimensions}</p>`);
+  }
+
+  if (issue.coveringSnippet) {
+    details.push(
+      `<p class="issue-detail">Masqué par: <code>${escapeHTML(truncateText(issue.coveringSnippet, MAX_URL_LENGTH))}</code></p>`,
+    );
+  }
+
   return details;
 }
 
+/**
+ * Génère le HTML comparant côte à côte le ratio WCAG 2 et la valeur APCA (Lc)
+ * L'algorithme qui fait foi pour le verdict est signalé comme référence
+ * @param {Object} issue - Objet issue avec ratio/apca (ou ratioRange/apcaRange)
+ * @returns {string} - HTML des deux valeurs
+ */
+export function generateContrastValuesHTML(issue) {
+  const wcagValue = issue.ratioRange
+    ? `${issue.ratioRange.min}:1 – ${issue.ratioRange.max}:1`
+    : `${issue.ratio}:1`;
+  const apcaValue = issue.apcaRange
+    ? `Lc ${issue.apcaRange.min} – ${issue.apcaRange.max}`
+    : `Lc ${issue.apca}`;
+  const isAPCAReference = issue.contrastAlgorithm === "apca";
+
+  const values = [
+    {
+      label: "WCAG 2",
+      value: wcagValue,
+      required: `${issue.required}:1`,
+      isReference: !isAPCAReference,
+    },
+    {
+      label: "APCA",
+      value: apcaValue,
+      required: `Lc ${issue.apcaRequired}`,
+      isReference: isAPCAReference,
+    },
+  ];
+
+  const valuesHTML = values
+    .map(
+      (item) => `
+      <div class="contrast-value${item.isReference ? " contrast-value-reference" : ""}">
+        <span class="contrast-value-label">${item.label}${item.isReference ? " (référence)" : ""}</span>
+        <strong>${item.value}</strong>
+        <span class="contrast-value-required">min. ${item.required}</span>
+      </div>`,
+    )
+    .join("");
+
+  return `<div class="contrast-values">${valuesHTML}</div>`;
+}
+
+/**
+ * Génère le HTML des corrections de couleurs suggérées (aperçus texte sur fond)
+ * @param {Object} issue - Objet issue avec suggestions, fgColor et bgColor
+ * @returns {string} - HTML des suggestions ou chaîne vide
+ */
+function generateContrastSuggestionsHTML(issue) {
+  if (!issue.suggestions) {
+    return "";
+  }
+
+  const { foreground, background } = issue.suggestions;
+  const options = [
+    foreground && {
+      label: "Texte",
+      suggestion: foreground,
+      fgColor: foreground.color,
+      bgColor: issue.bgColor,
+    },
+    background && {
+      label: "Fond",
+      suggestion: background,
+      fgColor: issue.fgColor,
+      bgColor: background.color,
+    },
+  ].filter(Boolean);
+
+  const swatchesHTML = options
+    .map(
+      (option) => `
+      <div class="contrast-suggestion">
+        <span class="contrast-swatch" style="color: ${option.fgColor}; background-color: ${option.bgColor};">Aa</span>
+        <span class="contrast-suggestion-text">
+          <span class="contrast-value-label">${option.label}</span>
+          <code>${option.suggestion.color}</code>
+          <span class="contrast-value-required">${option.suggestion.ratio}:1 · Lc ${option.suggestion.apca}</span>
+        </span>
+      </div>`,
+    )
+    .join("");
+
+  return `<p class="issue-detail"><strong>Corrections suggérées :</strong></p><div class="contrast-suggestions">${swatchesHTML}</div>`;
+}
+
 /**
  * Génère le HTML pour les détails spécifiques au contraste
  * @param {Object} issue - Objet issue avec propriétés de contraste
@@ -220,7 +494,13 @@ function generateStandardTextDetails(issue) {
 function generateContrastDetails(issue) {
   const details = [];
 
-  if (issue.ratio) {
+  if (issue.apca) {
+    details.push(generateContrastValuesHTML(issue));
+  } else if (issue.ratioRange) {
+    details.push(
+      `<p class="issue-detail">Ratios mesurés: de <strong>${issue.ratioRange.min}:1</strong> à <strong>${issue.ratioRange.max}:1</strong> (minimum requis: <strong>${issue.required}:1</strong>)</p>`,
+    );
+  } else if (issue.ratio) {
     details.push(
       `<p class="issue-detail">Ratio actuel: <strong>${issue.ratio}:1</strong> (minimum requis: <strong>${issue.required}:1</strong>)</p>`,
     );
@@ -235,12 +515,25 @@ function generateContrastDetails(issue) {
     );
   }
 
+  if (issue.indicatorColor && issue.adjacentColor) {
+    details.push(
+      `<p class="issue-detail">Indicateur (${issue.indicator}): <span style="padding: 2px 6px;">${issue.indicatorColor}</span></p>`,
+    );
+    details.push(
+      `<p class="issue-detail">Couleur adjacente: <span style="padding: 2px 6px;">${issue.adjacentColor}</span></p>`,
+    );
+  }
+
   if (issue.fontSize) {
     details.push(
       `<p class="issue-detail">Taille de police: ${issue.fontSize}</p>`,
     );
   }
 
+  if (issue.suggestions) {
+    details.push(generateContrastSuggestionsHTML(issue));
+  }
+
   return details;
 }
 
@@ -249,7 +542,7 @@ function generateContrastDetails(issue) {
  * @param {string} html - Code HTML à échapper
  * @returns {string} - HTML échappé
  */
-function escapeHTML(html) {
+export function escapeHTML(html) {
   const div = document.createElement("div");
   div.textContent = html;
   return div.innerHTML;
@@ -314,12 +607,31 @@ export function generateNavigationButtonsHTML(issue) {
     "formId",
     "buttonId",
     "contrastId",
+    "nonTextId",
+    "idrefsId",
+    "ariaId",
+    "keyboardId",
+    "focusId",
+    "targetSizeId",
+    "tableId",
+    "mediaId",
+    "iframeId",
+    "shadowDomId",
   ];
+  // Issue d'un cadre enfant : le popup adresse la navigation à ce cadre
+  const frameAttribute = issue.frameId
+    ? ` data-frame-id="${issue.frameId}"`
+    : "";
 
   idTypes.forEach((idType) => {
     if (issue[idType]) {
+      // nonTextId → data-non-text-id
+      const attribute = idType.replace(
+        /[A-Z]/g,
+        (letter) => `-${letter.toLowerCase()}`,
+      );
       buttons.push(
-        `<button class="goto-btn" data-${idType.replace(/Id$/, "-id")}="${issue[idType]}">Voir dans la page</button>`,
+        `<button class="goto-btn" data-${attribute}="${issue[idType]}"${frameAttribute}>Voir dans la page</button>`,
       );
     }
   });
@@ -353,6 +665,7 @@ export function generateIssueHTML(issue, issueIndex, name) {
     <div class="issue ${issue.severity}">
       <div class="issue-header">
         <span class="issue-element">${issue.element}</span>
+        ${issue.needsReview ? '<span class="review-badge">À vérifier</span>' : ""}
         <span class="severity-badge severity-${issue.severity}">${issue.severity}</span>
       </div>
       <p class="issue-description">${issue.issue}</p>
@@ -370,6 +683,16 @@ export function generateIssueHTML(issue, issueIndex, name) {
 // FONCTIONS DE TRAITEMENT DE DONNÉES
 // ============================================================================
 
+/**
+ * Compte les problèmes confirmés : les points à vérifier manuellement (needsReview)
+ * sont affichés mais n'entrent pas dans le score
+ * @param {Array<Object>} issues - Issues d'une catégorie
+ * @returns {number} - Nombre de problèmes confirmés
+ */
+export function countConfirmedIssues(issues) {
+  return issues.filter((issue) => !issue.needsReview).length;
+}
+
 /**
  * Combine les données de structure (lang, landmarks, buttons) en un seul objet
  * @param {Object} filteredResults - Résultats filtrés contenant lang, landmarks, buttons
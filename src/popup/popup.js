@@ -1,6 +1,13 @@
 ﻿// Popup script pour afficher les résultats de l'audit
 
-import { TIMEOUTS, SCORES } from "../utils/constants.js";
+import {
+  TIMEOUTS,
+  SCORES,
+  WCAG_LEVELS,
+  CONTRAST_ALGORITHMS,
+  AUDIT,
+  LANDMARKS,
+} from "../utils/constants.js";
 import {
   generateGitHubMarkdown,
   copyMarkdownToClipboard,
@@ -9,6 +16,7 @@ import {
   getMdnLinks,
   generateIssueHTML,
   combineStructureData,
+  countConfirmedIssues,
 } from "./popup-utils.js";
 
 // État des filtres actifs
@@ -22,22 +30,112 @@ const activeFilters = {
   structure: true,
   buttons: true,
   contrast: true,
+  nonText: true,
+  idrefs: true,
+  aria: true,
+  keyboard: true,
+  focus: true,
+  targetSize: true,
+  tables: true,
+  media: true,
+  iframes: true,
+  shadowDom: true,
+};
+
+// Paramètres envoyés au content script avec le message runAudit
+const auditSettings = {
+  level: WCAG_LEVELS.DEFAULT,
+  contrastAlgorithm: CONTRAST_ALGORITHMS.DEFAULT,
+  linkTextDictionary: [],
 };
 
+// Réglages modifiables dans le popup : clé de stockage et valeurs autorisées
+const SETTINGS_CONFIG = {
+  level: { storageKey: "conformanceLevel", allowed: WCAG_LEVELS.AVAILABLE },
+  contrastAlgorithm: {
+    storageKey: "contrastAlgorithm",
+    allowed: CONTRAST_ALGORITHMS.AVAILABLE,
+  },
+};
+
+// Expressions ajoutées au dictionnaire des textes de liens non descriptifs
+const LINK_TEXT_DICTIONARY_STORAGE_KEY = "linkTextDictionary";
+
 // Stocker les résultats complets pour pouvoir les filtrer
 let fullResults = null;
 
+// Port de l'audit en cours (progression et annulation)
+let auditPort = null;
+
+// Audit des cadres de l'onglet, un port par cadre : {tabId, queue, index, count, results}
+let frameAudit = null;
+
+// Cadres audités : frameId → {parentFrameId, description}
+const auditedFrames = new Map();
+
+// Scripts d'audit injectés dans chaque cadre, dans l'ordre
+const CONTENT_SCRIPTS = [
+  "src/content/accname.js",
+  "src/content/aria-data.js",
+  "src/content/content.js",
+];
+
+// Suivi des écouteurs d'événements de la page (vérification clavier) : script du
+// monde MAIN enregistré à la demande, derrière la permission d'hôte optionnelle
+const LISTENER_TRACKER_SCRIPT = {
+  id: "listener-tracker",
+  js: ["src/content/listener-tracker.js"],
+  matches: ["<all_urls>"],
+  runAt: "document_start",
+  world: "MAIN",
+  allFrames: true,
+};
+const LISTENER_TRACKER_PERMISSION = { origins: ["<all_urls>"] };
+
+// Superposition de l'ordre de tabulation affichée dans la page
+let focusOrderVisible = false;
+
 document.addEventListener("DOMContentLoaded", function () {
   // Initialiser le mode dark
   initDarkMode();
 
-  runAudit();
+  // Charger les réglages enregistrés puis lancer l'audit
+  initAuditSettings(runAudit);
+
+  // Handlers for audit settings (conformance level, contrast algorithm)
+  setupSettingSelectors();
+
+  // Suivi des écouteurs : état de la permission et de l'enregistrement du script
+  initListenerTracking();
+
+  // Handlers for audit progress (cancel, restart)
+  document
+    .getElementById("cancelAuditBtn")
+    .addEventListener("click", cancelAudit);
+  document
+    .getElementById("restartAuditBtn")
+    .addEventListener("click", restartAudit);
+
+  // Handler for export button
+  document
+    .getElementById("exportBtn")
+    .addEventListener("click", exportCurrentReport);
 
   // Handler for markers clear button
   document
     .getElementById("clearMarkersBtn")
     .addEventListener("click", clearMarkers);
 
+  // Handler for focus order overlay button
+  document
+    .getElementById("focusOrderBtn")
+    .addEventListener("click", toggleFocusOrder);
+
+  // Handler for page structure panel button
+  document
+    .getElementById("pageStructureBtn")
+    .addEventListener("click", togglePageStructure);
+
   // Handlers for filters
   setupFilterHandlers();
 
@@ -62,6 +160,10 @@ async function clearMarkers() {
           console.error("Erreur:", chrome.runtime.lastError);
           return;
         }
+        // La superposition de l'ordre de tabulation est effacée avec les marqueurs
+        setFocusOrderVisible(false);
+        setPageStructureVisible(false);
+
         // Visual confirmation (optional)
         const btn = document.getElementById("clearMarkersBtn");
         const originalText = btn.textContent;
@@ -77,34 +179,23 @@ async function clearMarkers() {
 }
 
 /**
- * Applique un feedback visuel sur un bouton selon le résultat de l'action
- * @param {HTMLElement} button - Le bouton à modifier
- * @param {boolean} success - true si succès, false si échec
+ * Met à jour l'état du bouton de l'ordre de tabulation
+ * @param {boolean} visible - Superposition affichée ou non
  */
-function applyButtonFeedback(button, success) {
-  if (!button) {
-    return;
-  }
-
-  const originalText = button.textContent;
-  const originalClass = button.className;
-
-  if (success) {
-    button.className = "goto-btn goto-success";
-    button.textContent = "✓ Élément trouvé";
-  } else {
-    button.className = "goto-btn goto-error";
-    button.textContent = "✗ Élément introuvable";
-  }
-
-  // Réinitialiser après 3 secondes
-  setTimeout(() => {
-    button.textContent = originalText;
-    button.className = originalClass;
-  }, TIMEOUTS.FEEDBACK_MESSAGE);
+function setFocusOrderVisible(visible) {
+  focusOrderVisible = visible;
+  document
+    .getElementById("focusOrderBtn")
+    .setAttribute("aria-pressed", String(visible));
 }
 
-async function navigateToImage(imageId, buttonElement) {
+/**
+ * Affiche ou masque la superposition de l'ordre de tabulation dans le cadre principal
+ * (les compteurs renvoyés ne portent que sur ce cadre)
+ */
+async function toggleFocusOrder() {
+  const button = document.getElementById("focusOrderBtn");
+
   try {
     const [tab] = await chrome.tabs.query({
       active: true,
@@ -113,24 +204,52 @@ async function navigateToImage(imageId, buttonElement) {
 
     chrome.tabs.sendMessage(
       tab.id,
-      { action: "scrollToImage", imageId: imageId },
+      { action: "toggleFocusOrder", visible: !focusOrderVisible },
+      { frameId: 0 },
       function (response) {
-        if (chrome.runtime.lastError) {
+        if (chrome.runtime.lastError || !response?.success) {
           console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
+          applyButtonFeedback(button, false);
           return;
         }
-        // Capturer le résultat du scrollTo
-        applyButtonFeedback(buttonElement, response?.success);
+        setFocusOrderVisible(!focusOrderVisible);
+        button.title = focusOrderVisible
+          ? `${response.count} éléments focalisables, ${response.hidden} invisibles, ${response.unreachable} contrôles non focalisables`
+          : "";
       },
     );
   } catch (error) {
-    console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
+    console.error(
+      "Erreur lors de l'affichage de l'ordre de tabulation:",
+      error,
+    );
+    applyButtonFeedback(button, false);
   }
 }
 
-async function navigateToLink(linkId, buttonElement) {
+/**
+ * Affiche ou masque le panneau du plan de la page
+ * @param {boolean} visible - Panneau affiché ou non
+ */
+function setPageStructureVisible(visible) {
+  document.getElementById("pageStructurePanel").hidden = !visible;
+  document
+    .getElementById("pageStructureBtn")
+    .setAttribute("aria-expanded", String(visible));
+}
+
+/**
+ * Affiche le plan de la page (régions et titres) relevé dans le cadre principal,
+ * ou le masque s'il est déjà affiché
+ */
+async function togglePageStructure() {
+  const button = document.getElementById("pageStructureBtn");
+
+  if (button.getAttribute("aria-expanded") === "true") {
+    setPageStructureVisible(false);
+    return;
+  }
+
   try {
     const [tab] = await chrome.tabs.query({
       active: true,
@@ -139,53 +258,129 @@ async function navigateToLink(linkId, buttonElement) {
 
     chrome.tabs.sendMessage(
       tab.id,
-      { action: "scrollToLink", linkId: linkId },
+      { action: "getPageStructure" },
+      { frameId: 0 },
       function (response) {
-        if (chrome.runtime.lastError) {
+        if (chrome.runtime.lastError || !response?.success) {
           console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
+          applyButtonFeedback(button, false);
           return;
         }
-        applyButtonFeedback(buttonElement, response?.success);
+        displayPageStructure(response.structure);
+        setPageStructureVisible(true);
       },
     );
   } catch (error) {
-    console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
+    console.error("Erreur lors de la lecture du plan de la page:", error);
+    applyButtonFeedback(button, false);
   }
 }
 
-function copyGitHubMarkdown(issue, category, buttonElement) {
-  const markdown = generateGitHubMarkdown(issue, category, getMdnLinks);
-  copyMarkdownToClipboard(markdown, buttonElement, "✓ Copié !");
+/**
+ * Crée une entrée du plan : bouton de navigation indenté, avec l'alerte éventuelle
+ * @param {string} structureId - Identifiant de navigation de l'élément
+ * @param {string} text - Texte de l'entrée
+ * @param {number} depth - Niveau d'indentation
+ * @param {string} [warning] - Problème à signaler sur la ligne
+ * @returns {HTMLLIElement}
+ */
+function createStructureEntry(structureId, text, depth, warning) {
+  const item = document.createElement("li");
+  item.className = "structure-entry";
+  item.style.paddingLeft = `${depth * 16}px`;
+
+  const link = document.createElement("button");
+  link.type = "button";
+  link.className = "structure-link";
+  link.textContent = text;
+  link.addEventListener("click", () =>
+    navigateToStructureItem(structureId, item),
+  );
+  item.appendChild(link);
+
+  if (warning) {
+    item.classList.add("structure-warning");
+    const flag = document.createElement("span");
+    flag.className = "structure-flag";
+    flag.textContent = `⚠️ ${warning}`;
+    item.appendChild(flag);
+  }
+
+  return item;
 }
 
-async function navigateToSVG(svgId, buttonElement) {
-  try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+/**
+ * Affiche le plan de la page sous forme de listes indentées
+ * @param {{landmarks: Array<Object>, headings: Array<Object>}} structure - Plan
+ *   relevé par le content script
+ */
+function displayPageStructure(structure) {
+  const landmarksList = document.getElementById("pageStructureLandmarks");
+  const headingsList = document.getElementById("pageStructureHeadings");
+  landmarksList.replaceChildren();
+  headingsList.replaceChildren();
+
+  structure.landmarks.forEach((landmark) => {
+    const roleLabel = LANDMARKS.ROLE_LABELS[landmark.role] || landmark.role;
+    const text = landmark.label
+      ? `${roleLabel} « ${landmark.label} »`
+      : roleLabel;
+    const warning = landmark.duplicateUnlabeled
+      ? "Région non nommée en double"
+      : "";
+    landmarksList.appendChild(
+      createStructureEntry(landmark.structureId, text, landmark.depth, warning),
+    );
+  });
 
-    chrome.tabs.sendMessage(
-      tab.id,
-      { action: "scrollToSVG", svgId: svgId },
-      function (response) {
-        if (chrome.runtime.lastError) {
-          console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
-          return;
-        }
-        applyButtonFeedback(buttonElement, response?.success);
-      },
+  structure.headings.forEach((heading) => {
+    const text = `H${heading.level} · ${heading.text || "(titre vide)"}`;
+    const warning = heading.skippedFrom
+      ? `Saut H${heading.skippedFrom}→H${heading.level}`
+      : "";
+    headingsList.appendChild(
+      createStructureEntry(
+        heading.structureId,
+        text,
+        Math.max(heading.level - 1, 0),
+        warning,
+      ),
     );
-  } catch (error) {
-    console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
+  });
+
+  if (structure.landmarks.length === 0) {
+    landmarksList.appendChild(createEmptyStructureEntry("Aucune région"));
+  }
+  if (structure.headings.length === 0) {
+    headingsList.appendChild(createEmptyStructureEntry("Aucun titre"));
   }
 }
 
-async function navigateToHeading(headingId, buttonElement) {
+/**
+ * Crée la ligne affichée à la place d'une liste vide du plan
+ * @param {string} text - Texte affiché
+ * @returns {HTMLLIElement}
+ */
+function createEmptyStructureEntry(text) {
+  const item = document.createElement("li");
+  item.className = "structure-empty";
+  item.textContent = text;
+  return item;
+}
+
+/**
+ * Fait défiler la page jusqu'à une entrée du plan
+ * @param {string} structureId - Identifiant de navigation de l'élément
+ * @param {HTMLLIElement} item - Entrée du plan (signalée si l'élément a disparu)
+ */
+async function navigateToStructureItem(structureId, item) {
+  const showMissing = () => {
+    item.classList.add("structure-missing");
+    setTimeout(() => {
+      item.classList.remove("structure-missing");
+    }, TIMEOUTS.FEEDBACK_MESSAGE);
+  };
+
   try {
     const [tab] = await chrome.tabs.query({
       active: true,
@@ -194,97 +389,227 @@ async function navigateToHeading(headingId, buttonElement) {
 
     chrome.tabs.sendMessage(
       tab.id,
-      { action: "scrollToHeading", headingId: headingId },
+      { action: "scrollToStructureItem", structureId: structureId },
+      { frameId: 0 },
       function (response) {
-        if (chrome.runtime.lastError) {
+        if (chrome.runtime.lastError || !response?.success) {
           console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
-          return;
+          showMissing();
         }
-        applyButtonFeedback(buttonElement, response?.success);
       },
     );
   } catch (error) {
     console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
+    showMissing();
   }
 }
 
-async function navigateToForm(formId, buttonElement) {
-  try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+/**
+ * Applique un feedback visuel sur un bouton selon le résultat de l'action
+ * @param {HTMLElement} button - Le bouton à modifier
+ * @param {boolean} success - true si succès, false si échec
+ */
+function applyButtonFeedback(button, success) {
+  if (!button) {
+    return;
+  }
 
-    chrome.tabs.sendMessage(
-      tab.id,
-      { action: "scrollToForm", formId: formId },
-      function (response) {
-        if (chrome.runtime.lastError) {
-          console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
-          return;
-        }
-        applyButtonFeedback(buttonElement, response?.success);
-      },
-    );
-  } catch (error) {
-    console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
+  const originalText = button.textContent;
+  const originalClass = button.className;
+
+  if (success) {
+    button.className = "goto-btn goto-success";
+    button.textContent = "✓ Élément trouvé";
+  } else {
+    button.className = "goto-btn goto-error";
+    button.textContent = "✗ Élément introuvable";
   }
+
+  // Réinitialiser après 3 secondes
+  setTimeout(() => {
+    button.textContent = originalText;
+    button.className = originalClass;
+  }, TIMEOUTS.FEEDBACK_MESSAGE);
 }
 
-async function navigateToButton(buttonId, buttonElement) {
-  try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+function navigateToImage(imageId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToImage", imageId: imageId },
+    buttonElement,
+  );
+}
 
-    chrome.tabs.sendMessage(
-      tab.id,
-      { action: "scrollToButton", buttonId: buttonId },
-      function (response) {
-        if (chrome.runtime.lastError) {
-          console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
-          return;
-        }
-        applyButtonFeedback(buttonElement, response?.success);
-      },
+function navigateToLink(linkId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToLink", linkId: linkId },
+    buttonElement,
+  );
+}
+
+function copyGitHubMarkdown(issue, category, buttonElement) {
+  const markdown = generateGitHubMarkdown(issue, category, getMdnLinks);
+  copyMarkdownToClipboard(markdown, buttonElement, "✓ Copié !");
+}
+
+function navigateToSVG(svgId, buttonElement) {
+  sendNavigationMessage({ action: "scrollToSVG", svgId: svgId }, buttonElement);
+}
+
+function navigateToHeading(headingId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToHeading", headingId: headingId },
+    buttonElement,
+  );
+}
+
+function navigateToForm(formId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToForm", formId: formId },
+    buttonElement,
+  );
+}
+
+function navigateToButton(buttonId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToButton", buttonId: buttonId },
+    buttonElement,
+  );
+}
+
+function navigateToContrast(contrastId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToContrast", contrastId: contrastId },
+    buttonElement,
+  );
+}
+
+/**
+ * Fait défiler chaque cadre ancêtre jusqu'à l'iframe qui mène au cadre visé,
+ * en partant de la page principale
+ * @param {number} tabId - Onglet audité
+ * @param {number} frameId - Cadre contenant l'élément à afficher
+ */
+async function scrollFrameIntoView(tabId, frameId) {
+  const chain = [];
+  for (
+    let childId = frameId;
+    auditedFrames.get(childId)?.parentFrameId >= 0;
+    childId = auditedFrames.get(childId).parentFrameId
+  ) {
+    chain.unshift(childId);
+  }
+
+  for (const childId of chain) {
+    await chrome.tabs.sendMessage(
+      tabId,
+      { action: "scrollToFrame", frameId: childId },
+      { frameId: auditedFrames.get(childId).parentFrameId },
     );
-  } catch (error) {
-    console.error("Erreur lors de la navigation:", error);
-    applyButtonFeedback(buttonElement, false);
   }
 }
 
-async function navigateToContrast(contrastId, buttonElement) {
+/**
+ * Envoie un message de navigation au content script et affiche le retour sur le bouton
+ * Le message est adressé au cadre de l'issue (data-frame-id du bouton), après
+ * avoir fait défiler les cadres parents jusqu'à lui
+ * @param {Object} message - Message à envoyer (action et identifiant)
+ * @param {HTMLElement} buttonElement - Bouton "Voir dans la page" cliqué
+ */
+async function sendNavigationMessage(message, buttonElement) {
   try {
     const [tab] = await chrome.tabs.query({
       active: true,
       currentWindow: true,
     });
+    const frameId = Number(buttonElement?.dataset.frameId || 0);
+    if (frameId) {
+      await scrollFrameIntoView(tab.id, frameId);
+    }
 
-    chrome.tabs.sendMessage(
-      tab.id,
-      { action: "scrollToContrast", contrastId: contrastId },
-      function (response) {
-        if (chrome.runtime.lastError) {
-          console.error("Erreur:", chrome.runtime.lastError);
-          applyButtonFeedback(buttonElement, false);
-          return;
-        }
-        applyButtonFeedback(buttonElement, response?.success);
-      },
-    );
+    chrome.tabs.sendMessage(tab.id, message, { frameId }, function (response) {
+      if (chrome.runtime.lastError) {
+        console.error("Erreur:", chrome.runtime.lastError);
+        applyButtonFeedback(buttonElement, false);
+        return;
+      }
+      applyButtonFeedback(buttonElement, response?.success);
+    });
   } catch (error) {
     console.error("Erreur lors de la navigation:", error);
     applyButtonFeedback(buttonElement, false);
   }
 }
 
+function navigateToNonText(nonTextId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToNonText", nonTextId: nonTextId },
+    buttonElement,
+  );
+}
+
+function navigateToIdrefs(idrefsId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToIdrefs", idrefsId: idrefsId },
+    buttonElement,
+  );
+}
+
+function navigateToAria(ariaId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToAria", ariaId: ariaId },
+    buttonElement,
+  );
+}
+
+function navigateToKeyboard(keyboardId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToKeyboard", keyboardId: keyboardId },
+    buttonElement,
+  );
+}
+
+function navigateToFocus(focusId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToFocus", focusId: focusId },
+    buttonElement,
+  );
+}
+
+function navigateToIframe(iframeId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToIframe", iframeId: iframeId },
+    buttonElement,
+  );
+}
+
+function navigateToShadowDom(shadowDomId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToShadowDom", shadowDomId: shadowDomId },
+    buttonElement,
+  );
+}
+
+function navigateToMedia(mediaId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToMedia", mediaId: mediaId },
+    buttonElement,
+  );
+}
+
+function navigateToTable(tableId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToTable", tableId: tableId },
+    buttonElement,
+  );
+}
+
+function navigateToTargetSize(targetSizeId, buttonElement) {
+  sendNavigationMessage(
+    { action: "scrollToTargetSize", targetSizeId: targetSizeId },
+    buttonElement,
+  );
+}
+
 // Fonction pour appliquer un filtre de daltonisme
 async function applyColorblindFilter(filterType) {
   try {
@@ -315,59 +640,250 @@ async function runAudit() {
       currentWindow: true,
     });
 
-    // Vérifier si le script est déjà injecté en testant la communication
-    chrome.tabs.sendMessage(
-      tab.id,
-      { action: "ping" },
-      async function (response) {
-        // Si pas de réponse, le script n'est pas injecté
-        if (chrome.runtime.lastError || !response) {
-          // Inject content script
-          try {
-            await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
-              files: ["src/content/content.js"],
-            });
-
-            // Attendre que le script soit prêt puis lancer l'audit
-            setTimeout(() => {
-              launchAudit(tab.id);
-            }, 100);
-          } catch (injectionError) {
-            showError(
-              `Erreur d'injection du script: ${injectionError.message}`,
-            );
-          }
-        } else {
-          // Le script est déjà injecté, lancer l'audit directement
-          launchAudit(tab.id);
-        }
-      },
-    );
+    // Cadres accessibles à l'extension (page principale, cadres de même origine
+    // ou autorisés), en indiquant ceux où le script est déjà injecté
+    const frames = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      func: () => Boolean(window.accessibilityAuditInjected),
+    });
+    const frameIds = frames
+      .map((frame) => frame.frameId)
+      .sort((first, second) => first - second);
+    const missingFrameIds = frames
+      .filter((frame) => !frame.result)
+      .map((frame) => frame.frameId);
+
+    if (missingFrameIds.length > 0) {
+      try {
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id, frameIds: missingFrameIds },
+          files: CONTENT_SCRIPTS,
+        });
+      } catch (injectionError) {
+        showError(`Erreur d'injection du script: ${injectionError.message}`);
+        return;
+      }
+    }
+
+    launchAudit(tab.id, frameIds);
   } catch (error) {
     showError(`Erreur lors de l'analyse: ${error.message}`);
   }
 }
 
-function launchAudit(tabId) {
-  chrome.tabs.sendMessage(tabId, { action: "runAudit" }, function (response) {
-    if (chrome.runtime.lastError) {
-      showError(
-        "Erreur: Impossible d'analyser cette page. Actualisez la page et réessayez.",
-      );
+/**
+ * Lance l'audit des cadres de l'onglet, l'un après l'autre (page principale
+ * en premier) : les vérifications déplacent le focus, qui est unique par onglet
+ * @param {number} tabId - Onglet à auditer
+ * @param {Array<number>} frameIds - Cadres où le script est injecté
+ */
+function launchAudit(tabId, frameIds) {
+  frameAudit = {
+    tabId: tabId,
+    queue: [...frameIds],
+    index: 0,
+    count: frameIds.length,
+    results: null,
+  };
+  auditedFrames.clear();
+
+  // L'audit efface les marqueurs, dont la superposition de l'ordre de tabulation
+  // et les identifiants du plan de la page
+  setFocusOrderVisible(false);
+  setPageStructureVisible(false);
+
+  auditNextFrame();
+}
+
+// Lancer l'audit du cadre suivant via un port pour recevoir la progression
+function auditNextFrame() {
+  if (auditPort) {
+    auditPort.disconnect();
+  }
+
+  const frameId = frameAudit.queue.shift();
+  frameAudit.index++;
+  frameAudit.frameId = frameId;
+
+  const port = chrome.tabs.connect(frameAudit.tabId, {
+    name: AUDIT.PORT_NAME,
+    frameId: frameId,
+  });
+  auditPort = port;
+
+  port.onMessage.addListener((message) => handleAuditMessage(port, message));
+  port.onDisconnect.addListener(() => {
+    if (auditPort !== port) {
       return;
     }
-
-    if (response && response.results) {
-      // Stocker les résultats complets
-      fullResults = response.results;
-      displayResults(response.results);
+    auditPort = null;
+    // Cadre enfant rechargé ou retiré pendant l'audit : passer au suivant
+    if (frameAudit.frameId !== 0) {
+      continueFrameAudit();
+      return;
     }
+    showError(
+      "Erreur: Impossible d'analyser cette page. Actualisez la page et réessayez.",
+    );
   });
+
+  port.postMessage({ action: "runAudit", options: { ...auditSettings } });
+}
+
+/**
+ * Traite un message du content script sur le port d'audit
+ * @param {chrome.runtime.Port} port - Port de l'audit
+ * @param {Object} message - {type: "progress"|"done"|"cancelled"|"error", ...}
+ */
+function handleAuditMessage(port, message) {
+  // Message d'un audit remplacé entre-temps
+  if (auditPort !== port) {
+    return;
+  }
+
+  if (message.type === "progress") {
+    updateAuditProgress(getFrameAuditProgress(message));
+    return;
+  }
+
+  // Audit du cadre terminé : fermer le port
+  auditPort = null;
+  port.disconnect();
+
+  if (message.type === "done") {
+    auditedFrames.set(frameAudit.frameId, message.frame);
+    frameAudit.results = mergeFrameResults(
+      frameAudit.results,
+      message.results,
+      frameAudit.frameId,
+    );
+    continueFrameAudit();
+  } else if (message.type === "cancelled") {
+    showAuditCancelled();
+  } else if (frameAudit.frameId !== 0) {
+    // L'échec d'un cadre enfant n'empêche pas d'afficher les autres résultats
+    console.error("Erreur lors de l'analyse d'un cadre:", message.message);
+    continueFrameAudit();
+  } else {
+    showError(`Erreur lors de l'analyse: ${message.message}`);
+  }
+}
+
+// Auditer le cadre suivant, ou afficher les résultats de tous les cadres
+function continueFrameAudit() {
+  if (frameAudit.queue.length > 0) {
+    auditNextFrame();
+  } else {
+    displayResults(frameAudit.results);
+  }
+}
+
+/**
+ * Ramène la progression d'un cadre à celle de l'audit de tout l'onglet
+ * @param {Object} progress - Progression envoyée par le cadre en cours
+ * @returns {Object} - Progression globale (étape suffixée du cadre)
+ */
+function getFrameAuditProgress(progress) {
+  if (frameAudit.count <= 1) {
+    return progress;
+  }
+
+  return {
+    ...progress,
+    step: `${progress.step} · cadre ${frameAudit.index}/${frameAudit.count}`,
+    percent: Math.round(
+      ((frameAudit.index - 1) * 100 + progress.percent) / frameAudit.count,
+    ),
+  };
+}
+
+/**
+ * Chemin d'un cadre depuis la page principale (ex: "iframe#player › https://...")
+ * @param {number} frameId - Identifiant du cadre
+ * @returns {string}
+ */
+function getFramePath(frameId) {
+  const path = [];
+  for (
+    let frame = auditedFrames.get(frameId);
+    frame && frame.parentFrameId >= 0;
+    frame = auditedFrames.get(frame.parentFrameId)
+  ) {
+    path.unshift(frame.description);
+  }
+  return path.join(" › ");
+}
+
+/**
+ * Ajoute les résultats d'un cadre aux résultats cumulés de l'onglet ;
+ * les issues des cadres enfants portent leur cadre (frameId, framePath)
+ * @param {Object|null} merged - Résultats cumulés
+ * @param {Object} results - Résultats du cadre
+ * @param {number} frameId - Identifiant du cadre
+ * @returns {Object} - Résultats cumulés
+ */
+function mergeFrameResults(merged, results, frameId) {
+  if (!merged) {
+    merged = {};
+  }
+  const framePath = frameId ? getFramePath(frameId) : undefined;
+
+  Object.entries(results).forEach(([category, data]) => {
+    const issues = frameId
+      ? data.issues.map((issue) => ({ ...issue, frameId, framePath }))
+      : data.issues;
+    const current = merged[category] || { total: 0, issues: [], passed: 0 };
+
+    merged[category] = {
+      ...data,
+      total: current.total + data.total,
+      issues: [...current.issues, ...issues],
+      passed: current.passed + data.passed,
+    };
+  });
+
+  return merged;
+}
+
+// Mettre à jour la barre de progression de l'audit
+function updateAuditProgress(progress) {
+  const progressElement = document.getElementById("auditProgress");
+  progressElement.setAttribute("aria-valuenow", progress.percent);
+  document.getElementById("auditProgressBar").style.width =
+    `${progress.percent}%`;
+  document.getElementById("auditProgressStep").textContent =
+    progress.total > 1
+      ? `${progress.step} (${progress.completed}/${progress.total})`
+      : progress.step;
+}
+
+// Réinitialiser l'affichage du chargement avant un nouvel audit
+function resetAuditProgress() {
+  document.getElementById("loadingSpinner").style.display = "";
+  document.getElementById("loadingText").textContent = "Analyse en cours...";
+  document.getElementById("cancelAuditBtn").hidden = false;
+  document.getElementById("restartAuditBtn").hidden = true;
+  updateAuditProgress({ step: "", completed: 0, total: 0, percent: 0 });
+}
+
+// Demander l'annulation de l'audit en cours
+function cancelAudit() {
+  if (auditPort) {
+    auditPort.postMessage({ action: "cancelAudit" });
+  }
+}
+
+// Afficher l'état "analyse annulée" avec la possibilité de relancer
+function showAuditCancelled() {
+  document.getElementById("loadingSpinner").style.display = "none";
+  document.getElementById("loadingText").textContent = "Analyse annulée.";
+  document.getElementById("cancelAuditBtn").hidden = true;
+  document.getElementById("restartAuditBtn").hidden = false;
 }
 
 function displayResults(results) {
   document.getElementById("loading").style.display = "none";
+  document.getElementById("auditError").hidden = true;
   document.getElementById("results").style.display = "block";
 
   // Stocker les résultats complets
@@ -408,6 +924,51 @@ function displayResults(results) {
     "contrastContent",
     "contrastBadge",
   );
+  displayCategory(
+    "nonText",
+    filteredResults.nonText,
+    "nonTextContent",
+    "nonTextBadge",
+  );
+  displayCategory(
+    "idrefs",
+    filteredResults.idrefs,
+    "idrefsContent",
+    "idrefsBadge",
+  );
+  displayCategory("aria", filteredResults.aria, "ariaContent", "ariaBadge");
+  displayCategory(
+    "keyboard",
+    filteredResults.keyboard,
+    "keyboardContent",
+    "keyboardBadge",
+  );
+  displayCategory("focus", filteredResults.focus, "focusContent", "focusBadge");
+  displayCategory(
+    "tables",
+    filteredResults.tables,
+    "tablesContent",
+    "tablesBadge",
+  );
+  displayCategory("media", filteredResults.media, "mediaContent", "mediaBadge");
+  displayCategory(
+    "iframes",
+    filteredResults.iframes,
+    "iframesContent",
+    "iframesBadge",
+  );
+  displayCategory(
+    "shadowDom",
+    filteredResults.shadowDom,
+    "shadowDomContent",
+    "shadowDomBadge",
+  );
+  displayCategory(
+    "targetSize",
+    filteredResults.targetSize,
+    "targetSizeContent",
+    "targetSizeBadge",
+  );
 
   // Attacher les listeners du simulateur de daltonisme
   attachColorblindListeners();
@@ -421,31 +982,39 @@ function displayResults(results) {
     "structureBadge",
   );
 
-  // Export button
-  document
-    .getElementById("exportBtn")
-    .addEventListener("click", () => exportReport(filteredResults, score));
-
   // Attacher les gestionnaires de switches
   attachSwitchHandlers();
 }
 
-// Calculer et afficher le score global
-function calculateAndDisplayScore(filteredResults) {
+/**
+ * Calcule le score global à partir des résultats filtrés
+ * @param {Object} filteredResults - Résultats filtrés par catégorie
+ * @returns {{score: number, totalIssues: number, totalTests: number}}
+ */
+function computeScore(filteredResults) {
   let totalIssues = 0;
   let totalTests = 0;
 
   Object.values(filteredResults).forEach((category) => {
-    totalIssues += category.issues.length;
+    totalIssues += countConfirmedIssues(category.issues);
     totalTests += category.total;
   });
 
   const score =
     totalTests > 0 ? Math.round((1 - totalIssues / totalTests) * 100) : 100;
 
+  return { score, totalIssues, totalTests };
+}
+
+// Calculer et afficher le score global
+function calculateAndDisplayScore(filteredResults) {
+  const { score, totalIssues, totalTests } = computeScore(filteredResults);
+
   document.getElementById("totalScore").textContent = `${score}%`;
   document.getElementById("totalPassed").textContent = totalTests - totalIssues;
   document.getElementById("totalFailed").textContent = totalIssues;
+  document.getElementById("conformanceLevel").textContent =
+    `Conformité visée : WCAG 2.1 ${auditSettings.level} · Contraste : ${CONTRAST_ALGORITHMS.LABELS[auditSettings.contrastAlgorithm]}`;
 
   return score;
 }
@@ -479,6 +1048,31 @@ function toggleCategoriesVisibility() {
     : "none";
   document.getElementById("contrastCategory").style.display =
     activeFilters.contrast ? "block" : "none";
+  document.getElementById("nonTextCategory").style.display =
+    activeFilters.nonText ? "block" : "none";
+  document.getElementById("idrefsCategory").style.display = activeFilters.idrefs
+    ? "block"
+    : "none";
+  document.getElementById("ariaCategory").style.display = activeFilters.aria
+    ? "block"
+    : "none";
+  document.getElementById("keyboardCategory").style.display =
+    activeFilters.keyboard ? "block" : "none";
+  document.getElementById("focusCategory").style.display = activeFilters.focus
+    ? "block"
+    : "none";
+  document.getElementById("targetSizeCategory").style.display =
+    activeFilters.targetSize ? "block" : "none";
+  document.getElementById("tablesCategory").style.display = activeFilters.tables
+    ? "block"
+    : "none";
+  document.getElementById("mediaCategory").style.display = activeFilters.media
+    ? "block"
+    : "none";
+  document.getElementById("iframesCategory").style.display =
+    activeFilters.iframes ? "block" : "none";
+  document.getElementById("shadowDomCategory").style.display =
+    activeFilters.shadowDom ? "block" : "none";
   document.getElementById("colorblindCategory").style.display = "block";
   document.getElementById("structureCategory").style.display =
     activeFilters.structure || activeFilters.buttons ? "block" : "none";
@@ -487,6 +1081,12 @@ function toggleCategoriesVisibility() {
 // Attacher les event listeners pour le simulateur de daltonisme
 function attachColorblindListeners() {
   document.querySelectorAll(".colorblind-btn").forEach((btn) => {
+    // L'audit peut être relancé : ne pas attacher deux fois le même handler
+    if (btn.dataset.handlerAttached === "true") {
+      return;
+    }
+    btn.dataset.handlerAttached = "true";
+
     btn.addEventListener("click", () => {
       const filterType = btn.getAttribute("data-filter");
       applyColorblindFilter(filterType);
@@ -509,6 +1109,16 @@ const NAVIGATION_CONFIG = {
   forms: { attr: "data-form-id", handler: navigateToForm },
   structure: { attr: "data-button-id", handler: navigateToButton },
   contrast: { attr: "data-contrast-id", handler: navigateToContrast },
+  nonText: { attr: "data-non-text-id", handler: navigateToNonText },
+  idrefs: { attr: "data-idrefs-id", handler: navigateToIdrefs },
+  aria: { attr: "data-aria-id", handler: navigateToAria },
+  keyboard: { attr: "data-keyboard-id", handler: navigateToKeyboard },
+  focus: { attr: "data-focus-id", handler: navigateToFocus },
+  targetSize: { attr: "data-target-size-id", handler: navigateToTargetSize },
+  tables: { attr: "data-table-id", handler: navigateToTable },
+  media: { attr: "data-media-id", handler: navigateToMedia },
+  iframes: { attr: "data-iframe-id", handler: navigateToIframe },
+  shadowDom: { attr: "data-shadow-dom-id", handler: navigateToShadowDom },
 };
 
 // Attacher les event listeners pour les boutons de navigation
@@ -585,6 +1195,7 @@ function attachCodeSnippetListeners(contentElement) {
 // Mettre à jour le badge d'une catégorie
 function updateCategoryBadge(badgeElement, issuesCount) {
   badgeElement.textContent = issuesCount;
+  badgeElement.classList.remove("badge-error", "badge-success");
 
   if (issuesCount > 0) {
     badgeElement.classList.add("badge-error");
@@ -626,14 +1237,23 @@ function displayCategory(name, data, contentId, badgeId) {
   attachCodeSnippetListeners(contentElement);
 }
 
+// Afficher l'erreur dans son propre bloc : #results reste intact pour l'audit suivant
 function showError(message) {
   document.getElementById("loading").style.display = "none";
-  document.getElementById("results").innerHTML = `
-    <div class="error-message">
-      <p>⚠️ ${message}</p>
-    </div>
-  `;
-  document.getElementById("results").style.display = "block";
+  document.getElementById("results").style.display = "none";
+  document.getElementById("auditErrorText").textContent = `⚠️ ${message}`;
+  document.getElementById("auditError").hidden = false;
+}
+
+// Exporter le rapport avec les filtres et le score actuels
+function exportCurrentReport() {
+  if (!fullResults) {
+    return;
+  }
+
+  const filteredResults = filterResults(fullResults);
+  const { score } = computeScore(filteredResults);
+  exportReport(filteredResults, score);
 }
 
 function exportReport(results, score) {
@@ -653,6 +1273,8 @@ function exportReport(results, score) {
     const reportData = {
       results,
       score,
+      level: auditSettings.level,
+      contrastAlgorithm: auditSettings.contrastAlgorithm,
       pageUrl,
       pageTitle,
       reportDate,
@@ -691,6 +1313,16 @@ function filterResults(results) {
     headings: applyFilter(activeFilters.headings, results.headings),
     forms: applyFilter(activeFilters.forms, results.forms),
     contrast: applyFilter(activeFilters.contrast, results.contrast),
+    nonText: applyFilter(activeFilters.nonText, results.nonText),
+    idrefs: applyFilter(activeFilters.idrefs, results.idrefs),
+    aria: applyFilter(activeFilters.aria, results.aria),
+    keyboard: applyFilter(activeFilters.keyboard, results.keyboard),
+    focus: applyFilter(activeFilters.focus, results.focus),
+    targetSize: applyFilter(activeFilters.targetSize, results.targetSize),
+    tables: applyFilter(activeFilters.tables, results.tables),
+    media: applyFilter(activeFilters.media, results.media),
+    iframes: applyFilter(activeFilters.iframes, results.iframes),
+    shadowDom: applyFilter(activeFilters.shadowDom, results.shadowDom),
     colorblind: applyFilter(activeFilters.colorblind, results.colorblind),
     lang: applyFilter(activeFilters.structure, results.lang),
     landmarks: applyFilter(activeFilters.structure, results.landmarks),
@@ -775,17 +1407,7 @@ function updateScore() {
   }
 
   const filteredResults = filterResults(fullResults);
-
-  let totalIssues = 0;
-  let totalTests = 0;
-
-  Object.values(filteredResults).forEach((category) => {
-    totalIssues += category.issues.length;
-    totalTests += category.total;
-  });
-
-  const score =
-    totalTests > 0 ? Math.round((1 - totalIssues / totalTests) * 100) : 100;
+  const { score, totalIssues, totalTests } = computeScore(filteredResults);
 
   // Display score
   document.getElementById("totalScore").textContent = `${score}%`;
@@ -844,3 +1466,140 @@ function toggleDarkMode() {
   // Sauvegarder la préférence
   chrome.storage.sync.set({ darkMode: isDarkMode });
 }
+
+// ==================== RÉGLAGES DE L'AUDIT ====================
+
+// Initialiser les réglages d'audit depuis le stockage
+function initAuditSettings(callback) {
+  const storageKeys = [
+    ...Object.values(SETTINGS_CONFIG).map((config) => config.storageKey),
+    LINK_TEXT_DICTIONARY_STORAGE_KEY,
+  ];
+
+  chrome.storage.sync.get(storageKeys, function (result) {
+    const dictionary = result[LINK_TEXT_DICTIONARY_STORAGE_KEY];
+    if (Array.isArray(dictionary)) {
+      auditSettings.linkTextDictionary = dictionary;
+    }
+    document.getElementById("linkTextDictionary").value =
+      auditSettings.linkTextDictionary.join("\n");
+
+    Object.entries(SETTINGS_CONFIG).forEach(([setting, config]) => {
+      const storedValue = result[config.storageKey];
+      if (config.allowed.includes(storedValue)) {
+        auditSettings[setting] = storedValue;
+      }
+
+      const radio = document.querySelector(
+        `input[name="${config.storageKey}"][value="${auditSettings[setting]}"]`,
+      );
+      if (radio) {
+        radio.checked = true;
+      }
+    });
+
+    callback();
+  });
+}
+
+// Attacher les gestionnaires des sélecteurs de réglages
+function setupSettingSelectors() {
+  Object.entries(SETTINGS_CONFIG).forEach(([setting, config]) => {
+    document
+      .querySelectorAll(`input[name="${config.storageKey}"]`)
+      .forEach((radio) => {
+        radio.addEventListener("change", () => {
+          if (!radio.checked) {
+            return;
+          }
+
+          auditSettings[setting] = radio.value;
+
+          // Sauvegarder la préférence puis relancer l'audit avec les nouveaux seuils
+          chrome.storage.sync.set({ [config.storageKey]: radio.value });
+          restartAudit();
+        });
+      });
+  });
+
+  // Dictionnaire des liens : une expression par ligne, sans doublons
+  const dictionaryInput = document.getElementById("linkTextDictionary");
+  dictionaryInput.addEventListener("change", () => {
+    auditSettings.linkTextDictionary = [
+      ...new Set(
+        dictionaryInput.value
+          .split("\n")
+          .map((line) => line.trim())
+          .filter(Boolean),
+      ),
+    ];
+
+    chrome.storage.sync.set({
+      [LINK_TEXT_DICTIONARY_STORAGE_KEY]: auditSettings.linkTextDictionary,
+    });
+    restartAudit();
+  });
+}
+
+/**
+ * Aligne l'enregistrement du suivi des écouteurs sur la permission d'hôte (qui peut
+ * être retirée depuis la page des extensions) et attache la case à cocher
+ */
+async function initListenerTracking() {
+  const checkbox = document.getElementById("listenerTracking");
+
+  try {
+    const granted = await chrome.permissions.contains(
+      LISTENER_TRACKER_PERMISSION,
+    );
+    await setListenerTrackerRegistered(granted);
+    checkbox.checked = granted;
+  } catch (error) {
+    console.error("Erreur lors du suivi des écouteurs:", error);
+  }
+
+  checkbox.addEventListener("change", async () => {
+    try {
+      if (checkbox.checked) {
+        // La demande de permission doit suivre directement le geste de l'utilisateur
+        checkbox.checked = await chrome.permissions.request(
+          LISTENER_TRACKER_PERMISSION,
+        );
+        await setListenerTrackerRegistered(checkbox.checked);
+      } else {
+        await setListenerTrackerRegistered(false);
+        await chrome.permissions.remove(LISTENER_TRACKER_PERMISSION);
+      }
+    } catch (error) {
+      console.error("Erreur lors du suivi des écouteurs:", error);
+      checkbox.checked = false;
+    }
+  });
+}
+
+/**
+ * Enregistre ou retire le script de suivi des écouteurs (tous les cadres)
+ * @param {boolean} registered - État souhaité
+ */
+async function setListenerTrackerRegistered(registered) {
+  const scripts = await chrome.scripting.getRegisteredContentScripts({
+    ids: [LISTENER_TRACKER_SCRIPT.id],
+  });
+
+  if (registered && scripts.length === 0) {
+    await chrome.scripting.registerContentScripts([LISTENER_TRACKER_SCRIPT]);
+  } else if (!registered && scripts.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [LISTENER_TRACKER_SCRIPT.id],
+    });
+  }
+}
+
+// Relancer l'audit en réaffichant l'écran de chargement
+function restartAudit() {
+  document.getElementById("results").style.display = "none";
+  document.getElementById("auditError").hidden = true;
+  document.getElementById("loading").style.display = "block";
+  resetAuditProgress();
+  runAudit();
+}
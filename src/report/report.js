@@ -1,3 +1,5 @@
+import { escapeHTML, countConfirmedIssues } from "../popup/popup-utils.js";
+
 // Attendre que le DOM soit chargé
 window.addEventListener("DOMContentLoaded", async function () {
   try {
@@ -19,7 +21,16 @@ window.addEventListener("DOMContentLoaded", async function () {
 });
 
 function renderReport(data) {
-  const { results, score, pageUrl, pageTitle, reportDate, reportTime } = data;
+  const {
+    results,
+    score,
+    level,
+    contrastAlgorithm,
+    pageUrl,
+    pageTitle,
+    reportDate,
+    reportTime,
+  } = data;
 
   const categoryNames = {
     images: "Images",
@@ -30,6 +41,17 @@ function renderReport(data) {
     lang: "Langue",
     landmarks: "Structure",
     buttons: "Boutons",
+    contrast: "Contraste",
+    nonText: "Contraste non textuel",
+    idrefs: "Références d'identifiants",
+    aria: "ARIA",
+    keyboard: "Clavier",
+    focus: "Focus visible",
+    targetSize: "Taille des cibles",
+    tables: "Tableaux",
+    media: "Médias",
+    iframes: "Cadres",
+    shadowDom: "Shadow DOM",
   };
 
   const totalPassed = Object.values(results).reduce(
@@ -37,7 +59,7 @@ function renderReport(data) {
     0,
   );
   const totalFailed = Object.values(results).reduce(
-    (sum, cat) => sum + cat.issues.length,
+    (sum, cat) => sum + countConfirmedIssues(cat.issues),
     0,
   );
 
@@ -54,6 +76,8 @@ function renderReport(data) {
       <p><strong>Page analysée :</strong> ${pageTitle}</p>
       <p><strong>URL :</strong> ${pageUrl}</p>
       <p><strong>Date de l'audit :</strong> ${reportDate} à ${reportTime}</p>
+      <p><strong>Niveau de conformité visé :</strong> WCAG 2.1 ${level || "AA"}</p>
+      <p><strong>Algorithme de contraste :</strong> ${contrastAlgorithm === "apca" ? "APCA (brouillon WCAG 3)" : "WCAG 2"}</p>
     </div>
     
     <div class="score-section">
@@ -97,19 +121,81 @@ function renderReport(data) {
                   const resources = [];
                   if (issue.src) {
                     resources.push(
-                      `<strong>Source :</strong> <code>${issue.src}</code>`,
+                      `<strong>Source :</strong> <code>${escapeHTML(issue.src)}</code>`,
                     );
                   }
                   if (issue.href) {
                     resources.push(
-                      `<strong>URL du lien :</strong> <code>${issue.href}</code>`,
+                      `<strong>URL du lien :</strong> <code>${escapeHTML(issue.href)}</code>`,
                     );
                   }
                   if (issue.text) {
-                    resources.push(`<strong>Texte :</strong> "${issue.text}"`);
+                    resources.push(
+                      `<strong>Texte :</strong> "${escapeHTML(issue.text)}"`,
+                    );
                   }
                   if (issue.type) {
-                    resources.push(`<strong>Type :</strong> ${issue.type}`);
+                    resources.push(
+                      `<strong>Type :</strong> ${escapeHTML(issue.type)}`,
+                    );
+                  }
+                  if (issue.role) {
+                    resources.push(
+                      `<strong>Rôle :</strong> ${escapeHTML(issue.role)}`,
+                    );
+                  }
+                  if (issue.ariaAttribute) {
+                    resources.push(
+                      `<strong>Attribut :</strong> <code>${issue.ariaAttribute}${issue.ariaValue === undefined ? "" : `="${escapeHTML(issue.ariaValue)}"`}</code>`,
+                    );
+                  }
+                  if (issue.framePath) {
+                    resources.push(
+                      `<strong>Cadre :</strong> ${escapeHTML(issue.framePath)}`,
+                    );
+                  }
+                  if (issue.dimensions) {
+                    resources.push(
+                      `<strong>Dimensions :</strong> ${issue.dimensions}`,
+                    );
+                  }
+                  if (issue.events) {
+                    resources.push(
+                      `<strong>Événements :</strong> ${escapeHTML(issue.events)}`,
+                    );
+                  }
+                  if (issue.attribute) {
+                    resources.push(
+                      `<strong>Référence :</strong> <code>${issue.attribute}="${escapeHTML(issue.reference)}"</code>`,
+                    );
+                  }
+                  if (issue.nameSource) {
+                    resources.push(
+                      `<strong>Nom accessible :</strong> ${issue.accessibleName ? `"${escapeHTML(issue.accessibleName)}"` : "aucun"} (${issue.nameSource})`,
+                    );
+                  }
+                  if (issue.ratio) {
+                    const isAPCAReference = issue.contrastAlgorithm === "apca";
+                    const wcagValue = issue.ratioRange
+                      ? `${issue.ratioRange.min}:1 – ${issue.ratioRange.max}:1`
+                      : `${issue.ratio}:1`;
+                    resources.push(
+                      `<strong>Ratio WCAG 2${isAPCAReference ? "" : " (référence)"} :</strong> ${wcagValue} (min. ${issue.required}:1)`,
+                    );
+                    if (issue.apca) {
+                      const apcaValue = issue.apcaRange
+                        ? `Lc ${issue.apcaRange.min} – ${issue.apcaRange.max}`
+                        : `Lc ${issue.apca}`;
+                      resources.push(
+                        `<strong>Contraste APCA${isAPCAReference ? " (référence)" : ""} :</strong> ${apcaValue} (min. Lc ${issue.apcaRequired})`,
+                      );
+                    }
+                  }
+
+                  if (issue.indicatorColor) {
+                    resources.push(
+                      `<strong>Indicateur (${issue.indicator}) :</strong> <code>${issue.indicatorColor}</code> sur <code>${issue.adjacentColor}</code>`,
+                    );
                   }
 
                   const resourcesHtml =
@@ -121,6 +207,7 @@ function renderReport(data) {
           <div class="issue ${issue.severity}">
             <div class="issue-header">
               <span class="issue-element">${issue.element}</span>
+              ${issue.needsReview ? '<span class="review-badge">À vérifier</span>' : ""}
               <span class="severity-badge ${issue.severity}">${issue.severity}</span>
             </div>
             <p class="issue-description">${issue.issue}</p>
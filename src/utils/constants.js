@@ -52,6 +52,44 @@ export const SCORES = {
   MEDIUM_THRESHOLD: 60,
 };
 
+// WCAG conformance levels
+export const WCAG_LEVELS = {
+  DEFAULT: "AA",
+  AVAILABLE: ["A", "AA", "AAA"],
+};
+
+// Contrast algorithms (the selected one decides pass/fail)
+export const CONTRAST_ALGORITHMS = {
+  DEFAULT: "wcag2",
+  AVAILABLE: ["wcag2", "apca"],
+  LABELS: {
+    wcag2: "WCAG 2",
+    apca: "APCA",
+  },
+};
+
+// Progressive audit (popup ↔ content script port)
+export const AUDIT = {
+  PORT_NAME: "accessibility-audit",
+};
+
+// Accessible name sources (computed by src/content/accname.js)
+export const NAME_SOURCES = {
+  "aria-labelledby": "aria-labelledby",
+  "aria-label": "aria-label",
+  label: "élément label",
+  alt: "attribut alt",
+  "svg-title": "élément title du SVG",
+  legend: "élément legend",
+  caption: "élément caption",
+  figcaption: "élément figcaption",
+  value: "valeur du bouton",
+  contents: "contenu de l'élément",
+  title: "attribut title",
+  placeholder: "placeholder",
+  none: "aucune source",
+};
+
 // Maximum complexity
 export const COMPLEXITY = {
   MAX_FUNCTION: 10,
@@ -82,6 +120,17 @@ export const CATEGORY_NAMES = {
   forms: "Formulaire",
   structure: "Structure",
   buttons: "Bouton",
+  contrast: "Contraste",
+  nonText: "Contraste non textuel",
+  idrefs: "Référence d'identifiant",
+  aria: "ARIA",
+  keyboard: "Clavier",
+  focus: "Focus visible",
+  targetSize: "Taille des cibles",
+  tables: "Tableau",
+  media: "Média",
+  iframes: "Cadre",
+  shadowDom: "Shadow DOM",
 };
 
 // Priority emojis
@@ -95,6 +144,17 @@ export const PRIORITY_EMOJIS = {
 export const LANDMARKS = {
   COUNT: 2,
   REQUIRED: ["main", "nav"],
+  // Libellés des rôles de région (plan de la page)
+  ROLE_LABELS: {
+    banner: "En-tête",
+    complementary: "Complémentaire",
+    contentinfo: "Pied de page",
+    form: "Formulaire",
+    main: "Contenu principal",
+    navigation: "Navigation",
+    region: "Région",
+    search: "Recherche",
+  },
 };
 
 // CSS selectors
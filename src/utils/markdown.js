@@ -1,6 +1,11 @@
 // Utilities for GitHub Markdown generation
 
-import { CATEGORY_NAMES, PRIORITY_EMOJIS, TIMEOUTS } from "./constants.js";
+import {
+  CATEGORY_NAMES,
+  NAME_SOURCES,
+  PRIORITY_EMOJIS,
+  TIMEOUTS,
+} from "./constants.js";
 
 /**
  * Generate Markdown report header
@@ -12,6 +17,9 @@ function generateMarkdownHeader(issue, category) {
   let markdown = `## ${priorityEmoji} [Accessibilité] ${issue.issue}\n\n`;
   markdown += `**Type :** ${categoryName}\n`;
   markdown += `**Priorité :** ${issue.severity}\n`;
+  if (issue.needsReview) {
+    markdown += `**Statut :** à vérifier manuellement\n`;
+  }
   markdown += `**Élément :** ${issue.element}\n\n`;
 
   return markdown;
@@ -33,6 +41,34 @@ function generateProblemDescription(issue) {
   return markdown;
 }
 
+/**
+ * Generate contrast values (WCAG 2 ratio and APCA Lc side by side)
+ */
+function generateContrastMarkdownDetails(issue) {
+  if (!issue.ratio) {
+    return [];
+  }
+
+  const wcagValue = issue.ratioRange
+    ? `de ${issue.ratioRange.min}:1 à ${issue.ratioRange.max}:1`
+    : `${issue.ratio}:1`;
+  const isAPCAReference = issue.contrastAlgorithm === "apca";
+  const details = [
+    `- **Ratio WCAG 2${isAPCAReference ? "" : " (référence)"} :** ${wcagValue} (minimum requis : ${issue.required}:1)`,
+  ];
+
+  if (issue.apca) {
+    const apcaValue = issue.apcaRange
+      ? `de Lc ${issue.apcaRange.min} à Lc ${issue.apcaRange.max}`
+      : `Lc ${issue.apca}`;
+    details.push(
+      `- **Contraste APCA${isAPCAReference ? " (référence)" : ""} :** ${apcaValue} (minimum requis : Lc ${issue.apcaRequired})`,
+    );
+  }
+
+  return details;
+}
+
 /**
  * Generate technical details section
  */
@@ -52,21 +88,98 @@ function generateTechnicalDetails(issue) {
   if (issue.type) {
     details.push(`- **Type :** ${issue.type}`);
   }
+  if (issue.framePath) {
+    details.push(`- **Cadre :** \`${issue.framePath}\``);
+  }
+  if (issue.role) {
+    details.push(`- **Rôle :** ${issue.role}`);
+  }
+  if (issue.ariaAttribute) {
+    const value = issue.ariaValue === undefined ? "" : `="${issue.ariaValue}"`;
+    details.push(`- **Attribut :** \`${issue.ariaAttribute}${value}\``);
+  }
+  if (issue.dimensions) {
+    details.push(`- **Dimensions :** ${issue.dimensions}`);
+  }
+  if (issue.events) {
+    details.push(`- **Événements :** ${issue.events}`);
+  }
+  if (issue.attribute) {
+    details.push(
+      `- **Référence :** \`${issue.attribute}="${issue.reference}"\``,
+    );
+  }
+  if (issue.nameSource) {
+    const source = NAME_SOURCES[issue.nameSource] || issue.nameSource;
+    details.push(
+      issue.accessibleName
+        ? `- **Nom accessible :** "${issue.accessibleName}" (${source})`
+        : `- **Nom accessible :** aucun (${source})`,
+    );
+  }
+  details.push(...generateContrastMarkdownDetails(issue));
+  if (issue.fgColor && issue.bgColor) {
+    details.push(`- **Couleur texte :** \`${issue.fgColor}\``);
+    details.push(`- **Couleur fond :** \`${issue.bgColor}\``);
+  }
+  if (issue.indicatorColor && issue.adjacentColor) {
+    details.push(
+      `- **Indicateur (${issue.indicator}) :** \`${issue.indicatorColor}\``,
+    );
+    details.push(`- **Couleur adjacente :** \`${issue.adjacentColor}\``);
+  }
+  if (issue.coveringSnippet) {
+    details.push(
+      `- **Masqué par :**\n\n\`\`\`html\n${issue.coveringSnippet}\n\`\`\``,
+    );
+  }
 
   markdown += `${details.join("\n")}\n\n`;
   return markdown;
 }
 
+/**
+ * Generate suggested contrast fixes as CSS (text-only and background-only variants)
+ */
+function generateContrastSuggestions(issue) {
+  if (!issue.suggestions) {
+    return "";
+  }
+
+  const { foreground, background } = issue.suggestions;
+  const rules = [];
+  if (foreground) {
+    rules.push(
+      `/* Option 1 : modifier uniquement le texte (${foreground.ratio}:1, Lc ${foreground.apca}) */\ncolor: ${foreground.color};`,
+    );
+  }
+  if (background) {
+    rules.push(
+      `/* Option ${rules.length + 1} : modifier uniquement le fond (${background.ratio}:1, Lc ${background.apca}) */\nbackground-color: ${background.color};`,
+    );
+  }
+
+  let markdown = `**Corrections suggérées** (couleurs les plus proches en OKLCH) :\n\n`;
+  markdown += `\`\`\`css\n${rules.join("\n\n")}\n\`\`\`\n`;
+  return markdown;
+}
+
 /**
  * Generate solution suggestions based on category
  */
-function generateSolution(category) {
+function generateSolution(category, issue) {
   let markdown = `### ✅ Recommended Solution\n\n`;
 
   const solutions = {
     images: {
-      code: `<img src="..." alt="Description de l'image" />`,
-      text: "Ajouter un attribut `alt` descriptif à l'image.",
+      code: `<img src="ventes-2024.png" alt="Ventes en hausse de 12 % au dernier trimestre" />
+<!-- Image décorative -->
+<img src="separateur.png" alt="" />
+<!-- Icône décorative dans un bouton libellé -->
+<button><i class="fa fa-trash" aria-hidden="true"></i> Supprimer</button>
+<!-- Canvas avec contenu de repli -->
+<canvas>Courbe des températures : de 12 °C à 19 °C</canvas>`,
+      text: "Décrire l'information ou la fonction de l'image dans un `alt` court, sans nom de fichier ni mot générique (« image », « photo »), et sans répéter la légende ou le texte voisin. Utiliser `alt=\"\"` pour une image décorative.",
     },
     svg: {
       code: `<svg role="img" aria-label="Description du SVG">
@@ -76,32 +189,130 @@ function generateSolution(category) {
       text: 'Ajouter `role="img"` + `aria-label`, ou un élément `<title>` interne.',
     },
     links: {
-      code: `<a href="..." aria-label="Description du lien">Texte du lien</a>`,
-      text: "Ajouter un texte descriptif ou un attribut `aria-label`.",
+      code: `<a href="/offres/pro">Offres professionnelles</a>
+<a href="/produit"><img src="produit.png" alt="" /> Produit vedette</a>
+<a href="https://partenaire.fr" target="_blank">Site partenaire (nouvelle fenêtre)</a>
+<a href="/rapport-2024.pdf">Rapport annuel 2024 (PDF, 2 Mo)</a>`,
+      text: "Donner à chaque lien un texte qui décrit sa destination, le même texte pour la même destination, un seul lien pour une image et son texte, et signaler l'ouverture d'une nouvelle fenêtre ainsi que le format et le poids des documents.",
     },
     headings: {
-      code: null,
-      text: "Respecter la hiérarchie des titres (H1 → H2 → H3).",
+      code: `<!-- Plutôt que <p class="gros-gras">Nos engagements</p> -->
+<h2>Nos engagements</h2>
+<div role="heading" aria-level="3">Sous-partie</div>`,
+      text: "Respecter la hiérarchie des titres (H1 → H2 → H3), ne laisser aucun titre vide ou masqué aux technologies d'assistance, et baliser comme titres les textes qui en ont l'apparence.",
     },
     forms: {
-      code: `<label for="input-id">Label du champ</label>
-<input id="input-id" type="text" />`,
-      text: "Associer un `<label>` à chaque champ de formulaire.",
+      code: `<fieldset>
+  <legend>Contact préféré</legend>
+  <input type="radio" id="c-mail" name="contact" />
+  <label for="c-mail">E-mail</label>
+  <input type="radio" id="c-tel" name="contact" />
+  <label for="c-tel">Téléphone</label>
+</fieldset>
+
+<label for="email">E-mail *</label>
+<input id="email" type="email" autocomplete="email" required
+  aria-invalid="true" aria-describedby="email-error" />
+<p id="email-error">Saisir une adresse de la forme nom@domaine.fr</p>`,
+      text: "Associer un `<label>` visible à chaque champ, regrouper les options liées dans un `<fieldset>` avec `<legend>`, indiquer la finalité des données personnelles avec `autocomplete`, signaler les champs obligatoires avec `required` et relier chaque message d'erreur au champ par `aria-describedby`.",
     },
     structure: {
       code: null,
       text: "Vérifier la structure HTML du document (landmarks, régions ARIA).",
     },
+    contrast: {
+      code: null,
+      text: "Ajuster la couleur du texte ou du fond pour atteindre le contraste minimum requis.",
+    },
+    nonText: {
+      language: "css",
+      code: `input, button {
+  border: 1px solid #767676; /* 4.54:1 sur fond blanc */
+}
+
+:focus-visible {
+  outline: 2px solid #1d4ed8;
+}`,
+      text: "Donner aux bordures, fonds, anneaux de focus et icônes un contraste d'au moins 3:1 avec la couleur adjacente.",
+    },
+    idrefs: {
+      code: `<span id="email-hint">Format : nom@exemple.fr</span>
+<input id="email" aria-describedby="email-hint" />
+<label for="email">Adresse e-mail</label>`,
+      text: "Chaque id référencé doit exister, être unique dans la page et désigner un élément visible.",
+    },
+    aria: {
+      code: `<div role="slider" tabindex="0" aria-label="Volume"
+  aria-valuemin="0" aria-valuemax="100" aria-valuenow="40"></div>`,
+      text: "Utiliser un rôle ARIA 1.2 concret, fournir ses états requis et n'employer que les attributs et valeurs qu'il autorise. Préférer un élément HTML natif quand il existe.",
+    },
+    keyboard: {
+      code: `<!-- Plutôt que <div onclick="..."> -->
+<button type="button" onclick="...">Ouvrir le menu</button>`,
+      text: 'Utiliser un élément natif (`<button>`, `<a href>`) ou ajouter `tabindex="0"` et la gestion des touches Entrée/Espace. Ne jamais utiliser de tabindex positif.',
+    },
+    shadowDom: {
+      code: `// Shadow root ouverte : son contenu reste accessible aux outils d'audit
+this.attachShadow({ mode: "open" });`,
+      text: 'Préférer `mode: "open"` pour les composants. À défaut, auditer manuellement le contenu des shadow roots fermées.',
+      language: "javascript",
+    },
+    iframes: {
+      code: `<iframe src="https://www.youtube.com/embed/..." title="Vidéo : présentation du produit"></iframe>`,
+      text: "Donner à chaque cadre un attribut `title` qui décrit son contenu.",
+    },
+    media: {
+      code: `<video controls>
+  <source src="video.mp4" type="video/mp4" />
+  <track kind="captions" src="video.fr.vtt" srclang="fr" label="Français" />
+</video>
+<a href="transcription.html">Transcription de la vidéo</a>`,
+      text: "Fournir des sous-titres aux vidéos, une transcription aux contenus audio, des contrôles accessibles au clavier, et ne jamais lancer de son automatiquement sans moyen de l'arrêter.",
+    },
+    tables: {
+      code: `<table>
+  <caption>Ventes par trimestre</caption>
+  <tr><td></td><th scope="col">T1</th><th scope="col">T2</th></tr>
+  <tr><th scope="row">France</th><td>120</td><td>140</td></tr>
+</table>`,
+      text: "Donner une légende et des en-têtes `<th>` (avec `scope` si lignes et colonnes en ont) aux tableaux de données ; réserver la mise en page à CSS.",
+    },
+    targetSize: {
+      language: "css",
+      code: `.icon-button {
+  min-width: 24px; /* 44px au niveau AAA */
+  min-height: 24px;
+}`,
+      text: "Agrandir la zone cliquable à 24×24 px (par exemple avec du padding) ou espacer les cibles pour que leurs cercles de 24 px ne se chevauchent pas.",
+    },
+    focus: {
+      language: "css",
+      code: `/* Ne jamais supprimer l'outline sans le remplacer */
+:focus-visible {
+  outline: 2px solid #1d4ed8; /* 3:1 avec l'état non focalisé */
+  outline-offset: 2px;
+}
+
+/* Garder l'élément focalisé visible sous un en-tête fixe */
+html {
+  scroll-padding-top: 5rem;
+}`,
+      text: "Afficher un indicateur de focus d'au moins 2 px d'épaisseur autour de l'élément, contrastant à 3:1 avec son état non focalisé, et éviter qu'un élément fixe ou collant ne le recouvre.",
+    },
   };
 
   const solution = solutions[category];
   if (solution) {
     if (solution.code) {
-      markdown += `\`\`\`html\n${solution.code}\n\`\`\`\n\n`;
+      markdown += `\`\`\`${solution.language || "html"}\n${solution.code}\n\`\`\`\n\n`;
     }
     markdown += `${solution.text}\n`;
   }
 
+  if (category === "contrast") {
+    markdown += `\n${generateContrastSuggestions(issue)}`;
+  }
+
   markdown += `\n`;
   return markdown;
 }
@@ -137,7 +348,7 @@ export function generateGitHubMarkdown(issue, category, getMdnLinksFunction) {
   markdown += generateMarkdownHeader(issue, category);
   markdown += generateProblemDescription(issue);
   markdown += generateTechnicalDetails(issue);
-  markdown += generateSolution(category);
+  markdown += generateSolution(category, issue);
   markdown += generateResources(category, getMdnLinksFunction);
 
   return markdown;